@@ -1,8 +1,66 @@
 import dotenv from 'dotenv';
+import path from 'path';
+import { Cron } from 'croner';
+import { logWarning } from './utils/logger.js';
 
 // Load environment variables
 dotenv.config();
 
+/**
+ * Parse the CSV_DELIMITER setting, allowing tabs to be written by name
+ */
+function parseDelimiter(value) {
+  if (!value) {
+    return null;
+  }
+  if (value === 'tab' || value === '\\t') {
+    return '\t';
+  }
+  return value;
+}
+
+/**
+ * Parse the API_KEYS setting into key entries
+ * Format: "name:key:scope|scope,name:key:scope"
+ */
+function parseApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, key, scopes = ''] = entry.split(':').map(part => part.trim());
+    return {
+      name,
+      key,
+      scopes: scopes.split('|').map(s => s.trim().toLowerCase()).filter(Boolean)
+    };
+  });
+}
+
+/**
+ * Turn an interval in hours into a cron expression (used when SYNC_SCHEDULE isn't set)
+ * Only divisors of 24 map to even gaps; validateConfig rejects the rest
+ */
+function hoursToCron(hours) {
+  return hours > 0 && hours < 24 ? `0 */${hours} * * *` : '0 0 * * *';
+}
+
+/**
+ * Turn an interval in minutes into a cron expression (used when INVENTORY_SYNC_SCHEDULE isn't set)
+ * Only divisors of 60 map to even gaps; validateConfig rejects the rest
+ */
+function minutesToCron(minutes) {
+  return minutes > 0 && minutes < 60 ? `*/${minutes} * * * *` : '0 * * * *';
+}
+
+/**
+ * Whether an interval maps to a cron step with even gaps, i.e. divides the period it repeats in
+ */
+function isEvenCronStep(interval, period) {
+  return Number.isInteger(interval) && interval > 0 && period % interval === 0;
+}
+
 /**
  * Configuration for the automated Shopify product sync
  */
@@ -16,6 +74,54 @@ export const config = {
     password: process.env.AIMSII_PASSWORD,
     // Endpoint to fetch inventory records (appended to authenticated domain)
     inventoryEndpoint: process.env.AIMSII_INVENTORY_ENDPOINT || '/api/inventory',
+
+    // Where the login session is saved so restarts reuse it (empty to keep it in memory only)
+    sessionPath: process.env.AIMSII_SESSION_PATH ?? './aimsii-session.json',
+
+    // Session lifetime when AIMSii doesn't say when the tokens expire
+    sessionTtlHours: parseFloat(process.env.AIMSII_SESSION_TTL_HOURS || '23'),
+
+    // Records requested per page (sent as AIMSII_PAGE_SIZE_PARAM)
+    pageSize: parseInt(process.env.AIMSII_PAGE_SIZE || '500', 10),
+
+    // Query parameter names for pagination. Pages are requested by number
+    // (AIMSII_PAGE_PARAM) unless a response returns a cursor (nextCursor / next_cursor),
+    // which is then sent back as AIMSII_CURSOR_PARAM
+    pageParam: process.env.AIMSII_PAGE_PARAM || 'page',
+    pageSizeParam: process.env.AIMSII_PAGE_SIZE_PARAM || 'limit',
+    cursorParam: process.env.AIMSII_CURSOR_PARAM || 'cursor',
+
+    // Stop paging after this many pages (guards against APIs that ignore the page parameter)
+    maxPages: parseInt(process.env.AIMSII_MAX_PAGES || '1000', 10),
+
+    // Query parameters for server-side filtering; set to an empty value if AIMSii rejects them.
+    // Records are still filtered locally, so a server that ignores them only costs bandwidth
+    // since: ISO timestamp of the sync watermark
+    sinceParam: process.env.AIMSII_SINCE_PARAM ?? 'since',
+    // category: comma-separated FOCUS_CATEGORIES or ALLOWED_CATEGORIES when FILTER_BY_CATEGORY is on (off by default)
+    categoryParam: process.env.AIMSII_CATEGORY_PARAM || null,
+  },
+
+  // Inventory Source Configuration
+  source: {
+    // Where inventory records are read from: 'aimsii' (REST API), 'xlsx', 'csv' or 'json'
+    // Defaults to 'csv' when CSV_FILE_PATH is set, otherwise 'aimsii'
+    type: (process.env.INVENTORY_SOURCE || (process.env.CSV_FILE_PATH ? 'csv' : 'aimsii')).toLowerCase(),
+
+    // Path to the export file for file-based sources (xlsx, csv, json)
+    // CSV_FILE_PATH is still accepted for CSV exports
+    filePath: process.env.INVENTORY_FILE_PATH || process.env.CSV_FILE_PATH || null,
+  },
+
+  // CSV Export Configuration
+  csv: {
+    // Field delimiter (default: auto-detect from the header row)
+    // Use "tab" or "\\t" for tab-separated exports
+    delimiter: parseDelimiter(process.env.CSV_DELIMITER),
+
+    // File encoding, e.g. "utf-8", "utf-16le", "windows-1252"
+    // Default: auto-detect from the byte order mark, falling back to windows-1252 for non UTF-8 files
+    encoding: process.env.CSV_ENCODING || null,
   },
 
   // Shopify API Configuration
@@ -23,11 +129,21 @@ export const config = {
     store: process.env.SHOPIFY_STORE,
     accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
     apiVersion: process.env.SHOPIFY_API_VERSION || '2024-07',
+
+    // Admin API base URL replacing https://{store}.myshopify.com, e.g. the local emulator
+    // (npm run mock:shopify). Leave unset for the real store
+    baseUrl: process.env.SHOPIFY_BASE_URL ? process.env.SHOPIFY_BASE_URL.replace(/\/+$/, '') : null,
+
+    // REST bucket leak rate in requests per second (2 for standard plans, 20 for Plus)
+    restLeakRate: parseInt(process.env.SHOPIFY_REST_LEAK_RATE || '2', 10),
+
+    // Maximum retries for a throttled (429 / THROTTLED) request
+    maxThrottleRetries: parseInt(process.env.SHOPIFY_MAX_THROTTLE_RETRIES || '5', 10),
   },
 
   // AI Provider Configuration
   ai: {
-    // Provider selection: 'openai' or 'gemini'
+    // Provider selection: 'openai', 'gemini' or 'stub' (recorded responses, for tests)
     provider: process.env.AI_PROVIDER || 'openai',
 
     // OpenAI Configuration
@@ -41,15 +157,30 @@ export const config = {
       apiKey: process.env.GEMINI_API_KEY,
       model: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
     },
+
+    // Stub provider (AI_PROVIDER=stub): responses recorded per prompt hash
+    stub: {
+      // Directory of recorded responses (one JSON file per prompt)
+      fixturesDir: process.env.AI_STUB_FIXTURES_DIR || './mocks/fixtures/ai',
+
+      // 'replay' fails on prompts without a fixture; 'record' sends them to
+      // recordProvider and saves the response as a new fixture
+      mode: process.env.AI_STUB_MODE || 'replay',
+
+      // Real provider used in record mode: 'openai' or 'gemini'
+      recordProvider: process.env.AI_STUB_RECORD_PROVIDER || 'gemini',
+    },
   },
 
   // Sync Configuration
   sync: {
     // Check interval in hours (default: 24)
+    // Only used to build the full sync schedule when SYNC_SCHEDULE isn't set
     checkIntervalHours: parseInt(process.env.CHECK_INTERVAL_HOURS || '24', 10),
 
     // Lookback period in hours (default: 24)
-    // Fetches records created within this time period
+    // Fetches records created within this time period on the first run.
+    // Later runs resume from the watermark stored in the sync state file
     lookbackHours: parseInt(process.env.LOOKBACK_HOURS || '24', 10),
 
     // Categories to sync (comma-separated string or array)
@@ -110,6 +241,136 @@ export const config = {
     locationCacheDuration: parseInt(process.env.LOCATION_CACHE_DURATION || '3600000', 10),
   },
 
+  // Inventory-Only Sync Configuration
+  // Fast mode that only pushes stock counts for SKUs that already exist in Shopify
+  inventorySync: {
+    // Run the inventory-only sync alongside the full sync schedule (default: false)
+    enabled: process.env.INVENTORY_SYNC_ENABLED === 'true',
+
+    // Interval in minutes between inventory-only syncs (default: 15)
+    // Only used when INVENTORY_SYNC_SCHEDULE isn't set
+    intervalMinutes: parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES || '15', 10),
+
+    // Number of SKUs looked up and updated per Shopify request (default: 50, max: 250)
+    batchSize: Math.min(parseInt(process.env.INVENTORY_SYNC_BATCH_SIZE || '50', 10), 250),
+  },
+
+  // SKU Index Configuration
+  // Every variant SKU is exported with a Shopify bulk operation at the start of a run,
+  // so duplicate checks are answered from memory instead of one search per record
+  skuIndex: {
+    // Build the SKU index at the start of each run (default: true)
+    // When disabled or the export fails, each SKU is looked up individually
+    enabled: process.env.SKU_INDEX_ENABLED !== 'false',
+
+    // How often to poll the bulk operation status in milliseconds (default: 2000)
+    pollInterval: parseInt(process.env.SKU_INDEX_POLL_INTERVAL || '2000', 10),
+
+    // Give up waiting for the bulk operation after this many minutes (default: 30)
+    timeoutMinutes: parseInt(process.env.SKU_INDEX_TIMEOUT_MINUTES || '30', 10),
+  },
+
+  // Concurrency
+  // Records are processed by a pool of workers. Records with the same SKU are
+  // always processed one after another, in the order they were fetched
+  concurrency: {
+    // Records processed at the same time (default: 4, 1 = one at a time)
+    workers: parseInt(process.env.SYNC_CONCURRENCY || '4', 10),
+
+    // AI transformations running at the same time (default: 2)
+    ai: parseInt(process.env.AI_CONCURRENCY || '2', 10),
+
+    // Shopify requests in flight at the same time, across all workers (default: 4, see services/shopifyClient.ts)
+    shopify: parseInt(process.env.SHOPIFY_CONCURRENCY || '4', 10),
+  },
+
+  // SKU Matching
+  // AIMSii and Shopify SKUs are compared exactly after these normalization rules
+  skuMatching: {
+    // Treat "fg800" and "FG800" as different SKUs (default: false)
+    caseSensitive: process.env.SKU_MATCH_CASE_SENSITIVE === 'true',
+
+    // Whitespace handling: trim (ends only), remove (all whitespace) or exact (default: trim)
+    whitespace: process.env.SKU_MATCH_WHITESPACE || 'trim',
+
+    // Treat "00123" and "123" as the same SKU (default: false)
+    ignoreLeadingZeros: process.env.SKU_MATCH_IGNORE_LEADING_ZEROS === 'true',
+  },
+
+  // Existing Product Updates
+  productUpdates: {
+    // Update existing Shopify products instead of skipping them (default: false)
+    enabled: process.env.UPDATE_EXISTING_PRODUCTS === 'true',
+
+    // Fields to keep in sync with AIMSii (comma-separated)
+    // Available: price, title, tags, body, barcode
+    // Title, body and tags are usually AI-generated, so only price and barcode are synced by default
+    fields: (process.env.UPDATE_FIELDS || 'price,barcode')
+      .split(',')
+      .map(f => f.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // Review Queue Configuration
+  review: {
+    // Local file holding proposed Shopify payloads waiting for approval (REVIEW_MODE)
+    queuePath: process.env.REVIEW_QUEUE_PATH || path.join(process.cwd(), 'review-queue.json'),
+  },
+
+  // Sync State Configuration
+  state: {
+    // Local file storing the last successful watermark and per-SKU sync hashes
+    filePath: process.env.SYNC_STATE_PATH || path.join(process.cwd(), 'sync-state.json'),
+  },
+
+  // Scheduler Configuration
+  // Cron expressions (minute hour day-of-month month day-of-week) for the named jobs
+  schedule: {
+    // Timezone the schedules are evaluated in (default: the server's timezone)
+    // Example: "America/Denver" to run at 2am store time
+    timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+    // Full sync (default: every CHECK_INTERVAL_HOURS)
+    // Example: "0 2 * * *" for every day at 2am
+    fullSync: process.env.SYNC_SCHEDULE || hoursToCron(parseInt(process.env.CHECK_INTERVAL_HOURS || '24', 10)),
+
+    // Inventory-only sync, when INVENTORY_SYNC_ENABLED (default: every INVENTORY_SYNC_INTERVAL_MINUTES)
+    inventorySync: process.env.INVENTORY_SYNC_SCHEDULE || minutesToCron(parseInt(process.env.INVENTORY_SYNC_INTERVAL_MINUTES || '15', 10)),
+
+    // Retry of products in logs/failed-products.json (default: disabled)
+    // Example: "30 * * * *" for every hour at half past
+    failedRetry: process.env.FAILED_RETRY_SCHEDULE || null,
+
+    // Run jobs whose scheduled time passed while the service was down, once, on start (default: true)
+    catchUp: process.env.SCHEDULE_CATCH_UP !== 'false',
+
+    // Local file storing the last run of each job, used to detect missed runs
+    statePath: process.env.SCHEDULE_STATE_PATH || path.join(process.cwd(), 'schedule-state.json'),
+
+    // Directory for the lock files that keep runs from overlapping (also across processes)
+    lockDir: process.env.LOCK_DIR || process.cwd(),
+  },
+
+  // Backend Server Authentication
+  api: {
+    // API keys accepted by server.js (comma-separated "name:key:scopes")
+    // Scopes (separated by |): generate, sync, admin (admin allows everything)
+    // Example: "railway-cron:abc123:sync,ops:def456:admin"
+    keys: parseApiKeys(process.env.API_KEYS),
+
+    // Key the sync script sends to the backend server
+    // Accepted by the server with the generate scope, so it doesn't need to be listed in API_KEYS
+    backendApiKey: process.env.BACKEND_API_KEY || null,
+
+    // Allow unauthenticated requests when no keys are configured (local development only)
+    // Off by default: without keys, protected endpoints are refused until keys are set
+    allowUnauthenticated: process.env.ALLOW_UNAUTHENTICATED === 'true',
+
+    // Allow unauthenticated requests from this machine when no keys are configured
+    // and NODE_ENV=development (npm run dev)
+    allowLocalInDevelopment: process.env.NODE_ENV === 'development',
+  },
+
   // Retry Configuration
   retry: {
     maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
@@ -118,6 +379,13 @@ export const config = {
     backoffMultiplier: parseFloat(process.env.RETRY_BACKOFF_MULTIPLIER || '2'),
   },
 
+  // Failed Product Replay Configuration
+  failedProducts: {
+    // Replays of a product in logs/failed-products.json before it is moved to the
+    // dead-letter section and left out of further replays (default: 3)
+    maxReplayAttempts: parseInt(process.env.FAILED_REPLAY_MAX_ATTEMPTS || '3', 10),
+  },
+
   // Field Mapping: AIMSii field name -> Shopify field path
   // Customize this based on your AIMSii data structure
   fieldMapping: {
@@ -132,6 +400,7 @@ export const config = {
     'variants.price': process.env.AIMSII_FIELD_PRICE || 'price',
     'variants.sku': process.env.AIMSII_FIELD_SKU || 'sku',
     'variants.inventory_quantity': process.env.AIMSII_FIELD_QUANTITY || 'quantity',
+    'variants.barcode': process.env.AIMSII_FIELD_BARCODE || 'barcode',
 
     // Image
     'images.src': process.env.AIMSII_FIELD_IMAGE || 'imageUrl',
@@ -163,36 +432,75 @@ export const config = {
     // Run once and exit, or keep running on schedule
     runOnce: process.env.RUN_ONCE === 'true',
 
+    // Local development (NODE_ENV=development, set by npm run dev)
+    development: process.env.NODE_ENV === 'development',
+
     // Dry run mode (don't actually create products in Shopify)
     dryRun: process.env.DRY_RUN === 'true',
 
     // Review mode: Process batch, log results, and exit for manual review
-    // When true, processes only batchSize products, logs summary, and exits
+    // When true, transforms only batchSize products, writes the proposed payloads
+    // to the review queue and exits. Approve and publish them with `npm run review`
     // When false, processes all products in full auto mode
     reviewMode: process.env.REVIEW_MODE !== 'false', // default true for safety
+
+    // Seconds to wait for in-flight records on SIGTERM/SIGINT before checkpointing
+    // and exiting (default: 25). Keep it below the platform's kill timeout
+    shutdownTimeoutSeconds: parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS || '25', 10),
   },
 };
 
 /**
  * Validate required configuration
+ *
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireAI - Whether an AI provider key is required (default: true)
  */
-export function validateConfig() {
+export function validateConfig({ requireAI = true } = {}) {
   const required = [
-    { key: 'AIMSII_API_KEY', value: config.aimsii.apiKey },
-    { key: 'AIMSII_BASE_URL', value: config.aimsii.baseUrl },
-    { key: 'AIMSII_USERNAME', value: config.aimsii.username },
-    { key: 'AIMSII_PASSWORD', value: config.aimsii.password },
     { key: 'SHOPIFY_STORE', value: config.shopify.store },
     { key: 'SHOPIFY_ACCESS_TOKEN', value: config.shopify.accessToken },
   ];
 
+  // AIMSii credentials are only needed when reading from the API
+  if (config.source.type === 'aimsii') {
+    required.unshift(
+      { key: 'AIMSII_API_KEY', value: config.aimsii.apiKey },
+      { key: 'AIMSII_BASE_URL', value: config.aimsii.baseUrl },
+      { key: 'AIMSII_USERNAME', value: config.aimsii.username },
+      { key: 'AIMSII_PASSWORD', value: config.aimsii.password },
+    );
+  }
+
   // Validate the appropriate AI provider API key
-  if (config.ai.provider === 'openai') {
+  if (!requireAI) {
+    // Inventory-only sync doesn't transform products
+  } else if (config.ai.provider === 'openai') {
     required.push({ key: 'OPENAI_API_KEY', value: config.ai.openai.apiKey });
   } else if (config.ai.provider === 'gemini') {
     required.push({ key: 'GEMINI_API_KEY', value: config.ai.gemini.apiKey });
+  } else if (config.ai.provider === 'stub') {
+    // Replay needs no key; recording needs the key of the provider it records from
+    if (!['replay', 'record'].includes(config.ai.stub.mode)) {
+      throw new Error(`Invalid AI_STUB_MODE: ${config.ai.stub.mode}. Must be 'replay' or 'record'`);
+    }
+    if (!['openai', 'gemini'].includes(config.ai.stub.recordProvider)) {
+      throw new Error(`Invalid AI_STUB_RECORD_PROVIDER: ${config.ai.stub.recordProvider}. Must be 'openai' or 'gemini'`);
+    }
+    if (config.ai.stub.mode === 'record') {
+      required.push(config.ai.stub.recordProvider === 'openai'
+        ? { key: 'OPENAI_API_KEY', value: config.ai.openai.apiKey }
+        : { key: 'GEMINI_API_KEY', value: config.ai.gemini.apiKey });
+    }
   } else {
-    throw new Error(`Invalid AI_PROVIDER: ${config.ai.provider}. Must be 'openai' or 'gemini'`);
+    throw new Error(`Invalid AI_PROVIDER: ${config.ai.provider}. Must be 'openai', 'gemini' or 'stub'`);
+  }
+
+  // File-based sources need an export to read from
+  if (['xlsx', 'csv', 'json'].includes(config.source.type)) {
+    required.push({ key: 'INVENTORY_FILE_PATH', value: config.source.filePath });
+  } else if (config.source.type !== 'aimsii') {
+    throw new Error(`Invalid INVENTORY_SOURCE: ${config.source.type}. Must be 'aimsii', 'xlsx', 'csv' or 'json'`);
   }
 
   const missing = required.filter(({ value }) => !value);
@@ -208,6 +516,95 @@ export function validateConfig() {
     throw new Error('SKU field mapping is required (AIMSII_FIELD_SKU). This field is used for duplicate detection.');
   }
 
+  // Validate fields enabled for existing product updates
+  const updatableFields = ['price', 'title', 'tags', 'body', 'barcode'];
+  const invalidFields = config.productUpdates.fields.filter(f => !updatableFields.includes(f));
+  if (invalidFields.length > 0) {
+    throw new Error(`Invalid UPDATE_FIELDS: ${invalidFields.join(', ')}. Must be one of: ${updatableFields.join(', ')}`);
+  }
+
+  // Validate the Admin API base URL. The access token is sent there, so a host that
+  // isn't Shopify's is only expected in development (e.g. the emulator)
+  if (config.shopify.baseUrl) {
+    let baseUrl;
+    try {
+      baseUrl = new URL(config.shopify.baseUrl);
+    } catch {
+      baseUrl = null;
+    }
+
+    if (!baseUrl || !['http:', 'https:'].includes(baseUrl.protocol)) {
+      throw new Error(`Invalid SHOPIFY_BASE_URL: ${config.shopify.baseUrl}. Must be an http(s) URL`);
+    }
+
+    if (!/(^|\.)(myshopify|shopify)\.com$/.test(baseUrl.hostname) && !config.settings.development) {
+      logWarning(`SHOPIFY_BASE_URL points to ${baseUrl.host}, which is not a Shopify host. The Shopify access token is sent there; leave SHOPIFY_BASE_URL unset outside development`);
+    }
+  }
+
+  // Validate concurrency limits, Shopify pacing, replay attempts and AIMSii paging
+  for (const [key, value] of [
+    ['SYNC_CONCURRENCY', config.concurrency.workers],
+    ['AI_CONCURRENCY', config.concurrency.ai],
+    ['SHOPIFY_CONCURRENCY', config.concurrency.shopify],
+    ['SHOPIFY_REST_LEAK_RATE', config.shopify.restLeakRate],
+    ['SHOPIFY_MAX_THROTTLE_RETRIES', config.shopify.maxThrottleRetries],
+    ['FAILED_REPLAY_MAX_ATTEMPTS', config.failedProducts.maxReplayAttempts],
+    ['AIMSII_PAGE_SIZE', config.aimsii.pageSize],
+    ['AIMSII_MAX_PAGES', config.aimsii.maxPages]
+  ]) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`Invalid ${key}: must be a positive integer`);
+    }
+  }
+
+  if (!(config.aimsii.sessionTtlHours > 0)) {
+    throw new Error('Invalid AIMSII_SESSION_TTL_HOURS: must be a positive number');
+  }
+
+  // Validate schedules
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.schedule.timezone });
+  } catch {
+    throw new Error(`Invalid SCHEDULE_TIMEZONE: ${config.schedule.timezone}`);
+  }
+
+  // A cron step restarts every day (hour) so other intervals leave a shorter last gap,
+  // and longer ones would silently run daily (hourly)
+  if (!process.env.SYNC_SCHEDULE && !isEvenCronStep(config.sync.checkIntervalHours, 24)) {
+    throw new Error(`Invalid CHECK_INTERVAL_HOURS: ${config.sync.checkIntervalHours}. Must divide 24 (1, 2, 3, 4, 6, 8, 12 or 24); set SYNC_SCHEDULE for other schedules, e.g. "0 2 */2 * *" for every other day at 2am`);
+  }
+
+  if (config.inventorySync.enabled && !process.env.INVENTORY_SYNC_SCHEDULE && !isEvenCronStep(config.inventorySync.intervalMinutes, 60)) {
+    throw new Error(`Invalid INVENTORY_SYNC_INTERVAL_MINUTES: ${config.inventorySync.intervalMinutes}. Must divide 60 (e.g. 5, 10, 15, 20, 30 or 60); set INVENTORY_SYNC_SCHEDULE for other schedules`);
+  }
+
+  for (const [key, value] of [
+    ['SYNC_SCHEDULE', config.schedule.fullSync],
+    ['INVENTORY_SYNC_SCHEDULE', config.schedule.inventorySync],
+    ['FAILED_RETRY_SCHEDULE', config.schedule.failedRetry]
+  ]) {
+    if (!value) {
+      continue;
+    }
+    try {
+      new Cron(value, { paused: true });
+    } catch (error) {
+      throw new Error(`Invalid ${key} "${value}": ${error.message}`);
+    }
+  }
+
+  // Validate SKU whitespace handling
+  const whitespaceModes = ['trim', 'remove', 'exact'];
+  if (!whitespaceModes.includes(config.skuMatching.whitespace)) {
+    throw new Error(`Invalid SKU_MATCH_WHITESPACE: ${config.skuMatching.whitespace}. Must be one of: ${whitespaceModes.join(', ')}`);
+  }
+
+  // A Shopify SKU search can't ignore leading zeros or inner whitespace, so these rules need the index
+  if ((config.skuMatching.ignoreLeadingZeros || config.skuMatching.whitespace === 'remove') && !config.skuIndex.enabled) {
+    throw new Error('SKU_MATCH_IGNORE_LEADING_ZEROS=true and SKU_MATCH_WHITESPACE=remove need the SKU index. Set SKU_INDEX_ENABLED=true or change the SKU_MATCH_* rules.');
+  }
+
   return true;
 }
 
@@ -222,14 +619,17 @@ export function getLookbackTimestamp() {
 
 /**
  * Check if a category should be synced
+ *
+ * @param {string} category - Record category
+ * @param {Array<string>|null} categories - Run-specific focus categories (filter on, overriding the config)
  */
-export function shouldSyncCategory(category) {
-  if (!config.sync.filterByCategory) {
+export function shouldSyncCategory(category, categories = null) {
+  if (!categories && !config.sync.filterByCategory) {
     return true;
   }
 
   // Focus categories override allowedCategories if specified
-  const categoriesToCheck = config.sync.focusCategories || config.sync.allowedCategories;
+  const categoriesToCheck = categories || config.sync.focusCategories || config.sync.allowedCategories;
 
   if (categoriesToCheck.length === 0) {
     return true; // No filter specified, sync all
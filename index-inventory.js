@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Inventory-Only AIMSii to Shopify Sync Script
+ *
+ * Fast sync for stock count changes. This script:
+ * 1. Reads all inventory records from the configured source
+ * 2. Looks up existing Shopify variants in batches by SKU
+ * 3. Bulk-updates available quantities (per location when enabled)
+ *
+ * No AI transformation and no product creation - new SKUs are left for the full sync.
+ * Runs on INVENTORY_SYNC_SCHEDULE (default: every INVENTORY_SYNC_INTERVAL_MINUTES, 15).
+ */
+
+import { config } from './config.js';
+import { syncInventoryLevels } from './services/inventorySyncService.js';
+import { logInfo, logError } from './utils/logger.js';
+import { shutdownSignal, setupShutdownHandlers } from './utils/shutdown.js';
+import { startScheduler, runJob } from './utils/scheduler.js';
+
+/**
+ * Schedule recurring inventory-only sync
+ * Shares the inventory lock with the inventory job of the full sync service
+ */
+async function startScheduledInventorySync() {
+  logInfo('Starting inventory-only sync service');
+
+  const job = { name: 'inventory-sync', schedule: config.schedule.inventorySync, lock: 'inventory', run: () => syncInventoryLevels() };
+
+  if (config.settings.runOnce) {
+    const status = await runJob(job, 'start');
+
+    if (shutdownSignal.aborted) {
+      return;
+    }
+
+    logInfo('Run-once mode enabled. Exiting...');
+    process.exit(status === 'completed' ? 0 : 1);
+  }
+
+  await startScheduler([job]);
+
+  if (shutdownSignal.aborted) {
+    return;
+  }
+
+  logInfo('Inventory sync service is running. Press Ctrl+C to stop.');
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  try {
+    setupShutdownHandlers();
+    await startScheduledInventorySync();
+  } catch (error) {
+    logError('Failed to start inventory sync service', error);
+    process.exit(1);
+  }
+}
+
+// Run if this is the main module
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export { syncInventoryLevels };
@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+
+/**
+ * AIMSii Mock Server
+ *
+ * Local stand-in for the Tritech AIMSii API, implementing the flow used by
+ * aimsiiApiService.js: POST /GetEndpoint -> POST {endpoint}/Security -> GET
+ * {endpoint}{AIMSII_INVENTORY_ENDPOINT}. Serves a fixture inventory with
+ * pagination, the since/category filters, expiring tokens, injected errors and
+ * latency, so full sync runs can be tested offline.
+ *
+ * Usage: npm run mock:aimsii
+ * Then point the sync at it: AIMSII_BASE_URL=http://localhost:4010 INVENTORY_SOURCE=aimsii
+ *
+ * Control endpoints (no auth):
+ *   GET  /mock/stats     Request counts
+ *   POST /mock/records   Add records (object or array), created now unless they have created_at
+ *   POST /mock/revoke    Revoke all tokens, so the next request gets a 401
+ *   POST /mock/reset     Reload the fixture, drop tokens and reset counters
+ */
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Pagination styles the mock can serve
+const PAGINATION_MODES = ['page', 'cursor', 'none'];
+
+/**
+ * Read mock options from MOCK_AIMSII_* environment variables
+ */
+function optionsFromEnv() {
+  return {
+    port: parseInt(process.env.MOCK_AIMSII_PORT || '4010', 10),
+    fixturePath: process.env.MOCK_AIMSII_FIXTURE || path.join(__dirname, 'fixtures', 'aimsii', 'inventory.json'),
+    inventoryEndpoint: process.env.AIMSII_INVENTORY_ENDPOINT || '/api/inventory',
+    pagination: process.env.MOCK_AIMSII_PAGINATION || 'page',
+    maxPageSize: parseInt(process.env.MOCK_AIMSII_MAX_PAGE_SIZE || '100', 10),
+    tokenTtlSeconds: parseInt(process.env.MOCK_AIMSII_TOKEN_TTL_SECONDS || '3600', 10),
+    latencyMs: parseInt(process.env.MOCK_AIMSII_LATENCY_MS || '0', 10),
+    errorRate: parseFloat(process.env.MOCK_AIMSII_ERROR_RATE || '0'),
+    errorStatus: parseInt(process.env.MOCK_AIMSII_ERROR_STATUS || '503', 10),
+    apiKey: process.env.MOCK_AIMSII_API_KEY || null,
+    username: process.env.MOCK_AIMSII_USERNAME || null,
+    password: process.env.MOCK_AIMSII_PASSWORD || null
+  };
+}
+
+/**
+ * Load fixture records
+ * Records may use createdHoursAgo instead of created_at, so fixtures stay inside the sync lookback window
+ *
+ * @param {string} fixturePath - JSON file with an array of records (or { data | records: [...] })
+ * @returns {Array<Object>} Records
+ */
+export function loadFixture(fixturePath) {
+  const content = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+  const records = Array.isArray(content) ? content : content.data || content.records || [];
+  const now = Date.now();
+
+  return records.map(({ createdHoursAgo, ...record }) => ({
+    ...record,
+    created_at: record.created_at || new Date(now - (createdHoursAgo || 0) * 60 * 60 * 1000).toISOString()
+  }));
+}
+
+/**
+ * Create the mock AIMSii app
+ *
+ * @param {Object} overrides - Options overriding the MOCK_AIMSII_* environment variables
+ * @returns {Object} { app, state, options } - the Express app, its mutable state (records, tokens, stats) and the resolved options
+ */
+export function createAimsiiMockServer(overrides = {}) {
+  const options = { ...optionsFromEnv(), ...overrides };
+
+  if (!PAGINATION_MODES.includes(options.pagination)) {
+    throw new Error(`Invalid MOCK_AIMSII_PAGINATION: ${options.pagination}. Must be one of: ${PAGINATION_MODES.join(', ')}`);
+  }
+
+  const state = {
+    records: loadFixture(options.fixturePath),
+    // token -> expiry (epoch ms), for both OAuth and security tokens
+    tokens: new Map(),
+    stats: { getEndpoint: 0, security: 0, inventory: 0, rejected: 0, injectedErrors: 0 }
+  };
+
+  const issueToken = () => {
+    const token = randomUUID();
+    state.tokens.set(token, Date.now() + options.tokenTtlSeconds * 1000);
+    return token;
+  };
+
+  const isTokenValid = (token) => Boolean(token) && (state.tokens.get(token) || 0) > Date.now();
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  // Control endpoints (registered first, so latency and errors don't apply)
+  app.get('/mock/stats', (req, res) => {
+    res.json({ records: state.records.length, activeTokens: state.tokens.size, ...state.stats });
+  });
+
+  app.post('/mock/records', (req, res) => {
+    const added = (Array.isArray(req.body) ? req.body : [req.body]).map(record => ({
+      created_at: new Date().toISOString(),
+      ...record
+    }));
+    state.records.push(...added);
+    res.json({ added: added.length, records: state.records.length });
+  });
+
+  app.post('/mock/revoke', (req, res) => {
+    const revoked = state.tokens.size;
+    state.tokens.clear();
+    res.json({ revoked });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    state.records = loadFixture(options.fixturePath);
+    state.tokens.clear();
+    Object.keys(state.stats).forEach(key => { state.stats[key] = 0; });
+    res.json({ records: state.records.length });
+  });
+
+  // Latency and injected errors for the AIMSii endpoints
+  app.use(async (req, res, next) => {
+    if (options.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, options.latencyMs));
+    }
+
+    if (options.errorRate > 0 && Math.random() < options.errorRate) {
+      state.stats.injectedErrors++;
+      if ([429, 503].includes(options.errorStatus)) {
+        res.set('Retry-After', '1');
+      }
+      return res.status(options.errorStatus).json({ error: `Injected mock error (${options.errorStatus})` });
+    }
+
+    next();
+  });
+
+  // Step 1: API key -> endpoint domain and OAuth token
+  app.post('/GetEndpoint', (req, res) => {
+    state.stats.getEndpoint++;
+
+    if (options.apiKey && req.body?.APIKey !== options.apiKey) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    res.json({
+      NewEndpointDomain: `${req.protocol}://${req.get('host')}/session`,
+      OAuthToken: issueToken(),
+      ExpiresIn: options.tokenTtlSeconds
+    });
+  });
+
+  // Step 2: username/password -> security token
+  app.post('/session/Security', (req, res) => {
+    state.stats.security++;
+
+    if ((options.username && req.body?.UserName !== options.username) ||
+        (options.password && req.body?.Password !== options.password)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({ SecurityToken: issueToken(), ExpiresIn: options.tokenTtlSeconds });
+  });
+
+  // Inventory requests need both tokens
+  const requireTokens = (req, res, next) => {
+    const oauthToken = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+    if (!isTokenValid(oauthToken) || !isTokenValid(req.get('x-security-token'))) {
+      state.stats.rejected++;
+      return res.status(401).json({ error: 'Token expired or invalid' });
+    }
+
+    next();
+  };
+
+  app.get(`/session${options.inventoryEndpoint}`, requireTokens, (req, res) => {
+    state.stats.inventory++;
+
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const categories = req.query.category
+      ? String(req.query.category).split(',').map(category => category.trim().toLowerCase())
+      : null;
+
+    const matching = state.records.filter(record =>
+      (!since || isNaN(since.getTime()) || new Date(record.created_at) >= since) &&
+      (!categories || categories.includes(String(record.category || '').toLowerCase()))
+    );
+
+    if (options.pagination === 'none') {
+      return res.json(matching);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || options.maxPageSize, 1), options.maxPageSize);
+
+    if (options.pagination === 'cursor') {
+      const offset = req.query.cursor ? parseInt(Buffer.from(String(req.query.cursor), 'base64url').toString(), 10) || 0 : 0;
+      const nextOffset = offset + pageSize;
+
+      return res.json({
+        data: matching.slice(offset, nextOffset),
+        nextCursor: nextOffset < matching.length ? Buffer.from(String(nextOffset)).toString('base64url') : null
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    res.json({
+      data: matching.slice((page - 1) * pageSize, page * pageSize),
+      page,
+      pageSize,
+      totalRecords: matching.length,
+      totalPages: Math.ceil(matching.length / pageSize)
+    });
+  });
+
+  app.get(`/session${options.inventoryEndpoint}/:id`, requireTokens, (req, res) => {
+    state.stats.inventory++;
+
+    const record = state.records.find(r => String(r.id) === req.params.id || String(r.sku) === req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: `Record not found: ${req.params.id}` });
+    }
+
+    res.json(record);
+  });
+
+  return { app, state, options };
+}
+
+// Run as a standalone server (npm run mock:aimsii)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { app, state, options } = createAimsiiMockServer();
+
+  app.listen(options.port, () => {
+    console.log(`🧪 Mock AIMSii API running on http://localhost:${options.port}`);
+    console.log(`   ${state.records.length} records from ${options.fixturePath}`);
+    console.log(`   Pagination: ${options.pagination} (max ${options.maxPageSize}/page), token TTL: ${options.tokenTtlSeconds}s, latency: ${options.latencyMs}ms, error rate: ${options.errorRate}`);
+    console.log(`   Use AIMSII_BASE_URL=http://localhost:${options.port}`);
+  });
+}
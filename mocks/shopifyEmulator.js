@@ -0,0 +1,804 @@
+#!/usr/bin/env node
+
+/**
+ * Shopify Admin API Emulator
+ *
+ * Local, in-memory stand-in for the parts of the Shopify Admin API used by
+ * shopifyService.ts, so duplicate detection, product updates and inventory
+ * pushes can be tested end to end without a store:
+ *
+ * - REST: GET /admin/api/{version}/products.json
+ * - GraphQL (POST /admin/api/{version}/graphql.json): productSet, productUpdate,
+ *   productVariantsBulkUpdate, inventoryActivate, inventorySetQuantities,
+ *   bulkOperationRunQuery, productVariants (SKU search), product, locations
+ *   and node (bulk operations)
+ *
+ * Requests need an X-Shopify-Access-Token. Mutations are validated like Shopify
+ * does (userErrors), REST calls return X-Shopify-Shop-Api-Call-Limit and 429s
+ * from a leaky bucket, and GraphQL calls are costed and THROTTLED from a points
+ * bucket. GraphQL responses return every field the app selects; selections
+ * aren't trimmed.
+ *
+ * Usage: npm run mock:shopify
+ * Then point the sync at it: SHOPIFY_BASE_URL=http://localhost:4020
+ *
+ * Control endpoints (no auth):
+ *   GET  /mock/state     Products (with inventory levels), locations and bulk operations
+ *   POST /mock/products  Add products (fixture format, object or array)
+ *   POST /mock/reset     Reload the fixture and reset the rate limit buckets
+ */
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Field limits enforced on mutations
+const MAX_TEXT_LENGTH = 255;
+const MAX_TAGS = 250;
+const MAX_VARIANTS = 2048;
+const MAX_OPTIONS = 3;
+
+// Statuses accepted by productSet / productUpdate
+const PRODUCT_STATUSES = ['ACTIVE', 'ARCHIVED', 'DRAFT'];
+
+// Quantity names and reasons accepted by inventorySetQuantities
+const QUANTITY_NAMES = ['available', 'on_hand'];
+const QUANTITY_REASONS = ['correction', 'cycle_count_available', 'damaged', 'other', 'promotion', 'quality_control', 'received', 'restock', 'safety_stock', 'shrinkage'];
+
+// Cost of a mutation and of a query field, before connections
+const MUTATION_COST = 10;
+const FIELD_COST = 1;
+
+/**
+ * Read emulator options from MOCK_SHOPIFY_* environment variables
+ */
+function optionsFromEnv() {
+  return {
+    port: parseInt(process.env.MOCK_SHOPIFY_PORT || '4020', 10),
+    fixturePath: process.env.MOCK_SHOPIFY_FIXTURE || path.join(__dirname, 'fixtures', 'shopify', 'store.json'),
+    accessToken: process.env.MOCK_SHOPIFY_ACCESS_TOKEN || null,
+    restBucketSize: parseInt(process.env.MOCK_SHOPIFY_REST_BUCKET_SIZE || '40', 10),
+    restLeakRate: parseFloat(process.env.MOCK_SHOPIFY_REST_LEAK_RATE || '2'),
+    graphqlPoints: parseInt(process.env.MOCK_SHOPIFY_GRAPHQL_POINTS || '1000', 10),
+    graphqlRestoreRate: parseFloat(process.env.MOCK_SHOPIFY_GRAPHQL_RESTORE_RATE || '50'),
+    bulkDelayMs: parseInt(process.env.MOCK_SHOPIFY_BULK_DELAY_MS || '500', 10),
+    latencyMs: parseInt(process.env.MOCK_SHOPIFY_LATENCY_MS || '0', 10)
+  };
+}
+
+const gid = (type, id) => `gid://shopify/${type}/${id}`;
+
+/**
+ * Get the numeric ID of a global ID of the given type (null if it is another type)
+ */
+const idFromGid = (value, type) => {
+  const match = String(value || '').match(/^gid:\/\/shopify\/(\w+)\/(\d+)$/);
+  return match && match[1] === type ? Number(match[2]) : null;
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const userError = (field, message, code = 'INVALID') => ({ field, message, code });
+
+/**
+ * Check a Money value (non-negative decimal)
+ */
+const isValidPrice = (price) => /^\d+(\.\d{1,2})?$/.test(String(price).trim());
+
+/**
+ * In-memory store: products, variants, inventory items, locations and bulk operations
+ */
+function createStore() {
+  let nextId = 1001;
+
+  const store = {
+    products: new Map(),
+    variants: new Map(),
+    inventoryItems: new Map(),
+    locations: new Map(),
+    bulkOperations: new Map(),
+    newId: () => nextId++
+  };
+
+  return store;
+}
+
+/**
+ * Add a location
+ */
+function addLocation(store, { name, isActive = true }) {
+  const id = store.newId();
+  store.locations.set(id, { id, name, isActive });
+  return id;
+}
+
+/**
+ * Find a location by name
+ */
+function findLocationByName(store, name) {
+  return Array.from(store.locations.values()).find(location => location.name === name) || null;
+}
+
+/**
+ * Validate a ProductSetInput like Shopify does
+ *
+ * @param {Object} store - Store (for location lookups)
+ * @param {Object} input - ProductSetInput
+ * @returns {Array<Object>} userErrors (empty when valid)
+ */
+function validateProductSetInput(store, input) {
+  const errors = [];
+  const variants = input.variants || [];
+  const options = input.productOptions || [];
+
+  if (isBlank(input.title)) {
+    errors.push(userError(['input', 'title'], "Title can't be blank", 'BLANK'));
+  } else if (String(input.title).length > MAX_TEXT_LENGTH) {
+    errors.push(userError(['input', 'title'], `Title is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+  }
+
+  if (input.status && !PRODUCT_STATUSES.includes(input.status)) {
+    errors.push(userError(['input', 'status'], `Status must be one of ${PRODUCT_STATUSES.join(', ')}`));
+  }
+
+  if ((input.tags || []).length > MAX_TAGS) {
+    errors.push(userError(['input', 'tags'], `Tags can't exceed ${MAX_TAGS}`));
+  }
+
+  (input.tags || []).forEach((tag, i) => {
+    if (String(tag).length > MAX_TEXT_LENGTH) {
+      errors.push(userError(['input', 'tags', String(i)], `Tag is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+    }
+  });
+
+  if (options.length === 0 || options.length > MAX_OPTIONS) {
+    errors.push(userError(['input', 'productOptions'], `Products must have between 1 and ${MAX_OPTIONS} options`));
+  }
+
+  if (variants.length === 0) {
+    errors.push(userError(['input', 'variants'], 'Products must have at least one variant'));
+  } else if (variants.length > MAX_VARIANTS) {
+    errors.push(userError(['input', 'variants'], `Products can't have more than ${MAX_VARIANTS} variants`));
+  }
+
+  const seenCombinations = new Set();
+
+  variants.forEach((variant, i) => {
+    const field = ['input', 'variants', String(i)];
+
+    for (const { optionName, name } of variant.optionValues || []) {
+      const option = options.find(o => o.name === optionName);
+      if (!option) {
+        errors.push(userError([...field, 'optionValues'], `Option '${optionName}' does not exist`, 'OPTION_DOES_NOT_EXIST'));
+      } else if (!(option.values || []).some(value => value.name === name)) {
+        errors.push(userError([...field, 'optionValues'], `Option value '${name}' does not exist for option '${optionName}'`, 'OPTION_VALUE_DOES_NOT_EXIST'));
+      }
+    }
+
+    const combination = (variant.optionValues || []).map(value => `${value.optionName}:${value.name}`).join('/');
+    if (seenCombinations.has(combination)) {
+      errors.push(userError(field, `The variant '${(variant.optionValues || []).map(value => value.name).join(' / ')}' already exists.`, 'DUPLICATE_VARIANT'));
+    }
+    seenCombinations.add(combination);
+
+    if (variant.price !== undefined && !isValidPrice(variant.price)) {
+      errors.push(userError([...field, 'price'], 'Price must be a number greater than or equal to 0'));
+    }
+
+    if (String(variant.inventoryItem?.sku ?? '').length > MAX_TEXT_LENGTH) {
+      errors.push(userError([...field, 'inventoryItem', 'sku'], `SKU is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+    }
+
+    if (String(variant.barcode ?? '').length > MAX_TEXT_LENGTH) {
+      errors.push(userError([...field, 'barcode'], `Barcode is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+    }
+
+    (variant.inventoryQuantities || []).forEach((quantity, j) => {
+      const quantityField = [...field, 'inventoryQuantities', String(j)];
+      if (!store.locations.has(idFromGid(quantity.locationId, 'Location'))) {
+        errors.push(userError([...quantityField, 'locationId'], 'The specified location could not be found.', 'INVALID_LOCATION'));
+      }
+      if (!QUANTITY_NAMES.includes(quantity.name)) {
+        errors.push(userError([...quantityField, 'name'], `The quantity name must be one of: ${QUANTITY_NAMES.join(', ')}`, 'INVALID_NAME'));
+      }
+      if (!Number.isInteger(quantity.quantity)) {
+        errors.push(userError([...quantityField, 'quantity'], 'The quantity must be an integer.', 'INVALID_QUANTITY'));
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Create a product from a (validated) ProductSetInput
+ * Variants may carry `inventory` ({ locationName: quantity }) when seeded from a fixture
+ *
+ * @returns {Object} The stored product
+ */
+function createProduct(store, input) {
+  const id = store.newId();
+  const product = {
+    id,
+    title: input.title,
+    descriptionHtml: input.descriptionHtml || '',
+    vendor: input.vendor || '',
+    productType: input.productType || '',
+    tags: input.tags || [],
+    status: input.status || 'ACTIVE',
+    createdAt: new Date().toISOString(),
+    variantIds: []
+  };
+  store.products.set(id, product);
+
+  for (const variantInput of input.variants || [{}]) {
+    const inventoryItemId = store.newId();
+    const levels = new Map();
+
+    for (const [locationName, quantity] of Object.entries(variantInput.inventory || {})) {
+      const location = findLocationByName(store, locationName);
+      if (location) {
+        levels.set(location.id, quantity);
+      }
+    }
+
+    for (const { locationId, quantity } of variantInput.inventoryQuantities || []) {
+      levels.set(idFromGid(locationId, 'Location'), quantity);
+    }
+
+    store.inventoryItems.set(inventoryItemId, {
+      id: inventoryItemId,
+      sku: variantInput.inventoryItem?.sku ?? variantInput.sku ?? null,
+      tracked: variantInput.inventoryItem?.tracked ?? true,
+      levels
+    });
+
+    const variantId = store.newId();
+    store.variants.set(variantId, {
+      id: variantId,
+      productId: id,
+      price: String(variantInput.price ?? '0.00'),
+      barcode: variantInput.barcode ?? null,
+      title: (variantInput.optionValues || []).map(value => value.name).join(' / ') || 'Default Title',
+      inventoryItemId
+    });
+    product.variantIds.push(variantId);
+  }
+
+  return product;
+}
+
+/**
+ * Convert a fixture product (REST-like variants with sku/price/inventory) to a ProductSetInput
+ */
+function fixtureToProductSetInput(product) {
+  const variants = product.variants?.length ? product.variants : [{}];
+
+  return {
+    ...product,
+    tags: Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+    productOptions: [{ name: 'Title', values: variants.map((_, i) => ({ name: i === 0 ? 'Default Title' : `Variant ${i + 1}` })) }],
+    variants: variants.map((variant, i) => ({
+      ...variant,
+      optionValues: [{ optionName: 'Title', name: i === 0 ? 'Default Title' : `Variant ${i + 1}` }],
+      inventoryItem: { sku: variant.sku, tracked: true }
+    }))
+  };
+}
+
+/**
+ * Load the fixture into a new store
+ */
+function loadStore(fixturePath) {
+  const store = createStore();
+  const fixture = fixturePath ? JSON.parse(fs.readFileSync(fixturePath, 'utf-8')) : {};
+
+  (fixture.locations || [{ name: 'Shop location' }]).forEach(location => addLocation(store, location));
+  (fixture.products || []).forEach(product => createProduct(store, fixtureToProductSetInput(product)));
+
+  return store;
+}
+
+/**
+ * GraphQL shape of a variant
+ */
+function variantNode(store, variant) {
+  const product = store.products.get(variant.productId);
+  const inventoryItem = store.inventoryItems.get(variant.inventoryItemId);
+
+  return {
+    id: gid('ProductVariant', variant.id),
+    sku: inventoryItem?.sku ?? null,
+    price: variant.price,
+    barcode: variant.barcode,
+    title: variant.title,
+    inventoryItem: { id: gid('InventoryItem', variant.inventoryItemId) },
+    product: { id: gid('Product', product.id), title: product.title }
+  };
+}
+
+/**
+ * GraphQL shape of a product
+ */
+function productNode(store, product) {
+  const variants = product.variantIds.map(id => variantNode(store, store.variants.get(id)));
+
+  return {
+    id: gid('Product', product.id),
+    title: product.title,
+    descriptionHtml: product.descriptionHtml,
+    vendor: product.vendor,
+    productType: product.productType,
+    tags: product.tags,
+    status: product.status,
+    variants: { nodes: variants, edges: variants.map(node => ({ node })) }
+  };
+}
+
+/**
+ * REST shape of a product
+ */
+function restProduct(store, product) {
+  return {
+    id: product.id,
+    title: product.title,
+    body_html: product.descriptionHtml,
+    vendor: product.vendor,
+    product_type: product.productType,
+    tags: product.tags.join(', '),
+    status: product.status.toLowerCase(),
+    created_at: product.createdAt,
+    variants: product.variantIds.map(id => {
+      const variant = store.variants.get(id);
+      return {
+        id: variant.id,
+        product_id: product.id,
+        title: variant.title,
+        sku: store.inventoryItems.get(variant.inventoryItemId)?.sku ?? null,
+        price: variant.price,
+        barcode: variant.barcode,
+        inventory_item_id: variant.inventoryItemId
+      };
+    })
+  };
+}
+
+/**
+ * Search variants like Shopify's `sku:` search (tokenized, so values match as prefixes)
+ * Supports terms joined with OR, e.g. sku:"FG800" OR sku:"fg800"
+ */
+function searchVariants(store, searchQuery) {
+  const terms = Array.from(String(searchQuery || '').matchAll(/sku:(?:"((?:[^"\\]|\\.)*)"|(\S+))/gi))
+    .map(match => (match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]).toLowerCase());
+
+  const variants = Array.from(store.variants.values());
+
+  if (terms.length === 0) {
+    return variants;
+  }
+
+  return variants.filter(variant => {
+    const sku = String(store.inventoryItems.get(variant.inventoryItemId)?.sku ?? '').toLowerCase();
+    return sku && terms.some(term => sku.startsWith(term));
+  });
+}
+
+/**
+ * Page through a list with first/after (cursors are base64 offsets)
+ */
+function paginate(items, first, after) {
+  const offset = after ? parseInt(Buffer.from(String(after), 'base64').toString(), 10) + 1 : 0;
+  const page = items.slice(offset, offset + first);
+
+  return {
+    edges: page.map((node, i) => ({ node, cursor: Buffer.from(String(offset + i)).toString('base64') })),
+    pageInfo: {
+      hasNextPage: offset + first < items.length,
+      endCursor: page.length > 0 ? Buffer.from(String(offset + page.length - 1)).toString('base64') : null
+    }
+  };
+}
+
+/**
+ * Find the root field of a GraphQL document (e.g. 'productSet' in `mutation x { productSet(...) {...} }`)
+ */
+function getRootField(query) {
+  const body = String(query).slice(String(query).indexOf('{') + 1);
+  return body.match(/^\s*(\w+)/)?.[1] || null;
+}
+
+/**
+ * Read a connection size argument, literal (first: 250) or from a variable (first: $first)
+ */
+function getFirstArgument(query, field, variables, fallback) {
+  const match = String(query).match(new RegExp(`${field}\\s*\\([^)]*first:\\s*(\\$?\\w+)`));
+  if (!match) {
+    return fallback;
+  }
+  return match[1].startsWith('$') ? Number(variables[match[1].slice(1)] ?? fallback) : Number(match[1]);
+}
+
+/**
+ * Estimate the cost of a GraphQL request: each connection costs 2 + its size, mutations 10
+ */
+function estimateQueryCost(query, variables) {
+  const isMutation = /^\s*mutation\b/.test(query);
+  const connections = Array.from(String(query).matchAll(/first:\s*(\$?\w+)/g)).reduce((total, match) => {
+    const size = match[1].startsWith('$') ? Number(variables[match[1].slice(1)] || 0) : Number(match[1]);
+    return total + 2 + (Number.isFinite(size) ? size : 0);
+  }, 0);
+
+  return (isMutation ? MUTATION_COST : FIELD_COST) + connections;
+}
+
+/**
+ * GraphQL resolvers by root field: (store, variables, context) => data
+ */
+const RESOLVERS = {
+  productSet(store, { input = {} }) {
+    const userErrors = validateProductSetInput(store, input);
+    if (userErrors.length > 0) {
+      return { productSet: { product: null, userErrors } };
+    }
+
+    const product = createProduct(store, input);
+    return { productSet: { product: productNode(store, product), userErrors: [] } };
+  },
+
+  productUpdate(store, { input = {} }) {
+    const product = store.products.get(idFromGid(input.id, 'Product'));
+    if (!product) {
+      return { productUpdate: { product: null, userErrors: [userError(['id'], 'Product does not exist', 'PRODUCT_DOES_NOT_EXIST')] } };
+    }
+
+    const userErrors = [];
+    if (input.title !== undefined && isBlank(input.title)) {
+      userErrors.push(userError(['title'], "Title can't be blank", 'BLANK'));
+    } else if (input.title !== undefined && String(input.title).length > MAX_TEXT_LENGTH) {
+      userErrors.push(userError(['title'], `Title is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+    }
+    if (input.status !== undefined && !PRODUCT_STATUSES.includes(input.status)) {
+      userErrors.push(userError(['status'], `Status must be one of ${PRODUCT_STATUSES.join(', ')}`));
+    }
+    if (userErrors.length > 0) {
+      return { productUpdate: { product: null, userErrors } };
+    }
+
+    for (const field of ['title', 'descriptionHtml', 'vendor', 'productType', 'tags', 'status']) {
+      if (input[field] !== undefined) {
+        product[field] = input[field];
+      }
+    }
+
+    return { productUpdate: { product: productNode(store, product), userErrors: [] } };
+  },
+
+  productVariantsBulkUpdate(store, { productId, variants = [] }) {
+    const product = store.products.get(idFromGid(productId, 'Product'));
+    if (!product) {
+      return { productVariantsBulkUpdate: { productVariants: null, userErrors: [userError(['productId'], 'Product does not exist', 'PRODUCT_DOES_NOT_EXIST')] } };
+    }
+
+    const userErrors = [];
+    variants.forEach((input, i) => {
+      const variantId = idFromGid(input.id, 'ProductVariant');
+      if (!product.variantIds.includes(variantId)) {
+        userErrors.push(userError(['variants', String(i), 'id'], 'Product variant does not exist', 'PRODUCT_VARIANT_DOES_NOT_EXIST'));
+      }
+      if (input.price !== undefined && !isValidPrice(input.price)) {
+        userErrors.push(userError(['variants', String(i), 'price'], 'Price must be a number greater than or equal to 0'));
+      }
+      if (input.barcode !== undefined && String(input.barcode ?? '').length > MAX_TEXT_LENGTH) {
+        userErrors.push(userError(['variants', String(i), 'barcode'], `Barcode is too long (maximum is ${MAX_TEXT_LENGTH} characters)`, 'TOO_LONG'));
+      }
+    });
+    if (userErrors.length > 0) {
+      return { productVariantsBulkUpdate: { productVariants: null, userErrors } };
+    }
+
+    const updated = variants.map(input => {
+      const variant = store.variants.get(idFromGid(input.id, 'ProductVariant'));
+      if (input.price !== undefined) {
+        variant.price = String(input.price);
+      }
+      if (input.barcode !== undefined) {
+        variant.barcode = input.barcode;
+      }
+      return variantNode(store, variant);
+    });
+
+    return { productVariantsBulkUpdate: { productVariants: updated, userErrors: [] } };
+  },
+
+  inventoryActivate(store, { inventoryItemId, locationId }) {
+    const item = store.inventoryItems.get(idFromGid(inventoryItemId, 'InventoryItem'));
+    const location = store.locations.get(idFromGid(locationId, 'Location'));
+
+    const userErrors = [];
+    if (!item) {
+      userErrors.push(userError(['inventoryItemId'], 'Inventory item does not exist', 'NOT_FOUND'));
+    }
+    if (!location) {
+      userErrors.push(userError(['locationId'], 'Location does not exist', 'NOT_FOUND'));
+    } else if (!location.isActive) {
+      userErrors.push(userError(['locationId'], 'Inventory can only be stocked at active locations', 'LOCATION_NOT_ACTIVE'));
+    }
+    if (userErrors.length > 0) {
+      return { inventoryActivate: { inventoryLevel: null, userErrors } };
+    }
+
+    if (!item.levels.has(location.id)) {
+      item.levels.set(location.id, 0);
+    }
+
+    return { inventoryActivate: { inventoryLevel: { id: gid('InventoryLevel', `${item.id}?inventory_item_id=${location.id}`) }, userErrors: [] } };
+  },
+
+  inventorySetQuantities(store, { input = {} }) {
+    const userErrors = [];
+
+    if (!QUANTITY_NAMES.includes(input.name)) {
+      userErrors.push(userError(['input', 'name'], `The quantity name must be one of: ${QUANTITY_NAMES.join(', ')}`, 'INVALID_NAME'));
+    }
+    if (!QUANTITY_REASONS.includes(input.reason)) {
+      userErrors.push(userError(['input', 'reason'], `The reason must be one of: ${QUANTITY_REASONS.join(', ')}`, 'INVALID_REASON'));
+    }
+
+    (input.quantities || []).forEach((quantity, i) => {
+      const field = ['input', 'quantities', String(i)];
+      const item = store.inventoryItems.get(idFromGid(quantity.inventoryItemId, 'InventoryItem'));
+      const locationId = idFromGid(quantity.locationId, 'Location');
+
+      if (!item) {
+        userErrors.push(userError([...field, 'inventoryItemId'], 'The specified inventory item could not be found.', 'INVALID_INVENTORY_ITEM'));
+      } else if (!store.locations.has(locationId)) {
+        userErrors.push(userError([...field, 'locationId'], 'The specified location could not be found.', 'INVALID_LOCATION'));
+      } else if (!item.levels.has(locationId)) {
+        userErrors.push(userError([...field, 'locationId'], 'The specified inventory item is not stocked at the location.', 'ITEM_NOT_STOCKED_AT_LOCATION'));
+      }
+      if (!Number.isInteger(quantity.quantity)) {
+        userErrors.push(userError([...field, 'quantity'], 'The quantity must be an integer.', 'INVALID_QUANTITY'));
+      }
+      if (!input.ignoreCompareQuantity && quantity.compareQuantity === undefined) {
+        userErrors.push(userError([...field, 'compareQuantity'], 'The compareQuantity argument must be given unless ignoreCompareQuantity is true.', 'COMPARE_QUANTITY_REQUIRED'));
+      }
+    });
+
+    if (userErrors.length > 0) {
+      return { inventorySetQuantities: { inventoryAdjustmentGroup: null, userErrors } };
+    }
+
+    for (const quantity of input.quantities || []) {
+      store.inventoryItems.get(idFromGid(quantity.inventoryItemId, 'InventoryItem')).levels
+        .set(idFromGid(quantity.locationId, 'Location'), quantity.quantity);
+    }
+
+    return { inventorySetQuantities: { inventoryAdjustmentGroup: { id: gid('InventoryAdjustmentGroup', store.newId()) }, userErrors: [] } };
+  },
+
+  bulkOperationRunQuery(store, { query }, { options }) {
+    const running = Array.from(store.bulkOperations.values()).find(operation => Date.now() < operation.completesAt);
+    if (running) {
+      return { bulkOperationRunQuery: { bulkOperation: null, userErrors: [userError(null, `A bulk query operation for this app and shop is already in progress: ${gid('BulkOperation', running.id)}.`, 'OPERATION_IN_PROGRESS')] } };
+    }
+
+    if (getRootField(query) !== 'productVariants') {
+      return { bulkOperationRunQuery: { bulkOperation: null, userErrors: [userError(['query'], 'The emulator only supports productVariants bulk exports', 'INVALID')] } };
+    }
+
+    // Snapshot the variants now; the results file is served once the operation completes
+    const id = store.newId();
+    const lines = Array.from(store.variants.values()).map(variant => {
+      const { id: variantId, sku, product, inventoryItem } = variantNode(store, variant);
+      return JSON.stringify({ id: variantId, sku, product: { id: product.id }, inventoryItem });
+    });
+    store.bulkOperations.set(id, { id, lines, completesAt: Date.now() + options.bulkDelayMs });
+
+    return { bulkOperationRunQuery: { bulkOperation: { id: gid('BulkOperation', id), status: 'CREATED' }, userErrors: [] } };
+  },
+
+  productVariants(store, variables, { query }) {
+    const first = getFirstArgument(query, 'productVariants', variables, 50);
+    const matches = searchVariants(store, variables.query).map(variant => variantNode(store, variant));
+    return { productVariants: paginate(matches, first, variables.after) };
+  },
+
+  product(store, { id }) {
+    const product = store.products.get(idFromGid(id, 'Product'));
+    return { product: product ? productNode(store, product) : null };
+  },
+
+  locations(store, variables, { query }) {
+    const first = getFirstArgument(query, 'locations', variables, 50);
+    const locations = Array.from(store.locations.values()).map(location => ({
+      id: gid('Location', location.id),
+      name: location.name,
+      isActive: location.isActive
+    }));
+    return { locations: paginate(locations, first, variables.after) };
+  },
+
+  node(store, { id }, { origin }) {
+    const operation = store.bulkOperations.get(idFromGid(id, 'BulkOperation'));
+    if (!operation) {
+      return { node: null };
+    }
+
+    const completed = Date.now() >= operation.completesAt;
+    return {
+      node: {
+        id: gid('BulkOperation', operation.id),
+        status: completed ? 'COMPLETED' : 'RUNNING',
+        errorCode: null,
+        objectCount: String(completed ? operation.lines.length : 0),
+        // Shopify returns no file for an export without results
+        url: completed && operation.lines.length > 0 ? `${origin}/mock/bulk/${operation.id}.jsonl` : null
+      }
+    };
+  }
+};
+
+/**
+ * Create the Shopify emulator app
+ *
+ * @param {Object} overrides - Options overriding the MOCK_SHOPIFY_* environment variables
+ * @returns {Object} { app, state, options } - the Express app, its mutable state (store, rate limit buckets) and the resolved options
+ */
+export function createShopifyEmulator(overrides = {}) {
+  const options = { ...optionsFromEnv(), ...overrides };
+
+  const newBuckets = () => ({
+    rest: { used: 0, updatedAt: Date.now() },
+    graphql: { available: options.graphqlPoints, updatedAt: Date.now() }
+  });
+
+  const state = {
+    store: loadStore(options.fixturePath),
+    buckets: newBuckets()
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  // Control endpoints (no auth, latency or rate limits)
+  app.get('/mock/state', (req, res) => {
+    const { store } = state;
+    res.json({
+      products: Array.from(store.products.values()).map(product => ({
+        ...restProduct(store, product),
+        inventory: Object.fromEntries(product.variantIds.map(variantId => {
+          const item = store.inventoryItems.get(store.variants.get(variantId).inventoryItemId);
+          const levels = Array.from(item.levels.entries()).map(([locationId, quantity]) => [store.locations.get(locationId).name, quantity]);
+          return [item.sku, Object.fromEntries(levels)];
+        }))
+      })),
+      locations: Array.from(store.locations.values()),
+      bulkOperations: Array.from(store.bulkOperations.values()).map(({ id, lines, completesAt }) => ({ id, objectCount: lines.length, completesAt: new Date(completesAt).toISOString() }))
+    });
+  });
+
+  app.post('/mock/products', (req, res) => {
+    const products = (Array.isArray(req.body) ? req.body : [req.body])
+      .map(product => productNode(state.store, createProduct(state.store, fixtureToProductSetInput(product))));
+    res.json({ added: products.length, products });
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    state.store = loadStore(options.fixturePath);
+    state.buckets = newBuckets();
+    res.json({ products: state.store.products.size });
+  });
+
+  // Bulk operation results (a signed file URL on Shopify, so no access token)
+  app.get('/mock/bulk/:file', (req, res) => {
+    const operation = state.store.bulkOperations.get(parseInt(req.params.file, 10));
+    if (!operation || Date.now() < operation.completesAt) {
+      return res.status(404).send('Not Found');
+    }
+    res.type('application/jsonl').send(operation.lines.join('\n') + '\n');
+  });
+
+  // Latency and access token check for the Admin API
+  app.use('/admin/api', async (req, res, next) => {
+    if (options.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, options.latencyMs));
+    }
+
+    const token = req.get('x-shopify-access-token');
+    if (!token || (options.accessToken && token !== options.accessToken)) {
+      return res.status(401).json({ errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+
+    next();
+  });
+
+  app.get('/admin/api/:version/products.json', (req, res) => {
+    // REST leaky bucket: requests leak out at restLeakRate per second
+    const bucket = state.buckets.rest;
+    bucket.used = Math.max(0, bucket.used - ((Date.now() - bucket.updatedAt) / 1000) * options.restLeakRate);
+    bucket.updatedAt = Date.now();
+
+    if (bucket.used + 1 > options.restBucketSize) {
+      res.set('Retry-After', (1 / options.restLeakRate).toFixed(1));
+      return res.status(429).json({ errors: `Exceeded ${options.restLeakRate} calls per second for api client. Reduce request rates to resume uninterrupted service.` });
+    }
+
+    bucket.used += 1;
+    res.set('X-Shopify-Shop-Api-Call-Limit', `${Math.ceil(bucket.used)}/${options.restBucketSize}`);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 250);
+    const products = Array.from(state.store.products.values()).slice(0, limit);
+    res.json({ products: products.map(product => restProduct(state.store, product)) });
+  });
+
+  app.post('/admin/api/:version/graphql.json', (req, res) => {
+    const { query, variables = {} } = req.body || {};
+
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ errors: { query: 'Required parameter missing or invalid' } });
+    }
+
+    // GraphQL points bucket: restores at graphqlRestoreRate per second
+    const bucket = state.buckets.graphql;
+    bucket.available = Math.min(options.graphqlPoints, bucket.available + ((Date.now() - bucket.updatedAt) / 1000) * options.graphqlRestoreRate);
+    bucket.updatedAt = Date.now();
+
+    const cost = estimateQueryCost(query, variables);
+    const throttleStatus = () => ({
+      maximumAvailable: options.graphqlPoints,
+      currentlyAvailable: Math.floor(bucket.available),
+      restoreRate: options.graphqlRestoreRate
+    });
+
+    if (cost > options.graphqlPoints) {
+      return res.json({
+        errors: [{ message: `Query cost is ${cost}, which exceeds the single query max cost limit (${options.graphqlPoints}).`, extensions: { code: 'MAX_COST_EXCEEDED', cost, maxCost: options.graphqlPoints } }]
+      });
+    }
+
+    if (cost > bucket.available) {
+      return res.json({
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED', documentation: 'https://shopify.dev/api/usage/rate-limits' } }],
+        extensions: { cost: { requestedQueryCost: cost, actualQueryCost: null, throttleStatus: throttleStatus() } }
+      });
+    }
+
+    const rootField = getRootField(query);
+    const resolver = Object.hasOwn(RESOLVERS, rootField) ? RESOLVERS[rootField] : null;
+
+    if (!resolver) {
+      return res.json({
+        errors: [{ message: `Field '${rootField}' isn't supported by the emulator`, extensions: { code: 'undefinedField', fieldName: rootField } }]
+      });
+    }
+
+    const data = resolver(state.store, variables, { query, options, origin: `${req.protocol}://${req.get('host')}` });
+
+    // Like Shopify, unused connection slots of the root field are refunded
+    const returned = data[rootField]?.edges?.length;
+    const actualCost = returned === undefined ? cost : cost - Math.max(0, getFirstArgument(query, rootField, variables, 0) - returned);
+    bucket.available -= actualCost;
+
+    res.json({
+      data,
+      extensions: { cost: { requestedQueryCost: cost, actualQueryCost: actualCost, throttleStatus: throttleStatus() } }
+    });
+  });
+
+  return { app, state, options };
+}
+
+// Run as a standalone server (npm run mock:shopify)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const { app, state, options } = createShopifyEmulator();
+
+  app.listen(options.port, () => {
+    console.log(`🧪 Shopify Admin API emulator running on http://localhost:${options.port}`);
+    console.log(`   ${state.store.products.size} products and ${state.store.locations.size} locations from ${options.fixturePath}`);
+    console.log(`   REST bucket: ${options.restBucketSize} (leak ${options.restLeakRate}/s), GraphQL: ${options.graphqlPoints} points (restore ${options.graphqlRestoreRate}/s)`);
+    console.log(`   Use SHOPIFY_BASE_URL=http://localhost:${options.port}`);
+  });
+}
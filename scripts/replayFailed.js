@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Failed Product Replay CLI
+ *
+ * Replay records from logs/failed-products.json through the sync pipeline.
+ * Recovered products are removed from the file; products that keep failing are
+ * moved to its dead-letter section after FAILED_REPLAY_MAX_ATTEMPTS replays.
+ *
+ * Usage (npm run replay -- <command> [filters]):
+ *   list                          List failed products (and the dead-letter section)
+ *   run                           Replay failed products
+ *
+ * Filters:
+ *   --sku <sku,sku>               Only these SKUs
+ *   --error <pattern>             Only errors matching this pattern (case-insensitive regex)
+ *   --since <date>                Only products that last failed at or after this date
+ *   --until <date>                Only products that last failed at or before this date
+ *   --dead-letter                 Include dead-lettered products
+ *
+ * Options for run:
+ *   --mode <standard|ai-enhanced> Sync pipeline to replay through (default: standard)
+ *   --dry-run                     Process without creating products or changing the file
+ */
+
+import { config, validateConfig } from '../config.js';
+import { selectFailedProducts, replayFailedProducts } from '../services/failedProductService.js';
+import { getDeadLetterProducts, logError } from '../utils/logger.js';
+import { acquireLock } from '../utils/lockFile.js';
+
+// Sync pipelines by mode, loaded on demand
+const PIPELINES = {
+  standard: () => import('../index.js'),
+  'ai-enhanced': () => import('../index-ai-enhanced.js')
+};
+
+/**
+ * Parse CLI options into replay filters and run options
+ */
+function parseArgs(args) {
+  const filters = { skus: [], error: null, since: null, until: null, includeDeadLetter: false };
+  const options = { mode: 'standard', dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--sku':
+        filters.skus.push(...(args[++i] || '').split(',').map(s => s.trim()).filter(Boolean));
+        break;
+      case '--error':
+        filters.error = args[++i] || null;
+        break;
+      case '--since':
+        filters.since = args[++i] || null;
+        break;
+      case '--until':
+        filters.until = args[++i] || null;
+        break;
+      case '--dead-letter':
+        filters.includeDeadLetter = true;
+        break;
+      case '--mode':
+        options.mode = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  return { filters, options };
+}
+
+function listFailed(filters) {
+  const entries = selectFailedProducts(filters);
+  const deadLetterSkus = new Set(getDeadLetterProducts().map(entry => String(entry.product?.sku)));
+
+  console.log(`${entries.length} failed product(s)\n`);
+
+  for (const entry of entries) {
+    const sku = String(entry.product.sku);
+    const section = deadLetterSkus.has(sku) ? 'dead-letter' : 'failed';
+    console.log(`${sku}  ${section.padEnd(11)}  ${entry.timestamp}  replays: ${entry.attempts || 0}`);
+    console.log(`    Error: ${entry.error?.message || '(none)'}`);
+  }
+
+  if (!filters.includeDeadLetter && deadLetterSkus.size > 0) {
+    console.log(`\n${deadLetterSkus.size} product(s) in the dead-letter section (show them with --dead-letter)`);
+  }
+}
+
+async function runReplay(filters, options) {
+  if (!PIPELINES[options.mode]) {
+    throw new Error(`Invalid mode "${options.mode}". Expected one of: ${Object.keys(PIPELINES).join(', ')}`);
+  }
+
+  validateConfig();
+
+  // Replays write the sync state, so they never run alongside a sync
+  const lock = acquireLock('sync', { job: 'cli-replay' });
+  if (!lock.acquired) {
+    console.error(`A sync run is in progress (${lock.owner?.job || 'unknown job'}, process ${lock.owner?.pid ?? 'unknown'}). Try again when it has finished.`);
+    process.exit(1);
+  }
+
+  try {
+    const { processInventoryRecord } = await PIPELINES[options.mode]();
+    const summary = await replayFailedProducts(processInventoryRecord, filters, {
+      dryRun: options.dryRun || config.settings.dryRun
+    });
+
+    for (const result of summary.results) {
+      console.log(`${result.sku}  ${result.status.padEnd(11)}  ${result.reason}${result.error ? `  ${result.error}` : ''}`);
+    }
+    console.log(`\nReplayed ${summary.total} product(s): ${summary.recovered} recovered, ${summary.failed} still failing, ${summary.deadLettered} dead-lettered`);
+  } finally {
+    lock.release();
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    const { filters, options } = parseArgs(args);
+
+    switch (command) {
+      case 'list':
+        listFailed(filters);
+        break;
+
+      case 'run':
+        await runReplay(filters, options);
+        break;
+
+      default:
+        console.log('Usage: npm run replay -- <list | run> [--sku a,b] [--error pattern] [--since date] [--until date] [--dead-letter] [--mode standard|ai-enhanced] [--dry-run]');
+        process.exit(command ? 1 : 0);
+    }
+  } catch (error) {
+    logError(`Replay command failed: ${command}`, error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Review Queue CLI
+ *
+ * Review products queued by REVIEW_MODE and publish the approved ones.
+ *
+ * Usage (npm run review -- <command>):
+ *   list [status]                 List queued items (default: pending)
+ *   show <id|sku>                 Show the source record and proposed payload
+ *   approve <id|sku...> | --all   Approve items
+ *   reject <id|sku...> | --all [--reason "text"]
+ *                                 Reject items
+ *   clear <id|sku...>             Remove rejected items so the next sync proposes them again
+ *   publish                       Create approved items as Shopify drafts
+ */
+
+import { validateConfig } from '../config.js';
+import {
+  loadReviewQueue,
+  findQueueItems,
+  reviewItems,
+  clearRejectedItems,
+  publishApprovedItems
+} from '../services/reviewQueueService.js';
+import { logError } from '../utils/logger.js';
+import { acquireLock } from '../utils/lockFile.js';
+
+/**
+ * Split CLI arguments into IDs and options
+ */
+function parseArgs(args) {
+  const ids = [];
+  const options = { all: false, reason: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--all') {
+      options.all = true;
+    } else if (args[i] === '--reason') {
+      options.reason = args[++i] || null;
+    } else {
+      ids.push(args[i]);
+    }
+  }
+
+  return { ids, options };
+}
+
+async function listItems(status = 'pending') {
+  const queue = await loadReviewQueue();
+  const items = status === 'all' ? queue.items : queue.items.filter(item => item.status === status);
+
+  console.log(`${items.length} item(s)${status === 'all' ? '' : ` with status ${status}`}\n`);
+
+  for (const item of items) {
+    const product = item.payload?.product || {};
+    const variant = product.variants?.[0] || {};
+    console.log(`${item.id}  ${item.status.padEnd(9)}  ${item.sku}`);
+    console.log(`    Title: ${product.title || '(none)'}`);
+    console.log(`    Price: ${variant.price ?? '(none)'}  Qty: ${variant.inventory_quantity ?? '(none)'}`);
+    if (item.error) {
+      console.log(`    Error: ${item.error}`);
+    }
+  }
+}
+
+async function showItem(idOrSku) {
+  const queue = await loadReviewQueue();
+  const items = findQueueItems(queue, [idOrSku]);
+
+  if (items.length === 0) {
+    console.error(`No queue item found for ${idOrSku}`);
+    process.exit(1);
+  }
+
+  for (const item of items) {
+    console.log(`=== ${item.id} (${item.status}) SKU ${item.sku} ===`);
+    console.log('\nSource record:');
+    console.log(JSON.stringify(item.sourceRecord, null, 2));
+    console.log('\nProposed Shopify payload:');
+    console.log(JSON.stringify(item.payload, null, 2));
+    console.log('');
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const { ids, options } = parseArgs(args);
+
+  try {
+    switch (command) {
+      case 'list':
+        await listItems(ids[0]);
+        break;
+
+      case 'show':
+        await showItem(ids[0]);
+        break;
+
+      case 'approve':
+      case 'reject': {
+        if (ids.length === 0 && !options.all) {
+          console.error(`Specify item IDs/SKUs or --all to ${command}`);
+          process.exit(1);
+        }
+        const updated = await reviewItems(ids, command === 'approve' ? 'approved' : 'rejected', options);
+        console.log(`${updated.length} item(s) ${command === 'approve' ? 'approved' : 'rejected'}`);
+        break;
+      }
+
+      case 'clear': {
+        if (ids.length === 0) {
+          console.error('Specify rejected item IDs/SKUs to clear');
+          process.exit(1);
+        }
+        const cleared = await clearRejectedItems(ids);
+        console.log(`${cleared.length} rejected item(s) cleared`);
+        break;
+      }
+
+      case 'publish': {
+        validateConfig({ requireAI: false });
+
+        // Publishing creates products and writes the sync state, so it never runs alongside a sync
+        const lock = acquireLock('sync', { job: 'cli-review-publish' });
+        if (!lock.acquired) {
+          console.error(`A sync run is in progress (${lock.owner?.job || 'unknown job'}, process ${lock.owner?.pid ?? 'unknown'}). Try again when it has finished.`);
+          process.exit(1);
+        }
+
+        let summary;
+        try {
+          summary = await publishApprovedItems();
+        } finally {
+          lock.release();
+        }
+        console.log(`Published ${summary.published} product(s), ${summary.skipped} already in Shopify, ${summary.deferred} left approved (duplicate check failed), ${summary.failed} failed`);
+        break;
+      }
+
+      default:
+        console.log('Usage: npm run review -- <list [status] | show <id> | approve <id...>|--all | reject <id...>|--all [--reason text] | clear <id...> | publish>');
+        process.exit(command ? 1 : 0);
+    }
+  } catch (error) {
+    logError(`Review command failed: ${command}`, error);
+    process.exit(1);
+  }
+}
+
+main();
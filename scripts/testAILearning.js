@@ -9,11 +9,16 @@
  * 3. Builds transformation cache
  * 4. Shows cost reduction over time
  *
+ * Records come from the configured inventory source (INVENTORY_SOURCE /
+ * INVENTORY_FILE_PATH). With AI_PROVIDER=stub the run replays recorded
+ * responses, so it needs no API keys or network:
+ *
+ *   AI_PROVIDER=stub INVENTORY_SOURCE=json INVENTORY_FILE_PATH=mocks/fixtures/aimsii/inventory.json npm run test:ai
+ *
  * Run with: node scripts/testAILearning.js
  */
 
 import dotenv from 'dotenv';
-import { getSampleProducts, readProductsFromXLSX } from '../services/xlsxDataService.js';
 import { initializeFieldMappings, loadFieldMappings } from '../services/aiFieldMappingService.js';
 import {
   initializeTransformCache,
@@ -21,6 +26,8 @@ import {
   transformProductWithAI
 } from '../services/aiEnhancedTransformService.js';
 import { logInfo, logSuccess, logWarning, logError } from '../utils/logger.js';
+import { config } from '../config.js';
+import { createInventorySource } from '../services/inventorySourceService.js';
 
 // Load environment variables
 dotenv.config();
@@ -32,6 +39,8 @@ async function main() {
   console.log('');
 
   try {
+    const source = createInventorySource();
+
     // Step 1: Initialize field mappings
     console.log('STEP 1: Field Mapping Auto-Discovery');
     console.log('-'.repeat(70));
@@ -42,7 +51,7 @@ async function main() {
       logInfo('No existing field mappings found. Generating from sample data...');
 
       // Get sample products for analysis
-      const sampleProducts = await getSampleProducts(5);
+      const sampleProducts = await source.getSampleRecords(5);
 
       logInfo('Sample products loaded. Analyzing with AI...');
       fieldMappings = await initializeFieldMappings(sampleProducts);
@@ -71,10 +80,7 @@ async function main() {
     console.log('-'.repeat(70));
 
     // Get 10 test products (mix of different categories)
-    const testProducts = await readProductsFromXLSX(undefined, {
-      limit: 10,
-      offset: 0
-    });
+    const testProducts = await source.getSampleRecords(10);
 
     logInfo(`Transforming ${testProducts.length} products...`);
     console.log('');
@@ -82,8 +88,8 @@ async function main() {
     for (let i = 0; i < testProducts.length; i++) {
       const product = testProducts[i];
 
-      console.log(`[${i + 1}/${testProducts.length}] Processing: ${product.Mfg} ${product.Model}`);
-      console.log(`  Category: ${product['Cat Desc']} > ${product['Sub Desc']}`);
+      console.log(`[${i + 1}/${testProducts.length}] Processing: ${product.name || `${product.Mfg} ${product.Model}`}`);
+      console.log(`  Category: ${product.category || `${product['Cat Desc']} > ${product['Sub Desc']}`}`);
 
       try {
         const shopifyProduct = await transformProductWithAI(product, fieldMappings);
@@ -104,8 +110,8 @@ async function main() {
 
       console.log('');
 
-      // Small delay to avoid rate limiting
-      if (i < testProducts.length - 1) {
+      // Small delay to avoid rate limiting (recorded responses aren't rate limited)
+      if (i < testProducts.length - 1 && config.ai.provider !== 'stub') {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
@@ -3,23 +3,52 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getSkuStatuses, retryFailedProduct, publishReviewQueue, createFromEditedPayload } from './services/dashboardService.js';
+import { loadReviewQueue, reviewItems } from './services/reviewQueueService.js';
+import {
+  startSyncJob,
+  cancelSyncJob,
+  getCurrentSyncJob,
+  getSyncJob,
+  listSyncJobs,
+  replayFailed
+} from './services/syncJobService.js';
+import { getFailedProducts, getDeadLetterProducts, getSyncRuns } from './utils/logger.js';
+import { requireScope, isAuthEnabled, validateApiKeys } from './utils/apiAuth.js';
+import { setupShutdownHandlers } from './utils/shutdown.js';
+import { classifyError } from './utils/retry.js';
+import { generateWithAI } from './services/aiProviderService.js';
+import { config } from './config.js';
 
 // Load environment variables from .env (server-side only)
 dotenv.config();
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Railway runs behind a proxy; use the client IP from X-Forwarded-For in audit logs
+app.set('trust proxy', 1);
+
 // Middleware
 // Enable CORS with specific configuration for development
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true
 }));
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// API key authentication (see utils/apiAuth.js)
+// /api/health and the dashboard page itself are public; the dashboard's API calls need an admin key
+app.use('/api/sync', requireScope('sync'));
+app.use('/api/dashboard', requireScope('admin'));
 
 // AI Provider configuration
-const AI_PROVIDER = process.env.AI_PROVIDER || 'openai'; // 'openai' or 'gemini'
+const AI_PROVIDER = process.env.AI_PROVIDER || 'openai'; // 'openai', 'gemini' or 'stub'
 
 // Initialize OpenAI (if selected)
 let openai;
@@ -143,7 +172,7 @@ ${JSON.stringify(shopifyProductSchema, null, 2)}`;
 }
 
 // API endpoint for generating Shopify product JSON
-app.post('/api/generate-shopify-product', async (req, res) => {
+app.post('/api/generate-shopify-product', requireScope('generate'), async (req, res) => {
   try {
     const { rowData, mapping } = req.body;
 
@@ -195,6 +224,12 @@ Generate ONLY valid JSON output that matches the required schema.`;
       jsonText = await generateWithOpenAI(sourceDataDescription, mappingDescription, systemPrompt, userPrompt);
     } else if (AI_PROVIDER === 'gemini') {
       jsonText = await generateWithGemini(sourceDataDescription, mappingDescription, systemPrompt, userPrompt);
+    } else if (AI_PROVIDER === 'stub') {
+      // Recorded responses (see services/aiStubProviderService.js)
+      jsonText = await generateWithAI(systemPrompt, userPrompt, {
+        responseFormat: 'json',
+        jsonSchema: { name: 'ShopifyProduct', schema: shopifyProductSchema }
+      });
     } else {
       return res.status(500).json({ error: `Unknown AI provider: ${AI_PROVIDER}` });
     }
@@ -202,8 +237,16 @@ Generate ONLY valid JSON output that matches the required schema.`;
     res.json({ success: true, data: jsonText });
   } catch (error) {
     console.error(`Error calling ${AI_PROVIDER.toUpperCase()} API:`, error);
-    res.status(500).json({
-      error: error instanceof Error ? error.message : 'An unknown error occurred'
+
+    // Pass the provider's error details on, so the sync script only retries what can succeed
+    const { retryable, retryAfterMs } = classifyError(error);
+    if (retryAfterMs !== null) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    }
+    res.status(error.status === 429 ? 429 : 502).json({
+      error: error instanceof Error ? error.message : 'An unknown error occurred',
+      code: error.code || null,
+      retryable
     });
   }
 });
@@ -213,9 +256,120 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'Backend server is running' });
 });
 
+// Review dashboard
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+/**
+ * Wrap an async route handler and report errors as JSON
+ */
+function dashboardRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req));
+    } catch (error) {
+      console.error(`Dashboard request failed: ${req.method} ${req.path}`, error);
+      res.status(error.code === 'SYNC_RUNNING' ? 409 : 500).json({ error: error.message });
+    }
+  };
+}
+
+// Recent sync runs (newest first), including per-SKU results
+app.get('/api/dashboard/runs', dashboardRoute(async () => getSyncRuns()));
+
+// Latest status of every known SKU
+app.get('/api/dashboard/skus', dashboardRoute(async () => getSkuStatuses()));
+
+// Review queue items (source record + proposed payload)
+app.get('/api/dashboard/review-queue', dashboardRoute(async () => (await loadReviewQueue()).items));
+
+// Failed products from logs/failed-products.json, followed by the dead-letter section
+app.get('/api/dashboard/failed-products', dashboardRoute(async () => [
+  ...getFailedProducts(),
+  ...getDeadLetterProducts().map(entry => ({ ...entry, deadLettered: true }))
+]));
+
+// Approve or reject a review queue item
+app.post('/api/dashboard/review-queue/:id/approve', dashboardRoute(async (req) => reviewItems([req.params.id], 'approved')));
+app.post('/api/dashboard/review-queue/:id/reject', dashboardRoute(async (req) =>
+  reviewItems([req.params.id], 'rejected', { reason: req.body?.reason || null })
+));
+
+// Publish all approved review queue items
+app.post('/api/dashboard/review-queue/publish', dashboardRoute(async () => publishReviewQueue()));
+
+// Retry a failed product through the sync pipeline
+app.post('/api/dashboard/products/:sku/retry', dashboardRoute(async (req) => retryFailedProduct(req.params.sku)));
+
+// Create a product from an edited payload (review item ID or failed product SKU)
+app.post('/api/dashboard/products/:idOrSku/create', dashboardRoute(async (req) =>
+  createFromEditedPayload(req.params.idOrSku, req.body?.payload)
+));
+
+// Sync runs
+// Start a sync run in this process
+// Body (all optional): { mode: 'standard' | 'ai-enhanced', dryRun, categories, batchSize }
+app.post('/api/sync/start', (req, res) => {
+  try {
+    const job = startSyncJob(req.body || {});
+    res.status(202).json(job);
+  } catch (error) {
+    res.status(error.code === 'SYNC_RUNNING' ? 409 : 400).json({ error: error.message });
+  }
+});
+
+// Status of the running job (or the last one)
+app.get('/api/sync/status', (req, res) => {
+  const job = getCurrentSyncJob();
+  res.json({ running: Boolean(job && !job.finishedAt), job });
+});
+
+// Jobs started by this server
+app.get('/api/sync/jobs', (req, res) => {
+  res.json(listSyncJobs());
+});
+
+app.get('/api/sync/jobs/:id', (req, res) => {
+  const job = getSyncJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Sync job not found: ${req.params.id}` });
+  }
+  res.json(job);
+});
+
+// Cancel the running job (stops before the next record)
+app.post('/api/sync/cancel', (req, res) => {
+  const job = cancelSyncJob();
+  if (!job) {
+    return res.status(409).json({ error: 'No sync job is running' });
+  }
+  res.json(job);
+});
+
+// Replay failed products from logs/failed-products.json and return the summary
+// Body (all optional): { mode, dryRun, skus, error (regex), since, until, includeDeadLetter }
+app.post('/api/sync/replay', async (req, res) => {
+  try {
+    res.json(await replayFailed(req.body || {}));
+  } catch (error) {
+    res.status(error.code === 'SYNC_RUNNING' ? 409 : 400).json({ error: error.message });
+  }
+});
+
+// Past runs with their stats (from the run history, including scheduled runs)
+app.get('/api/sync/runs', (req, res) => {
+  const limit = parseInt(req.query.limit || '20', 10);
+  res.json(getSyncRuns().slice(0, limit).map(({ results, ...run }) => run));
+});
+
+// On redeploys, API-triggered sync runs finish their in-flight records before exiting
+setupShutdownHandlers();
+
 app.listen(PORT, () => {
   console.log(`🚀 Backend server running on http://localhost:${PORT}`);
   console.log(`API endpoint: http://localhost:${PORT}/api/generate-shopify-product`);
+  console.log(`📋 Review dashboard: http://localhost:${PORT}/dashboard`);
   console.log(`🤖 AI Provider: ${AI_PROVIDER.toUpperCase()}`);
 
   // Validate API keys based on provider
@@ -225,4 +379,18 @@ app.listen(PORT, () => {
   if (AI_PROVIDER === 'gemini' && !process.env.GEMINI_API_KEY) {
     console.warn('⚠️  WARNING: GEMINI_API_KEY environment variable is not set!');
   }
+
+  // Validate API authentication
+  for (const problem of validateApiKeys()) {
+    console.warn(`⚠️  WARNING: ${problem}`);
+  }
+  if (!isAuthEnabled()) {
+    if (config.api.allowUnauthenticated) {
+      console.warn('⚠️  WARNING: No API_KEYS configured - API endpoints are open (ALLOW_UNAUTHENTICATED=true, local development only)');
+    } else if (config.api.allowLocalInDevelopment) {
+      console.warn('⚠️  WARNING: No API_KEYS configured - API endpoints are open to requests from this machine only (NODE_ENV=development)');
+    } else {
+      console.warn('⚠️  WARNING: No API_KEYS configured - protected API endpoints will refuse all requests');
+    }
+  }
 });
\ No newline at end of file
@@ -14,6 +14,7 @@
 import { applyFieldMappings } from './aiFieldMappingService.js';
 import {
   loadTransformationCache,
+  saveTransformationCache,
   findMatchingTemplate,
   applyTemplate,
   cacheTransformation,
@@ -21,9 +22,13 @@ import {
 } from './aiTransformCacheService.js';
 import { generateWithAI } from './aiProviderService.js';
 import { logInfo, logSuccess, logWarning } from '../utils/logger.js';
+import { onShutdownFlush } from '../utils/shutdown.js';
 
 let transformCache = null;
 
+// Write the cache on shutdown, after in-flight transformations have finished
+onShutdownFlush('AI transformation cache', () => flushTransformCache());
+
 /**
  * Initialize the transformation cache
  */
@@ -36,6 +41,16 @@ export async function initializeTransformCache() {
   return transformCache;
 }
 
+/**
+ * Write the in-memory cache to disk (on shutdown)
+ * Waits for saves already in progress, so the file ends up complete and current
+ */
+export async function flushTransformCache() {
+  if (transformCache) {
+    await saveTransformationCache(transformCache);
+  }
+}
+
 /**
  * Transform a single product using AI with smart caching
  */
@@ -1,13 +1,15 @@
 /**
  * AI Provider Service - Unified interface for OpenAI and Gemini
  *
- * Provides Gemini as primary provider with OpenAI as fallback
+ * Provides Gemini as primary provider with OpenAI as fallback.
+ * AI_PROVIDER=stub replays recorded responses instead (see aiStubProviderService.js)
  */
 
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { config } from '../config.js';
 import { logInfo, logWarning, logError } from '../utils/logger.js';
+import { generateWithStub } from './aiStubProviderService.js';
 
 // Initialize providers
 let openai;
@@ -99,6 +101,19 @@ async function generateWithOpenAI(systemPrompt, userPrompt, options = {}) {
 export async function generateWithAI(systemPrompt, userPrompt, options = {}) {
   const primaryProvider = config.ai.provider || 'gemini';
 
+  // The stub never falls back to a real provider; in record mode it calls one for missing fixtures
+  if (primaryProvider === 'stub') {
+    return generateWithStub(systemPrompt, userPrompt, options, (system, user, opts) =>
+      generateWithProviders(config.ai.stub.recordProvider, system, user, opts));
+  }
+
+  return generateWithProviders(primaryProvider, systemPrompt, userPrompt, options);
+}
+
+/**
+ * Generate content with the given provider, falling back to the other one
+ */
+async function generateWithProviders(primaryProvider, systemPrompt, userPrompt, options) {
   try {
     if (primaryProvider === 'gemini' && gemini) {
       logInfo('Using Gemini AI for generation');
@@ -122,7 +137,7 @@ export async function generateWithAI(systemPrompt, userPrompt, options = {}) {
       logInfo('Falling back to Gemini...');
       return await generateWithGemini(systemPrompt, userPrompt, options);
     } else {
-      throw new Error(`Both AI providers failed. Last error: ${error.message}`);
+      throw new Error(`Both AI providers failed. Last error: ${error.message}`, { cause: error });
     }
   }
 }
@@ -134,6 +149,7 @@ export function getAvailableProviders() {
   return {
     gemini: !!gemini,
     openai: !!openai,
+    stub: config.ai.provider === 'stub',
     primary: config.ai.provider || 'gemini'
   };
 }
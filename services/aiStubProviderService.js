@@ -0,0 +1,135 @@
+/**
+ * AI Stub Provider
+ *
+ * Deterministic stand-in for OpenAI and Gemini, selected with AI_PROVIDER=stub,
+ * so field mapping, transforms and the transformation cache can be tested
+ * without network access or API spend.
+ *
+ * Responses are fixtures in AI_STUB_FIXTURES_DIR, one JSON file per prompt,
+ * named by a hash of the prompts and the requested response format:
+ *
+ * - replay (default): prompts without a fixture fail, naming the missing hash
+ * - record: prompts without a fixture are sent to AI_STUB_RECORD_PROVIDER and
+ *   the response is saved as a new fixture; existing fixtures are replayed
+ *
+ * Record timestamps in the prompts are normalized before hashing, as they change
+ * with every export or mock server start.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { logInfo, logSuccess } from '../utils/logger.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+import { TIMESTAMP_FIELDS } from '../utils/recordFilters.js';
+
+// Record fields that change between runs, including the mock fixtures' relative createdHoursAgo
+const VOLATILE_FIELDS = [...TIMESTAMP_FIELDS, 'createdHoursAgo'];
+
+// A volatile field and its JSON value (string, number or null) in a prompt
+const VOLATILE_FIELD_PATTERN = new RegExp(`"(?:${VOLATILE_FIELDS.join('|')})":\\s*(?:"(?:[^"\\\\]|\\\\.)*"|-?[\\d.eE+-]+|null)`, 'g');
+
+/**
+ * Replace the volatile fields of the records in a prompt with a placeholder
+ * Records served by the mock AIMSii server (created_at relative to now) and read from
+ * its fixture file (createdHoursAgo) then share a fixture
+ *
+ * @param {string} prompt - Prompt text
+ * @returns {string} Prompt with every volatile field as "<timestamp>": null
+ */
+export function normalizePrompt(prompt) {
+  return prompt.replace(VOLATILE_FIELD_PATTERN, '"<timestamp>": null');
+}
+
+/**
+ * Hash a prompt into its fixture key
+ * The model and temperature are left out, so fixtures survive model changes, and
+ * record timestamps are normalized (normalizePrompt)
+ *
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {Object} options - Generation options (responseFormat and jsonSchema are part of the key)
+ * @returns {string} Fixture key (16 hex characters)
+ */
+export function hashPrompt(systemPrompt, userPrompt, options = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      systemPrompt,
+      userPrompt: normalizePrompt(userPrompt),
+      responseFormat: options.responseFormat || 'text',
+      jsonSchema: options.jsonSchema || null
+    }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Get the fixture file of a prompt hash
+ */
+function getFixturePath(hash) {
+  return path.join(config.ai.stub.fixturesDir, `${hash}.json`);
+}
+
+/**
+ * Read a fixture (null if there is none)
+ */
+async function readFixture(hash) {
+  try {
+    return JSON.parse(await fs.readFile(getFixturePath(hash), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate content from fixtures
+ *
+ * @param {string} systemPrompt - System prompt
+ * @param {string} userPrompt - User prompt
+ * @param {Object} options - Generation options
+ * @param {Function} generateLive - (systemPrompt, userPrompt, options) => Promise<string>, the real provider used in record mode
+ * @returns {Promise<string>} Recorded response text
+ */
+export async function generateWithStub(systemPrompt, userPrompt, options, generateLive) {
+  const hash = hashPrompt(systemPrompt, userPrompt, options);
+  const fixture = await readFixture(hash);
+
+  if (fixture) {
+    logInfo(`Using AI stub fixture ${hash}`);
+    return fixture.response;
+  }
+
+  if (config.ai.stub.mode !== 'record') {
+    const error = new Error(`No AI stub fixture for prompt ${hash} in ${config.ai.stub.fixturesDir}. Run with AI_STUB_MODE=record to record it.`);
+    error.code = 'AI_STUB_FIXTURE_MISSING';
+    error.retryable = false;
+    throw error;
+  }
+
+  logInfo(`Recording AI stub fixture ${hash} with ${config.ai.stub.recordProvider}`);
+  const response = await generateLive(systemPrompt, userPrompt, options);
+
+  // Prompts are saved with the response so fixtures can be reviewed and diffed
+  await fs.mkdir(config.ai.stub.fixturesDir, { recursive: true });
+  await writeFileAtomic(getFixturePath(hash), JSON.stringify({
+    hash,
+    provider: config.ai.stub.recordProvider,
+    recordedAt: new Date().toISOString(),
+    options: {
+      responseFormat: options.responseFormat || 'text',
+      temperature: options.temperature ?? null
+    },
+    systemPrompt,
+    userPrompt,
+    response
+  }, null, 2));
+
+  logSuccess(`AI stub fixture saved: ${getFixturePath(hash)}`);
+
+  return response;
+}
@@ -13,11 +13,16 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { config } from '../config.js';
 import { logInfo, logSuccess, logWarning } from '../utils/logger.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
 
 const CACHE_FILE_PATH = path.join(process.cwd(), 'ai-transformation-cache.json');
 const SIMILARITY_THRESHOLD = 0.7; // How similar products need to be to use cache
 
+// Pending cache saves, chained so they never overlap
+let saveChain = Promise.resolve();
+
 /**
  * Load transformation cache from file
  */
@@ -46,16 +51,19 @@ export async function loadTransformationCache() {
 
 /**
  * Save transformation cache to file
+ * Saves run one at a time and atomically, so concurrent workers and a shutdown
+ * in the middle of a save can't leave a half-written or stale file
  */
-export async function saveTransformationCache(cache) {
-  cache.stats = cache.stats || {};
-  cache.stats.lastUpdated = new Date().toISOString();
-
-  await fs.writeFile(
-    CACHE_FILE_PATH,
-    JSON.stringify(cache, null, 2),
-    'utf-8'
-  );
+export function saveTransformationCache(cache) {
+  const saved = saveChain.then(async () => {
+    cache.stats = cache.stats || {};
+    cache.stats.lastUpdated = new Date().toISOString();
+
+    await writeFileAtomic(CACHE_FILE_PATH, JSON.stringify(cache, null, 2));
+  });
+
+  saveChain = saved.catch(() => undefined);
+  return saved;
 }
 
 /**
@@ -130,6 +138,27 @@ export function findMatchingTemplate(product, cache) {
   return null;
 }
 
+/**
+ * Read a product field: the legacy export column, then the discovered field
+ * mappings, then the configured AIMSii field (AIMSii records have no Mfg/Model/Desc)
+ */
+function getProductField(product, mappedData, legacyColumn, shopifyField) {
+  const configuredField = config.fieldMapping[shopifyField];
+  return product[legacyColumn] || mappedData[shopifyField] || (configuredField ? product[configuredField] : null) || '';
+}
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Apply a cached template to a new product
  */
@@ -141,29 +170,41 @@ export function applyTemplate(product, templateMatch, mappedData) {
   const latestExample = template.examples[template.examples.length - 1];
   const shopifyTemplate = latestExample.shopifyProduct;
 
+  const vendor = getProductField(product, mappedData, 'Mfg', 'vendor');
+  const productType = getProductField(product, mappedData, 'Cat Desc', 'product_type');
+  const legacyTitle = `${product.Mfg || ''} ${product.Model || ''} ${product.Desc || ''}`.trim();
+
+  // Templates without placeholders hold another product's description, so the
+  // record's own description is used when it has one (as text, escaped)
+  const templateBody = shopifyTemplate.product.body_html || '';
+  const description = mappedData.body_html || product[config.fieldMapping.body_html];
+  const bodyHtml = /{{\w+}}/.test(templateBody) || !description
+    ? templateBody
+        .replace(/{{mfg}}/gi, vendor)
+        .replace(/{{model}}/gi, product.Model || '')
+        .replace(/{{desc}}/gi, product.Desc || '')
+        .replace(/{{category}}/gi, productType)
+        .replace(/{{subcategory}}/gi, product['Sub Desc'] || '')
+    : `<p>${escapeHtml(description)}</p>`;
+
   // Create new product based on template structure
   const result = {
     product: {
-      title: `${product.Mfg || ''} ${product.Model || ''} ${product.Desc || ''}`.trim(),
-      body_html: shopifyTemplate.product.body_html
-        .replace(/{{mfg}}/gi, product.Mfg || '')
-        .replace(/{{model}}/gi, product.Model || '')
-        .replace(/{{desc}}/gi, product.Desc || '')
-        .replace(/{{category}}/gi, product['Cat Desc'] || '')
-        .replace(/{{subcategory}}/gi, product['Sub Desc'] || ''),
-      vendor: product.Mfg || mappedData.vendor || '',
-      product_type: product['Cat Desc'] || mappedData.product_type || '',
+      title: legacyTitle || mappedData.title || product[config.fieldMapping.title] || '',
+      body_html: bodyHtml,
+      vendor,
+      product_type: productType,
       tags: [
-        product['Cat Desc'],
+        productType,
         product['Sub Desc'],
-        product.Mfg
+        vendor
       ].filter(Boolean).join(', '),
       published: false, // Always create as draft
       variants: [{
-        price: (product.Ourprice || mappedData['variants.price'] || '0').toString(),
-        sku: product.Sku || mappedData['variants.sku'] || '',
-        inventory_quantity: product['Comp Qty'] || mappedData['variants.inventory_quantity'] || 0,
-        barcode: product.Barcode || '',
+        price: (getProductField(product, mappedData, 'Ourprice', 'variants.price') || '0').toString(),
+        sku: getProductField(product, mappedData, 'Sku', 'variants.sku'),
+        inventory_quantity: getProductField(product, mappedData, 'Comp Qty', 'variants.inventory_quantity') || 0,
+        barcode: getProductField(product, mappedData, 'Barcode', 'variants.barcode'),
         option1: 'Default Title'
       }],
       images: [] // No images - will be added manually
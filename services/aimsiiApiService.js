@@ -1,204 +1,190 @@
-import { config, getLookbackTimestamp, shouldSyncCategory } from '../config.js';
-import { logInfo, logError, logWarning } from '../utils/logger.js';
+import { config } from '../config.js';
+import { logInfo, logWarning, logError } from '../utils/logger.js';
 import { retryWithBackoff } from '../utils/retry.js';
-
-// Authentication token cache
-let authCache = {
-  endpointDomain: null,
-  oauthToken: null,
-  securityToken: null,
-  expiresAt: null
-};
+import { httpErrorFromResponse } from '../utils/httpError.js';
+import { filterByTimestamp, filterByCategory, createTimestampStats, logTimestampStats } from '../utils/recordFilters.js';
+import { loadSyncState, getResumeTimestamp } from './syncStateService.js';
+import { aimsiiFetch } from './aimsiiSessionService.js';
 
 /**
- * Get endpoint domain and OAuth token from AIMSii
- * Step 1 of authentication flow
+ * Categories to request from AIMSii (empty when category filtering is off)
  *
- * @returns {Promise<Object>} Object containing NewEndpointDomain and OAuthToken
+ * @param {Array<string>|null} categories - Run-specific focus categories
  */
-async function getEndpoint() {
-  const url = `${config.aimsii.baseUrl}/GetEndpoint`;
-
-  logInfo('Fetching AIMSii endpoint and OAuth token...');
-
-  try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        APIKey: config.aimsii.apiKey
-      })
-    });
-
-    if (!res.ok) {
-      const errorBody = await res.text();
-      throw new Error(`GetEndpoint failed (${res.status}): ${errorBody}`);
-    }
-
-    const data = await res.json();
-
-    if (!data.NewEndpointDomain || !data.OAuthToken) {
-      throw new Error('GetEndpoint response missing required fields');
-    }
-
-    logInfo(`Endpoint received: ${data.NewEndpointDomain}`);
-
-    return {
-      endpointDomain: data.NewEndpointDomain,
-      oauthToken: data.OAuthToken
-    };
-  } catch (error) {
-    logError('Failed to get AIMSii endpoint', error);
-    throw error;
+function getCategoryFilter(categories = null) {
+  if (categories) {
+    return categories;
+  }
+  if (!config.sync.filterByCategory) {
+    return [];
   }
+  return config.sync.focusCategories || config.sync.allowedCategories;
 }
 
 /**
- * Login to AIMSii and get security token
- * Step 2 of authentication flow
+ * Build the URL of one page of inventory records
  *
- * @param {string} endpointDomain - Domain from getEndpoint
- * @returns {Promise<string>} SecurityToken
+ * @param {Object} session - AIMSii session (provides the endpoint domain)
+ * @param {Object} page - { number, cursor } - the cursor wins when set
+ * @param {Date|null} since - Server-side timestamp filter (null to fetch everything)
+ * @param {Array<string>|null} categories - Run-specific focus categories
+ * @returns {string} Page URL
  */
-async function login(endpointDomain) {
-  const url = `${endpointDomain}/Security`;
-
-  logInfo('Logging in to AIMSii...');
-
-  try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        UserName: config.aimsii.username,
-        Password: config.aimsii.password
-      })
-    });
-
-    if (!res.ok) {
-      const errorBody = await res.text();
-      throw new Error(`Login failed (${res.status}): ${errorBody}`);
-    }
+function buildInventoryPageUrl(session, page, since, categories = null) {
+  const url = new URL(`${session.endpointDomain}${config.aimsii.inventoryEndpoint}`);
+  const params = url.searchParams;
 
-    const data = await res.json();
+  params.set(config.aimsii.pageSizeParam, String(config.aimsii.pageSize));
 
-    if (!data.SecurityToken) {
-      throw new Error('Login response missing SecurityToken');
-    }
+  if (page.cursor) {
+    params.set(config.aimsii.cursorParam, page.cursor);
+  } else {
+    params.set(config.aimsii.pageParam, String(page.number));
+  }
 
-    logInfo('AIMSii login successful');
+  if (since && config.aimsii.sinceParam) {
+    params.set(config.aimsii.sinceParam, since.toISOString());
+  }
 
-    return data.SecurityToken;
-  } catch (error) {
-    logError('Failed to login to AIMSii', error);
-    throw error;
+  const categoryFilter = getCategoryFilter(categories);
+  if (since && config.aimsii.categoryParam && categoryFilter.length > 0) {
+    params.set(config.aimsii.categoryParam, categoryFilter.join(','));
   }
+
+  return url.toString();
 }
 
 /**
- * Authenticate with AIMSii API using multi-step OAuth flow
- * Caches tokens for reuse
+ * Parse one page of the inventory response
+ * Adjust based on the actual AIMSii API response structure: this accepts an array of
+ * records, or an object with a 'data' or 'records' array and optional paging fields
  *
- * @returns {Promise<Object>} Authentication credentials
+ * @param {Object|Array} response - Parsed response body
+ * @returns {Object} { records, nextCursor, hasMore, totalPages } - paging fields are null when absent
  */
-async function authenticate() {
-  // Check if we have valid cached tokens
-  if (authCache.expiresAt && Date.now() < authCache.expiresAt) {
-    logInfo('Using cached AIMSii authentication tokens');
-    return authCache;
+function parseInventoryPage(response) {
+  if (Array.isArray(response)) {
+    return { records: response, nextCursor: null, hasMore: null, totalPages: null };
   }
 
-  logInfo('Authenticating with AIMSii API...');
-
-  try {
-    // Step 1: Get endpoint and OAuth token
-    const endpointData = await getEndpoint();
-
-    // Step 2: Login to get security token
-    const securityToken = await login(endpointData.endpointDomain);
-
-    // Cache tokens (expire in 23 hours to be safe)
-    authCache = {
-      endpointDomain: endpointData.endpointDomain,
-      oauthToken: endpointData.oauthToken,
-      securityToken: securityToken,
-      expiresAt: Date.now() + (23 * 60 * 60 * 1000)
-    };
-
-    logInfo('AIMSii authentication complete');
+  return {
+    records: response.data || response.records || [],
+    nextCursor: response.nextCursor || response.next_cursor || response.NextCursor || null,
+    hasMore: response.hasMore ?? response.has_more ?? response.HasMore ?? null,
+    totalPages: response.totalPages ?? response.total_pages ?? response.TotalPages ?? null
+  };
+}
 
-    return authCache;
-  } catch (error) {
-    logError('Authentication failed', error);
-    throw error;
+/**
+ * Decide whether another page follows
+ */
+function hasNextPage(parsed, pageNumber, usingCursor) {
+  if (parsed.records.length === 0) {
+    return false;
+  }
+  if (parsed.nextCursor) {
+    return true;
+  }
+  if (usingCursor || parsed.hasMore === false) {
+    return false;
+  }
+  if (parsed.hasMore === true) {
+    return true;
   }
+  if (parsed.totalPages !== null) {
+    return pageNumber < parsed.totalPages;
+  }
+
+  // No paging fields: a full page means there may be more. A page larger than
+  // requested means the endpoint doesn't page and returned everything at once
+  return parsed.records.length === config.aimsii.pageSize;
 }
 
 /**
- * Fetch inventory records from Tritech AIMSii API
+ * Stream inventory records from Tritech AIMSii API, one page at a time
+ * Only the current page is held in memory. The since and category filters are sent
+ * to AIMSii (AIMSII_SINCE_PARAM, AIMSII_CATEGORY_PARAM) and applied again locally,
+ * so an API that ignores them still yields the right records.
  *
- * @param {Date} since - Fetch records created since this timestamp
- * @returns {Promise<Array>} Array of inventory records
+ * @param {Date} since - Fetch records created since this timestamp (default: stored sync watermark)
+ * @param {Object} options - Stream options
+ * @param {boolean} options.filter - Filter by timestamp and category (default: true)
+ * @param {Array<string>|null} options.categories - Run-specific focus categories (default: from config)
+ * @returns {AsyncGenerator<Object>} Inventory records
  */
-export async function fetchInventoryRecords(since = null) {
-  const lookbackDate = since || getLookbackTimestamp();
+export async function* streamInventoryRecords(since = null, { filter = true, categories = null } = {}) {
+  const lookbackDate = filter ? since || getResumeTimestamp(await loadSyncState()) : null;
+
+  logInfo(filter
+    ? `Fetching inventory records from AIMSii since ${lookbackDate.toISOString()}`
+    : 'Fetching unfiltered inventory records from AIMSii');
 
-  logInfo(`Fetching inventory records from AIMSii since ${lookbackDate.toISOString()}`);
+  let fetched = 0;
+  let matched = 0;
+  // Records without a usable timestamp, logged once for all pages
+  const timestampStats = createTimestampStats();
 
   try {
-    // Authenticate first
-    const auth = await authenticate();
+    const page = { number: 1, cursor: null };
+    let previousFirstRecord = null;
+
+    while (true) {
+      const response = await retryWithBackoff(
+        async () => {
+          const res = await aimsiiFetch(session => buildInventoryPageUrl(session, page, lookbackDate, categories), { method: 'GET' });
+
+          if (!res.ok) {
+            throw await httpErrorFromResponse(res, 'AIMSii API error', 'aimsii');
+          }
+
+          return res.json();
+        },
+        {
+          maxAttempts: config.retry.maxAttempts,
+          initialDelay: config.retry.initialDelay,
+          operationName: `Fetch AIMSii Inventory (page ${page.number})`
+        }
+      );
 
-    // Build URL using authenticated endpoint domain
-    const url = `${auth.endpointDomain}${config.aimsii.inventoryEndpoint}`;
+      const parsed = parseInventoryPage(response);
 
-    const response = await retryWithBackoff(
-      async () => {
-        const res = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${auth.oauthToken}`,
-            'X-Security-Token': auth.securityToken
-          },
-        });
+      // An endpoint that ignores the page parameter returns the first page again
+      const firstRecord = parsed.records.length > 0 ? JSON.stringify(parsed.records[0]) : null;
+      if (page.number > 1 && firstRecord !== null && firstRecord === previousFirstRecord) {
+        logWarning(`AIMSii returned page ${page.number - 1} again; the endpoint doesn't seem to support ${page.cursor ? config.aimsii.cursorParam : config.aimsii.pageParam}. Stopping.`);
+        break;
+      }
+      previousFirstRecord = firstRecord;
 
-        if (!res.ok) {
-          const errorBody = await res.text();
-          throw new Error(`AIMSii API error (${res.status}): ${errorBody}`);
+      let records = parsed.records;
+      if (filter) {
+        records = filterByTimestamp(records, lookbackDate, timestampStats);
+        if (categories || config.sync.filterByCategory) {
+          records = filterByCategory(records, categories);
         }
-
-        return res.json();
-      },
-      {
-        maxAttempts: config.retry.maxAttempts,
-        initialDelay: config.retry.initialDelay,
-        operationName: 'Fetch AIMSii Inventory'
       }
-    );
 
-    // Parse response - adjust based on actual AIMSii API response structure
-    // This assumes the API returns an array of records or an object with a records array
-    let records = Array.isArray(response) ? response : response.data || response.records || [];
+      fetched += parsed.records.length;
+      matched += records.length;
+      logInfo(`Fetched AIMSii page ${page.number}: ${parsed.records.length} records${filter ? `, ${records.length} match filters` : ''}`);
 
-    logInfo(`Fetched ${records.length} records from AIMSii API`);
+      yield* records;
 
-    // Filter by timestamp
-    records = filterByTimestamp(records, lookbackDate);
-    logInfo(`${records.length} records match timestamp filter (since ${lookbackDate.toISOString()})`);
+      if (!hasNextPage(parsed, page.number, page.cursor !== null)) {
+        break;
+      }
 
-    // Filter by category if enabled
-    if (config.sync.filterByCategory) {
-      const beforeCategoryFilter = records.length;
-      records = filterByCategory(records);
-      logInfo(`${records.length} records match category filter (filtered out ${beforeCategoryFilter - records.length})`);
+      if (page.number >= config.aimsii.maxPages) {
+        logWarning(`Stopped after ${config.aimsii.maxPages} AIMSii pages (AIMSII_MAX_PAGES). Later records were not fetched.`);
+        break;
+      }
+
+      page.number++;
+      page.cursor = parsed.nextCursor;
     }
 
-    return records;
+    logInfo(`Fetched ${fetched} records from AIMSii API${filter ? ` (${matched} match the sync filters)` : ''}`);
+    logTimestampStats(timestampStats);
   } catch (error) {
     logError('Failed to fetch inventory records from AIMSii', error);
     throw error;
@@ -206,58 +192,21 @@ export async function fetchInventoryRecords(since = null) {
 }
 
 /**
- * Filter records by timestamp
- * Assumes records have a 'created_at', 'createdAt', or 'timestamp' field
+ * Fetch inventory records from Tritech AIMSii API
+ * Collects streamInventoryRecords; only records matching the filters are kept in memory
  *
- * @param {Array} records - Array of inventory records
- * @param {Date} since - Filter records created since this date
- * @returns {Array} Filtered records
+ * @param {Date} since - Fetch records created since this timestamp (default: stored sync watermark)
+ * @param {Object} filters - Run-specific filters ({ categories })
+ * @returns {Promise<Array>} Array of inventory records
  */
-function filterByTimestamp(records, since) {
-  return records.filter(record => {
-    // Try different possible timestamp field names
-    const timestamp = record.created_at || record.createdAt || record.timestamp || record.date_created;
-
-    if (!timestamp) {
-      logWarning('Record missing timestamp field, including by default', { recordId: record.id || 'unknown' });
-      return true; // Include if no timestamp field found
-    }
-
-    const recordDate = new Date(timestamp);
-
-    // Validate date
-    if (isNaN(recordDate.getTime())) {
-      logWarning('Invalid timestamp in record, including by default', {
-        recordId: record.id || 'unknown',
-        timestamp
-      });
-      return true;
-    }
+export async function fetchInventoryRecords(since = null, filters = {}) {
+  const records = [];
 
-    return recordDate >= since;
-  });
-}
-
-/**
- * Filter records by category
- *
- * @param {Array} records - Array of inventory records
- * @returns {Array} Filtered records
- */
-function filterByCategory(records) {
-  return records.filter(record => {
-    // Try different possible category field names
-    const category = record.category || record.product_type || record.type || record.productCategory;
-
-    if (!category) {
-      logWarning('Record missing category field, excluding from sync', {
-        recordId: record.id || 'unknown'
-      });
-      return false;
-    }
+  for await (const record of streamInventoryRecords(since, filters)) {
+    records.push(record);
+  }
 
-    return shouldSyncCategory(category);
-  });
+  return records;
 }
 
 /**
@@ -337,26 +286,16 @@ export async function fetchInventoryRecordById(recordId) {
   logInfo(`Fetching single inventory record from AIMSii: ${recordId}`);
 
   try {
-    // Authenticate first
-    const auth = await authenticate();
-
-    // Build URL using authenticated endpoint domain
-    const url = `${auth.endpointDomain}${config.aimsii.inventoryEndpoint}/${recordId}`;
-
     const response = await retryWithBackoff(
       async () => {
-        const res = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${auth.oauthToken}`,
-            'X-Security-Token': auth.securityToken
-          },
-        });
+        // URL uses the authenticated endpoint domain
+        const res = await aimsiiFetch(
+          session => `${session.endpointDomain}${config.aimsii.inventoryEndpoint}/${recordId}`,
+          { method: 'GET' }
+        );
 
         if (!res.ok) {
-          const errorBody = await res.text();
-          throw new Error(`AIMSii API error (${res.status}): ${errorBody}`);
+          throw await httpErrorFromResponse(res, 'AIMSii API error', 'aimsii');
         }
 
         return res.json();
@@ -384,23 +323,14 @@ export async function testAimsiiConnection() {
   try {
     logInfo('Testing AIMSii API connection...');
 
-    // Test authentication flow
-    const auth = await authenticate();
-
-    // Try to fetch a small set of records
-    const url = `${auth.endpointDomain}${config.aimsii.inventoryEndpoint}?limit=1`;
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${auth.oauthToken}`,
-        'X-Security-Token': auth.securityToken
-      },
-    });
+    // Authenticate (or reuse the session) and try to fetch a small set of records
+    const response = await aimsiiFetch(
+      session => `${session.endpointDomain}${config.aimsii.inventoryEndpoint}?${config.aimsii.pageSizeParam}=1`,
+      { method: 'GET' }
+    );
 
     if (!response.ok) {
-      throw new Error(`Connection failed with status ${response.status}`);
+      throw await httpErrorFromResponse(response, 'Connection failed', 'aimsii');
     }
 
     logInfo('AIMSii API connection successful');
@@ -0,0 +1,349 @@
+/**
+ * AIMSii Session Service
+ *
+ * Owns the AIMSii login (GetEndpoint, then Security) and the tokens it returns.
+ *
+ * - The session expires at the earliest known expiry: the expiry AIMSii returns
+ *   with the tokens, the `exp` claim when the OAuth token is a JWT, or
+ *   AIMSII_SESSION_TTL_HOURS after login when neither is available.
+ * - Requests rejected with 401/403 log in again and are retried once.
+ * - Concurrent callers share one in-flight login.
+ * - The session is saved to AIMSII_SESSION_PATH (readable by the owner only),
+ *   so a restart reuses it instead of logging in again.
+ */
+
+import fs from 'fs/promises';
+import { config } from '../config.js';
+import { logInfo, logWarning, logError } from '../utils/logger.js';
+import { httpErrorFromResponse } from '../utils/httpError.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+
+// Sessions this close to their expiry are renewed before use, but the margin is
+// at most this share of the session lifetime so short-lived tokens are still used
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+const EXPIRY_MARGIN_MAX_SHARE = 0.1;
+
+// Statuses that mean the tokens were rejected (expired or revoked)
+const AUTH_REJECTED_STATUSES = [401, 403];
+
+let currentSession = null;
+let savedSessionPromise = null;
+let loginPromise = null;
+
+/**
+ * Get endpoint domain and OAuth token from AIMSii
+ * Step 1 of authentication flow
+ *
+ * @returns {Promise<Object>} Object containing the endpoint domain, OAuth token and its expiry (if returned)
+ */
+async function getEndpoint() {
+  const url = `${config.aimsii.baseUrl}/GetEndpoint`;
+
+  logInfo('Fetching AIMSii endpoint and OAuth token...');
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        APIKey: config.aimsii.apiKey
+      })
+    });
+
+    if (!res.ok) {
+      throw await httpErrorFromResponse(res, 'GetEndpoint failed', 'aimsii');
+    }
+
+    const data = await res.json();
+
+    if (!data.NewEndpointDomain || !data.OAuthToken) {
+      throw new Error('GetEndpoint response missing required fields');
+    }
+
+    logInfo(`Endpoint received: ${data.NewEndpointDomain}`);
+
+    return {
+      endpointDomain: data.NewEndpointDomain,
+      oauthToken: data.OAuthToken,
+      expiresAt: getResponseExpiry(data)
+    };
+  } catch (error) {
+    logError('Failed to get AIMSii endpoint', error);
+    throw error;
+  }
+}
+
+/**
+ * Login to AIMSii and get security token
+ * Step 2 of authentication flow
+ *
+ * @param {string} endpointDomain - Domain from getEndpoint
+ * @returns {Promise<Object>} Security token and its expiry (if returned)
+ */
+async function login(endpointDomain) {
+  const url = `${endpointDomain}/Security`;
+
+  logInfo('Logging in to AIMSii...');
+
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        UserName: config.aimsii.username,
+        Password: config.aimsii.password
+      })
+    });
+
+    if (!res.ok) {
+      throw await httpErrorFromResponse(res, 'Login failed', 'aimsii');
+    }
+
+    const data = await res.json();
+
+    if (!data.SecurityToken) {
+      throw new Error('Login response missing SecurityToken');
+    }
+
+    logInfo('AIMSii login successful');
+
+    return {
+      securityToken: data.SecurityToken,
+      expiresAt: getResponseExpiry(data)
+    };
+  } catch (error) {
+    logError('Failed to login to AIMSii', error);
+    throw error;
+  }
+}
+
+/**
+ * Read the token expiry from an authentication response
+ * Accepts a lifetime in seconds (ExpiresIn / expires_in) or an expiry date (Expires / ExpirationDate)
+ *
+ * @param {Object} data - Response body
+ * @returns {number|null} Expiry as epoch milliseconds
+ */
+function getResponseExpiry(data) {
+  const expiresIn = Number(data.ExpiresIn ?? data.expires_in ?? data.expiresIn);
+  if (Number.isFinite(expiresIn) && expiresIn > 0) {
+    return Date.now() + expiresIn * 1000;
+  }
+
+  const expires = Date.parse(data.Expires ?? data.ExpirationDate ?? data.expires ?? '');
+  return isNaN(expires) ? null : expires;
+}
+
+/**
+ * Read the `exp` claim of a JWT
+ *
+ * @param {string} token - Token that may be a JWT
+ * @returns {number|null} Expiry as epoch milliseconds, or null if the token isn't a JWT with `exp`
+ */
+function getJwtExpiry(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf-8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Identify the account a session belongs to, so a saved session isn't reused after a config change
+ */
+function getSessionOwner() {
+  return `${config.aimsii.baseUrl}|${config.aimsii.username || ''}`;
+}
+
+/**
+ * Get how long before its expiry a session is renewed
+ */
+function getExpiryMargin(session) {
+  const lifetime = session.expiresAt - session.createdAt;
+  return Number.isFinite(lifetime) && lifetime > 0
+    ? Math.min(EXPIRY_MARGIN_MS, lifetime * EXPIRY_MARGIN_MAX_SHARE)
+    : EXPIRY_MARGIN_MS;
+}
+
+/**
+ * Check that a session exists and isn't about to expire
+ */
+function isSessionValid(session) {
+  return Boolean(session) && Date.now() < session.expiresAt - getExpiryMargin(session);
+}
+
+/**
+ * Load the saved session from AIMSII_SESSION_PATH (once per process; concurrent callers share the read)
+ */
+function loadSavedSession() {
+  if (!savedSessionPromise) {
+    savedSessionPromise = readSavedSession();
+  }
+  return savedSessionPromise;
+}
+
+/**
+ * Read the saved session, keeping it if it belongs to the configured account and is still valid
+ */
+async function readSavedSession() {
+  if (!config.aimsii.sessionPath) {
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(await fs.readFile(config.aimsii.sessionPath, 'utf-8'));
+
+    if (saved.owner === getSessionOwner() && isSessionValid(saved)) {
+      currentSession = saved;
+      logInfo(`Reusing saved AIMSii session (expires ${new Date(saved.expiresAt).toISOString()})`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logWarning('Could not read the saved AIMSii session, logging in again', { error: error.message });
+    }
+  }
+}
+
+/**
+ * Save the session to AIMSII_SESSION_PATH (mode 0600, since it holds the tokens)
+ * A failed save only costs a login on the next start, so it is logged and ignored
+ */
+async function saveSession(session) {
+  if (!config.aimsii.sessionPath) {
+    return;
+  }
+
+  try {
+    await writeFileAtomic(config.aimsii.sessionPath, JSON.stringify(session, null, 2), { mode: 0o600 });
+  } catch (error) {
+    logWarning('Could not save the AIMSii session', { error: error.message });
+  }
+}
+
+/**
+ * Log in and store the new session
+ */
+async function createSession() {
+  logInfo('Authenticating with AIMSii API...');
+
+  try {
+    // Step 1: Get endpoint and OAuth token
+    const endpointData = await getEndpoint();
+
+    // Step 2: Login to get security token
+    const loginData = await login(endpointData.endpointDomain);
+
+    // Expire at the earliest expiry we know of, falling back to the configured lifetime
+    const knownExpiries = [endpointData.expiresAt, loginData.expiresAt, getJwtExpiry(endpointData.oauthToken)].filter(Boolean);
+    const expiresAt = knownExpiries.length > 0
+      ? Math.min(...knownExpiries)
+      : Date.now() + config.aimsii.sessionTtlHours * 60 * 60 * 1000;
+
+    const session = {
+      owner: getSessionOwner(),
+      endpointDomain: endpointData.endpointDomain,
+      oauthToken: endpointData.oauthToken,
+      securityToken: loginData.securityToken,
+      createdAt: Date.now(),
+      expiresAt
+    };
+
+    currentSession = session;
+    await saveSession(session);
+
+    logInfo(`AIMSii authentication complete (session expires ${new Date(expiresAt).toISOString()})`);
+
+    return session;
+  } catch (error) {
+    logError('Authentication failed', error);
+    throw error;
+  }
+}
+
+/**
+ * Log in, sharing the login with any concurrent caller
+ */
+function loginOnce() {
+  if (!loginPromise) {
+    loginPromise = createSession().finally(() => {
+      loginPromise = null;
+    });
+  }
+  return loginPromise;
+}
+
+/**
+ * Get a valid AIMSii session, logging in if there is none or it is about to expire
+ *
+ * @returns {Promise<Object>} Session { endpointDomain, oauthToken, securityToken, expiresAt }
+ */
+export async function getAimsiiSession() {
+  await loadSavedSession();
+
+  if (isSessionValid(currentSession)) {
+    return currentSession;
+  }
+
+  return loginOnce();
+}
+
+/**
+ * Replace a session that AIMSii rejected
+ * If another caller already replaced it, that session is used instead of logging in again
+ *
+ * @param {Object} rejectedSession - The session whose request was rejected
+ * @returns {Promise<Object>} New session
+ */
+export async function renewAimsiiSession(rejectedSession) {
+  if (currentSession && currentSession !== rejectedSession && isSessionValid(currentSession)) {
+    return currentSession;
+  }
+
+  if (currentSession === rejectedSession) {
+    currentSession = null;
+  }
+
+  return loginOnce();
+}
+
+/**
+ * Send an authenticated request to AIMSii
+ * A request rejected with 401/403 logs in again and is sent once more with the new tokens.
+ *
+ * @param {Function} buildUrl - (session) => URL; the endpoint domain comes from the session
+ * @param {Object} init - Fetch options (auth headers are added)
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function aimsiiFetch(buildUrl, init = {}) {
+  const send = (session) => fetch(buildUrl(session), {
+    ...init,
+    headers: {
+      'Content-Type': 'application/json',
+      ...init.headers,
+      'Authorization': `Bearer ${session.oauthToken}`,
+      'X-Security-Token': session.securityToken
+    }
+  });
+
+  const session = await getAimsiiSession();
+  const response = await send(session);
+
+  if (!AUTH_REJECTED_STATUSES.includes(response.status)) {
+    return response;
+  }
+
+  logWarning(`AIMSii rejected the session (${response.status}), logging in again`);
+  await response.body?.cancel();
+
+  return send(await renewAimsiiSession(session));
+}
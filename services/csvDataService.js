@@ -0,0 +1,295 @@
+/**
+ * CSV Data Service
+ *
+ * Streaming reader for AIMSii CSV inventory exports.
+ * Handles quoted fields, embedded newlines, byte order marks and
+ * delimiter/encoding detection, so exports can be processed without
+ * loading the whole file into memory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { logInfo, logError, logWarning } from '../utils/logger.js';
+
+// Delimiters considered during auto-detection, in order of preference
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+// Encoding used when a file has no BOM and is not valid UTF-8 (typical for Windows exports)
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Detect file encoding from the first chunk of bytes
+ *
+ * @param {Buffer} buffer - First chunk of the file
+ * @returns {{ encoding: string, bomLength: number }}
+ */
+function detectEncoding(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return { encoding: 'utf-8', bomLength: 3 };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return { encoding: 'utf-16le', bomLength: 2 };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return { encoding: 'utf-16be', bomLength: 2 };
+  }
+
+  // No BOM: accept UTF-8 if the sample decodes cleanly
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return { encoding: 'utf-8', bomLength: 0 };
+  } catch {
+    return { encoding: FALLBACK_ENCODING, bomLength: 0 };
+  }
+}
+
+/**
+ * Detect the delimiter by counting candidates in the header row (outside quotes)
+ *
+ * @param {string} sample - Decoded text from the start of the file
+ * @returns {string} Detected delimiter (defaults to comma)
+ */
+function detectDelimiter(sample) {
+  const counts = Object.fromEntries(CANDIDATE_DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+
+  for (const char of sample) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts[char] !== undefined) {
+      counts[char]++;
+    }
+  }
+
+  let best = ',';
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    if (counts[delimiter] > counts[best]) {
+      best = delimiter;
+    }
+  }
+  return best;
+}
+
+/**
+ * Create an incremental RFC 4180 parser
+ * Text can be fed in arbitrary chunks; quoted fields may span chunks and lines.
+ *
+ * @param {string} delimiter - Field delimiter
+ * @returns {{ push: Function, end: Function }} push(text) and end() both return completed rows
+ */
+function createCsvParser(delimiter) {
+  let field = '';
+  let row = [];
+  let inQuotes = false;
+  let quoteInQuotes = false; // Saw a quote inside a quoted field (escape or closing quote)
+  let skipLineFeed = false;  // Previous row ended with \r, ignore the \n of a \r\n pair
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = (rows) => {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const push = (text) => {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (quoteInQuotes) {
+        quoteInQuotes = false;
+        if (char === '"') {
+          // Escaped quote ("")
+          field += '"';
+          continue;
+        }
+        // Closing quote - fall through and handle char as unquoted
+        inQuotes = false;
+      } else if (inQuotes) {
+        if (char === '"') {
+          quoteInQuotes = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endRow(rows);
+      } else if (char === '\r') {
+        endRow(rows);
+        skipLineFeed = true;
+      } else {
+        field += char;
+      }
+    }
+
+    return rows;
+  };
+
+  const end = () => {
+    const rows = [];
+    if (inQuotes && !quoteInQuotes) {
+      logWarning('CSV file ended inside a quoted field');
+    }
+    if (field !== '' || row.length > 0) {
+      endRow(rows);
+    }
+    return rows;
+  };
+
+  return { push, end };
+}
+
+/**
+ * Stream raw CSV rows (arrays of field values) from a file
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Parser options
+ * @param {string} options.delimiter - Field delimiter (auto-detected if not set)
+ * @param {string} options.encoding - File encoding (auto-detected if not set)
+ * @returns {AsyncGenerator<Array<string>>}
+ */
+export async function* streamCsvRows(filePath, options = {}) {
+  const stream = fs.createReadStream(filePath, { highWaterMark: 64 * 1024 });
+
+  let decoder = null;
+  let parser = null;
+
+  for await (const chunk of stream) {
+    let bytes = chunk;
+
+    if (!decoder) {
+      const detected = detectEncoding(chunk);
+      const encoding = options.encoding || detected.encoding;
+      decoder = new TextDecoder(encoding);
+      bytes = chunk.subarray(detected.bomLength);
+
+      const sample = decoder.decode(bytes, { stream: true });
+      const delimiter = options.delimiter || detectDelimiter(sample);
+      parser = createCsvParser(delimiter);
+
+      logInfo(`Detected CSV format for ${path.basename(filePath)}`, {
+        encoding,
+        delimiter: delimiter === '\t' ? 'tab' : delimiter
+      });
+
+      yield* parser.push(sample);
+      continue;
+    }
+
+    yield* parser.push(decoder.decode(bytes, { stream: true }));
+  }
+
+  if (parser) {
+    yield* parser.push(decoder.decode());
+    yield* parser.end();
+  }
+}
+
+/**
+ * Stream products from a CSV file as objects keyed by header name
+ *
+ * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Parser options (see streamCsvRows)
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* streamProductsFromCSV(filePath, options = {}) {
+  let headers = null;
+  let rowNumber = 0;
+
+  for await (const row of streamCsvRows(filePath, options)) {
+    rowNumber++;
+
+    if (!headers) {
+      headers = row.map(header => header.trim());
+      continue;
+    }
+
+    if (row.length !== headers.length) {
+      logWarning(`CSV row ${rowNumber} has ${row.length} fields, expected ${headers.length}`);
+    }
+
+    const product = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        product[header] = (row[index] ?? '').trim();
+      }
+    });
+
+    yield product;
+  }
+}
+
+/**
+ * Read products from CSV file
+ * Mirrors readProductsFromXLSX so either export format can be used
+ */
+export async function readProductsFromCSV(filePath = config.source.filePath, options = {}) {
+  const {
+    limit = null, // Limit number of products to read
+    offset = 0,   // Skip first N products
+    categories = null // Filter by categories (array)
+  } = options;
+
+  try {
+    logInfo(`Reading products from CSV: ${path.basename(filePath)}`);
+
+    const products = [];
+    let rowsRead = 0;
+    let rowsSkipped = 0;
+
+    for await (const product of streamProductsFromCSV(filePath, {
+      delimiter: config.csv.delimiter,
+      encoding: config.csv.encoding
+    })) {
+      // Skip offset rows
+      if (rowsRead++ < offset) {
+        continue;
+      }
+
+      // Filter by categories if specified
+      if (categories && categories.length > 0 && !categories.includes(product['Cat Desc'])) {
+        rowsSkipped++;
+        continue;
+      }
+
+      products.push(product);
+
+      // Check limit
+      if (limit && products.length >= limit) {
+        break;
+      }
+    }
+
+    logInfo(`Loaded ${products.length} products (skipped ${rowsSkipped} due to filters)`);
+
+    return products;
+
+  } catch (error) {
+    logError('Error reading CSV file', error);
+    throw error;
+  }
+}
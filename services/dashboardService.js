@@ -0,0 +1,166 @@
+/**
+ * Dashboard Service
+ *
+ * Data and actions behind the web review dashboard (served by server.js):
+ * - per-SKU status merged from the sync state (including its retry queue), review
+ *   queue and failed-products log (including its dead-letter section)
+ * - retry of failed products through the normal sync pipeline
+ * - edit-then-create: publish a hand-edited Shopify payload through the review queue
+ *
+ * Actions that create products or write the sync state run under the sync lock
+ * (see utils/lockFile.js), so they never overlap a sync run.
+ */
+
+import { processInventoryRecord } from '../index.js';
+import { loadSyncState } from './syncStateService.js';
+import { findFailedProduct, retryFailedProduct as retryFailedProductFromLog } from './failedProductService.js';
+import {
+  loadReviewQueue,
+  findQueueItems,
+  enqueueProposal,
+  updateItemPayload,
+  reviewItems,
+  publishApprovedItems
+} from './reviewQueueService.js';
+import { getFailedProducts, getDeadLetterProducts, removeFailedProducts, logInfo } from '../utils/logger.js';
+import { acquireLock } from '../utils/lockFile.js';
+
+/**
+ * Run a dashboard action under the sync lock, or fail with SYNC_RUNNING if a run is in progress
+ */
+async function withSyncLock(job, action) {
+  const lock = acquireLock('sync', { job });
+  if (!lock.acquired) {
+    const error = new Error(`A sync run is already in progress (${lock.owner?.job || 'unknown job'}, process ${lock.owner?.pid ?? 'unknown'})`);
+    error.code = 'SYNC_RUNNING';
+    throw error;
+  }
+
+  try {
+    return await action();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Get the latest known status of every SKU
+ * The most recent event wins: synced (sync state), review queue status, failed or dead-lettered
+ *
+ * @returns {Promise<Array>} SKU statuses, most recently changed first
+ */
+export async function getSkuStatuses() {
+  const [syncState, queue] = await Promise.all([loadSyncState(), loadReviewQueue()]);
+  const statuses = new Map();
+
+  const record = (sku, status) => {
+    const current = statuses.get(sku);
+    if (!current || status.updatedAt >= current.updatedAt) {
+      statuses.set(sku, { sku, ...status });
+    }
+  };
+
+  for (const [sku, entry] of Object.entries(syncState.skus)) {
+    record(sku, { status: 'synced', shopifyId: entry.shopifyId, updatedAt: entry.syncedAt });
+  }
+
+  for (const [sku, entry] of Object.entries(syncState.retryQueue)) {
+    record(sku, { status: 'duplicate_check_failed', error: entry.reason || null, updatedAt: entry.lastAttemptAt });
+  }
+
+  for (const item of queue.items) {
+    record(item.sku, {
+      status: item.status,
+      shopifyId: item.shopifyId || null,
+      reviewId: item.id,
+      error: item.error || null,
+      updatedAt: item.publishedAt || item.reviewedAt || item.editedAt || item.createdAt
+    });
+  }
+
+  for (const entry of getFailedProducts()) {
+    if (entry.product?.sku) {
+      record(String(entry.product.sku), {
+        status: 'failed',
+        error: entry.error?.message || null,
+        updatedAt: entry.lastAttemptAt || entry.timestamp
+      });
+    }
+  }
+
+  for (const entry of getDeadLetterProducts()) {
+    if (entry.product?.sku) {
+      record(String(entry.product.sku), {
+        status: 'dead_letter',
+        error: entry.error?.message || null,
+        updatedAt: entry.deadLetteredAt || entry.timestamp
+      });
+    }
+  }
+
+  return Array.from(statuses.values()).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * Retry a failed product through the sync pipeline
+ * Honors DRY_RUN and REVIEW_MODE like a normal sync run
+ *
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Object>} Processing result
+ */
+export async function retryFailedProduct(sku) {
+  return withSyncLock('dashboard-retry', () => {
+    logInfo(`Retrying failed product from dashboard: ${sku}`);
+    return retryFailedProductFromLog(sku, processInventoryRecord);
+  });
+}
+
+/**
+ * Publish all approved review queue items
+ *
+ * @returns {Promise<Object>} Publish summary
+ */
+export async function publishReviewQueue() {
+  return withSyncLock('dashboard-publish', () => publishApprovedItems());
+}
+
+/**
+ * Create a product from an edited Shopify payload
+ * Works for review queue items and failed products (the generated JSON is queued,
+ * approved and published in one step)
+ *
+ * @param {string} idOrSku - Review item ID or SKU
+ * @param {Object} payload - Edited Shopify product payload
+ * @returns {Promise<Object>} The published queue item
+ */
+export async function createFromEditedPayload(idOrSku, payload) {
+  if (!payload?.product) {
+    throw new Error('Payload must contain a product object');
+  }
+
+  return withSyncLock('dashboard-create', async () => {
+    const queue = await loadReviewQueue();
+    const [queued] = findQueueItems(queue, [idOrSku]).filter(item => item.status !== 'published');
+    let item;
+
+    if (queued) {
+      item = await updateItemPayload(queued.id, payload);
+    } else {
+      const failed = findFailedProduct(idOrSku);
+      if (!failed) {
+        throw new Error(`No review item or failed product found for ${idOrSku}`);
+      }
+      item = await enqueueProposal(String(failed.product.sku), failed.product, payload);
+    }
+
+    await reviewItems([item.id], 'approved');
+    const summary = await publishApprovedItems([item.id]);
+
+    const [published] = findQueueItems(await loadReviewQueue(), [item.id]);
+    if (summary.published > 0) {
+      removeFailedProducts(published.sku);
+    }
+
+    return published;
+  });
+}
@@ -0,0 +1,214 @@
+/**
+ * Failed Product Service
+ *
+ * Replays products from logs/failed-products.json through a sync pipeline's
+ * processInventoryRecord. Used by the dashboard (one SKU), the replay CLI and
+ * API, and the scheduled failed-product retry job.
+ *
+ * A replay that gets past the processing error removes the SKU from the log and,
+ * when a product was created or updated, marks the record as synced. A replay
+ * that fails again, or stops at a SKU conflict or missing SKU, counts an attempt;
+ * after FAILED_REPLAY_MAX_ATTEMPTS the entry moves to the dead-letter section and
+ * is left out of replays unless asked for.
+ *
+ * Replays build their own SKU index for the duplicate checks (see withSkuIndex).
+ */
+
+import { config } from '../config.js';
+import { loadSyncState, saveSyncState, markRecordSynced } from './syncStateService.js';
+import { withSkuIndex } from './skuIndexService.js';
+import {
+  getFailedProducts,
+  getDeadLetterProducts,
+  removeFailedProducts,
+  recordFailedReplay,
+  logInfo,
+  logSuccess,
+  logWarning
+} from '../utils/logger.js';
+import { skusMatch } from '../utils/skuMatch.js';
+
+// Results that leave the product in the failed-products log
+const FAILED_REASONS = ['processing_error', 'duplicate_check_failed', 'sku_conflict', 'missing_sku'];
+
+/**
+ * Find the most recent failed-products entry for a SKU (dead-lettered entries included)
+ *
+ * @param {string} sku - Product SKU
+ * @returns {Object|null} Failed product entry
+ */
+export function findFailedProduct(sku) {
+  const matches = [...getFailedProducts(), ...getDeadLetterProducts()].filter(entry => String(entry.product?.sku) === String(sku));
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Parse a date filter
+ */
+function parseDateFilter(name, value) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Select failed products to replay
+ *
+ * @param {Object} filters - Replay filters (all optional)
+ * @param {Array<string>} filters.skus - Only these SKUs (compared with the SKU_MATCH_* rules)
+ * @param {string} filters.error - Only entries whose error message matches this pattern (case-insensitive regex)
+ * @param {string} filters.since - Only entries that last failed at or after this date
+ * @param {string} filters.until - Only entries that last failed at or before this date
+ * @param {boolean} filters.includeDeadLetter - Replay dead-lettered entries too
+ * @returns {Array<Object>} Matching entries, one per SKU
+ */
+export function selectFailedProducts({ skus = null, error = null, since = null, until = null, includeDeadLetter = false } = {}) {
+  let errorPattern = null;
+  if (error) {
+    try {
+      errorPattern = new RegExp(error, 'i');
+    } catch (regexError) {
+      throw new Error(`Invalid error pattern "${error}": ${regexError.message}`);
+    }
+  }
+
+  const sinceDate = parseDateFilter('since', since);
+  const untilDate = parseDateFilter('until', until);
+  const entries = includeDeadLetter ? [...getFailedProducts(), ...getDeadLetterProducts()] : getFailedProducts();
+
+  // Latest entry per SKU (older logs can hold several)
+  const bySku = new Map();
+  for (const entry of entries) {
+    if (entry.product?.sku !== undefined && entry.product?.sku !== null) {
+      bySku.set(String(entry.product.sku), entry);
+    }
+  }
+
+  return Array.from(bySku.values()).filter(entry => {
+    const failedAt = new Date(entry.timestamp);
+
+    return (!skus?.length || skus.some(sku => skusMatch(sku, entry.product.sku)))
+      && (!errorPattern || errorPattern.test(entry.error?.message || ''))
+      && (!sinceDate || failedAt >= sinceDate)
+      && (!untilDate || failedAt <= untilDate);
+  });
+}
+
+/**
+ * Replay one failed-products entry
+ * Honors REVIEW_MODE like a normal sync run. Dry runs leave the log unchanged.
+ *
+ * @param {Object} entry - Failed-products entry
+ * @param {Function} processRecord - processInventoryRecord of the sync pipeline to use
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} Processing result, with attempts and deadLettered when the replay failed
+ */
+async function replayEntry(entry, processRecord, { dryRun }) {
+  const sku = String(entry.product.sku);
+  let result;
+
+  try {
+    result = await processRecord(entry.product, null, { dryRun });
+  } catch (error) {
+    result = { success: false, reason: 'processing_error', sku, error: error.message };
+  }
+
+  if (dryRun) {
+    return result;
+  }
+
+  if (FAILED_REASONS.includes(result.reason)) {
+    const errorMessage = result.error || (result.reason === 'missing_sku' ? 'Record has no SKU' : null);
+    const replay = recordFailedReplay(sku, errorMessage, config.failedProducts.maxReplayAttempts);
+    return { ...result, ...replay };
+  }
+
+  removeFailedProducts(sku);
+
+  if (result.shopifyId) {
+    const syncState = await loadSyncState();
+    markRecordSynced(syncState, sku, entry.product, result.shopifyId);
+    await saveSyncState(syncState);
+  }
+
+  return result;
+}
+
+/**
+ * Retry a failed product (dead-lettered products included)
+ *
+ * @param {string} sku - Product SKU
+ * @param {Function} processRecord - processInventoryRecord of the sync pipeline to use
+ * @param {Object} options - Replay options
+ * @param {boolean} options.dryRun - Replay without writing to Shopify or the log (default: DRY_RUN)
+ * @returns {Promise<Object>} Processing result
+ */
+export async function retryFailedProduct(sku, processRecord, { dryRun = config.settings.dryRun } = {}) {
+  const failed = findFailedProduct(sku);
+
+  if (!failed) {
+    throw new Error(`No failed product found for SKU ${sku}`);
+  }
+
+  return withSkuIndex(() => replayEntry(failed, processRecord, { dryRun }), { onlyIfRequired: true });
+}
+
+/**
+ * Replay failed products one SKU at a time
+ *
+ * @param {Function} processRecord - processInventoryRecord of the sync pipeline to use
+ * @param {Object} filters - See selectFailedProducts
+ * @param {Object} options - Replay options
+ * @param {boolean} options.dryRun - Replay without writing to Shopify or the log (default: DRY_RUN)
+ * @returns {Promise<Object>} Summary { total, recovered, failed, deadLettered, results }
+ */
+export async function replayFailedProducts(processRecord, filters = {}, { dryRun = config.settings.dryRun } = {}) {
+  const entries = selectFailedProducts(filters);
+  const summary = { total: entries.length, recovered: 0, failed: 0, deadLettered: 0, results: [] };
+
+  if (entries.length === 0) {
+    logInfo('No failed products to replay');
+    return summary;
+  }
+
+  logInfo(`Replaying ${entries.length} failed product(s)${dryRun ? ' (dry run)' : ''}`);
+
+  await withSkuIndex(() => replayEntries(entries, processRecord, { dryRun }, summary), { onlyIfRequired: entries.length === 1 });
+
+  logSuccess(`Failed product replay finished: ${summary.recovered} recovered, ${summary.failed} still failing, ${summary.deadLettered} dead-lettered`);
+  return summary;
+}
+
+/**
+ * Replay entries one at a time, counting the outcomes in the summary
+ */
+async function replayEntries(entries, processRecord, { dryRun }, summary) {
+  for (const entry of entries) {
+    const sku = String(entry.product.sku);
+    const result = await replayEntry(entry, processRecord, { dryRun });
+    const failed = FAILED_REASONS.includes(result.reason);
+
+    if (!failed) {
+      summary.recovered++;
+    } else if (result.deadLettered) {
+      summary.deadLettered++;
+      logWarning(`Failed product ${sku} is in the dead-letter section after ${result.attempts} replay(s)`, { error: result.error });
+    } else {
+      summary.failed++;
+    }
+
+    summary.results.push({
+      sku,
+      status: failed ? (result.deadLettered ? 'dead_letter' : 'failed') : 'recovered',
+      reason: result.reason || 'created',
+      attempts: result.attempts ?? entry.attempts ?? 0,
+      error: result.error || null
+    });
+  }
+}
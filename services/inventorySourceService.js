@@ -0,0 +1,196 @@
+/**
+ * Inventory Source Service
+ *
+ * Pluggable sources for inventory records, selected with INVENTORY_SOURCE.
+ * Every source exposes the same interface so the sync pipeline does not
+ * care where records come from:
+ *
+ * - name: Human-readable source name for logging
+ * - testConnection(): Resolves true if the source can be read
+ * - fetchRecords(since, filters): Records filtered by timestamp and category
+ *   (filters.categories overrides the configured categories for one run).
+ *   File exports without a timestamp column are only filtered by category
+ * - streamRecords(since, filters): The same records as an async iterable, for large inventories
+ * - getSampleRecords(count): Unfiltered records for AI field mapping analysis
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { fetchInventoryRecords, streamInventoryRecords, testAimsiiConnection } from './aimsiiApiService.js';
+import { readProductsFromXLSX } from './xlsxDataService.js';
+import { readProductsFromCSV, streamProductsFromCSV } from './csvDataService.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { filterRecords, hasTimestampField, createTimestampStats, logTimestampStats, TIMESTAMP_FIELDS } from '../utils/recordFilters.js';
+
+/**
+ * Check that an export file exists and is readable
+ */
+async function testFileAccess(name, filePath) {
+  try {
+    await fs.access(filePath);
+    logInfo(`${name} is readable: ${filePath}`);
+    return true;
+  } catch (error) {
+    logError(`${name} is not readable: ${filePath}`, error);
+    return false;
+  }
+}
+
+// Records filtered at a time when a file is streamed
+const FILE_STREAM_CHUNK_SIZE = 500;
+
+/**
+ * Filter the records of a file export in chunks, so only one chunk is held at a time
+ * An export without a timestamp column (checked on the first record) skips the
+ * timestamp filter; unchanged records are still skipped by the sync state
+ */
+async function* filterStream(name, records, since, filters) {
+  const timestampStats = createTimestampStats();
+  let timestampSince;
+  let chunk = [];
+
+  for await (const record of records) {
+    if (timestampSince === undefined) {
+      timestampSince = hasTimestampField(record) ? since : null;
+      if (!timestampSince) {
+        logInfo(`${name} has no timestamp column (${TIMESTAMP_FIELDS.join(', ')}), so every record is checked`);
+      }
+    }
+
+    chunk.push(record);
+    if (chunk.length >= FILE_STREAM_CHUNK_SIZE) {
+      yield* filterRecords(chunk, timestampSince, filters, timestampStats);
+      chunk = [];
+    }
+  }
+
+  if (chunk.length > 0) {
+    yield* filterRecords(chunk, timestampSince, filters, timestampStats);
+  }
+
+  logTimestampStats(timestampStats);
+}
+
+/**
+ * Stream the filtered records of a file export that can only be read all at once (XLSX, JSON)
+ */
+async function* streamFiltered(name, readRecords, since, filters) {
+  yield* filterStream(name, await readRecords(), since, filters);
+}
+
+/**
+ * Collect a record stream into an array
+ */
+async function collectRecords(records) {
+  const collected = [];
+  for await (const record of records) {
+    collected.push(record);
+  }
+  return collected;
+}
+
+/**
+ * Source backed by the AIMSii REST API
+ * Pages through the API; only the current page is held while streaming
+ */
+function createAimsiiSource() {
+  return {
+    name: 'AIMSii API',
+    testConnection: () => testAimsiiConnection(),
+    fetchRecords: (since, filters = {}) => fetchInventoryRecords(since, filters),
+    streamRecords: (since, filters = {}) => streamInventoryRecords(since, filters),
+    getSampleRecords: async (count) => {
+      // Stops paging as soon as enough records have been read
+      const records = [];
+      for await (const record of streamInventoryRecords(null, { filter: false })) {
+        records.push(record);
+        if (records.length >= count) {
+          break;
+        }
+      }
+      return records;
+    }
+  };
+}
+
+/**
+ * Source backed by an XLSX export (see xlsxDataService)
+ */
+function createXlsxSource(filePath) {
+  const name = `XLSX file (${path.basename(filePath)})`;
+
+  return {
+    name,
+    testConnection: () => testFileAccess(name, filePath),
+    fetchRecords: (since, filters = {}) => collectRecords(streamFiltered(name, () => readProductsFromXLSX(filePath), since, filters)),
+    streamRecords: (since, filters = {}) => streamFiltered(name, () => readProductsFromXLSX(filePath), since, filters),
+    getSampleRecords: (count) => readProductsFromXLSX(filePath, { limit: count })
+  };
+}
+
+/**
+ * Source backed by a CSV export (see csvDataService)
+ * Streams the file row by row; only a chunk of records is held while streaming
+ */
+function createCsvSource(filePath) {
+  const name = `CSV file (${path.basename(filePath)})`;
+
+  return {
+    name,
+    testConnection: () => testFileAccess(name, filePath),
+    fetchRecords: (since, filters = {}) => collectRecords(streamFiltered(name, () => readProductsFromCSV(filePath), since, filters)),
+    streamRecords: (since, filters = {}) => filterStream(name, streamProductsFromCSV(filePath, {
+      delimiter: config.csv.delimiter,
+      encoding: config.csv.encoding
+    }), since, filters),
+    getSampleRecords: (count) => readProductsFromCSV(filePath, { limit: count })
+  };
+}
+
+/**
+ * Source backed by a JSON dump
+ * Accepts the same shapes as the AIMSii API: an array of records, or an object
+ * with a 'data' or 'records' array
+ */
+function createJsonSource(filePath) {
+  const name = `JSON file (${path.basename(filePath)})`;
+
+  const readRecords = async () => {
+    logInfo(`Reading products from JSON: ${path.basename(filePath)}`);
+    const content = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    const records = Array.isArray(content) ? content : content.data || content.records || [];
+    logInfo(`Loaded ${records.length} products`);
+    return records;
+  };
+
+  return {
+    name,
+    testConnection: () => testFileAccess(name, filePath),
+    fetchRecords: (since, filters = {}) => collectRecords(streamFiltered(name, readRecords, since, filters)),
+    streamRecords: (since, filters = {}) => streamFiltered(name, readRecords, since, filters),
+    getSampleRecords: async (count) => (await readRecords()).slice(0, count)
+  };
+}
+
+/**
+ * Create the inventory source selected in config
+ *
+ * @param {string} type - Source type: 'aimsii', 'xlsx', 'csv' or 'json'
+ * @param {string} filePath - Export file path for file-based sources
+ * @returns {Object} Inventory source
+ */
+export function createInventorySource(type = config.source.type, filePath = config.source.filePath) {
+  switch (type) {
+    case 'aimsii':
+      return createAimsiiSource();
+    case 'xlsx':
+      return createXlsxSource(filePath);
+    case 'csv':
+      return createCsvSource(filePath);
+    case 'json':
+      return createJsonSource(filePath);
+    default:
+      throw new Error(`Unknown inventory source: ${type}. Must be 'aimsii', 'xlsx', 'csv' or 'json'`);
+  }
+}
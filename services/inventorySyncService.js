@@ -0,0 +1,352 @@
+/**
+ * Inventory Sync Service
+ *
+ * Fast inventory-only sync. Skips the product pipeline and AI transformation
+ * entirely: records are read from the configured source in batches, matched
+ * to existing Shopify variants by SKU, and their available quantities are
+ * bulk-updated (per location when ENABLE_LOCATION_UPDATES is on).
+ *
+ * SKUs that don't exist in Shopify yet are left for the full product sync.
+ * Items that aren't stocked at a target location yet are activated there, and
+ * a SKU Shopify rejects is counted as failed without failing the rest of its batch.
+ */
+
+import { config, validateConfig } from '../config.js';
+import { mapAimsiiRecord } from './aimsiiApiService.js';
+import { createInventorySource } from './inventorySourceService.js';
+import { resolveTargetLocations, findLocation } from './shopifyLocationService.js';
+import { fetchVariantsBySkus, setInventoryQuantities, activateInventoryItem } from './shopifyService.ts';
+import { logInfo, logError, logSuccess, logWarning } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { normalizeSku, requiresSkuIndex } from '../utils/skuMatch.js';
+
+/**
+ * Build the per-location quantities for a record
+ * Uses location-specific fields when found, otherwise the total quantity at the default location
+ *
+ * @param {Object} mappedRecord - Record mapped with mapAimsiiRecord
+ * @param {Object} defaultLocation - Location used for the total quantity
+ * @returns {Object|null} Map of location name/GID to quantity
+ */
+function getRecordQuantities(mappedRecord, defaultLocation) {
+  if (mappedRecord.locationInventory) {
+    return mappedRecord.locationInventory;
+  }
+
+  const quantity = parseInt(mappedRecord['variants.inventory_quantity'], 10);
+  if (isNaN(quantity) || !defaultLocation) {
+    return null;
+  }
+
+  return { [defaultLocation.id]: quantity };
+}
+
+// inventorySetQuantities userError code for an item that isn't stocked at the location
+const NOT_STOCKED_CODE = 'ITEM_NOT_STOCKED_AT_LOCATION';
+
+/**
+ * Get the index of the quantity a userError points at, or null
+ * (fields look like ['input', 'quantities', '3', 'locationId'])
+ */
+function getQuantityIndex(userError) {
+  const field = userError.field || [];
+  const position = field.indexOf('quantities');
+  const index = position === -1 ? NaN : parseInt(field[position + 1], 10);
+  return isNaN(index) ? null : index;
+}
+
+/**
+ * Stock an item at the locations of the given quantities
+ */
+async function activateQuantities(sku, quantities) {
+  for (const { inventoryItemId, locationId } of quantities) {
+    logInfo(`Stocking SKU ${sku} at location ${locationId}`);
+    await retryWithBackoff(
+      () => activateInventoryItem(inventoryItemId, locationId, config.shopify.store, config.shopify.accessToken),
+      {
+        maxAttempts: config.retry.maxAttempts,
+        initialDelay: config.retry.initialDelay,
+        operationName: `Activate Inventory for SKU ${sku}`
+      }
+    );
+  }
+}
+
+/**
+ * Set the quantities of a batch of SKUs
+ *
+ * Shopify rejects the whole mutation when one quantity is invalid, so the
+ * userErrors are mapped back to their SKUs: quantities at a location the item
+ * isn't stocked at yet are activated there and sent again, other rejected SKUs
+ * are dropped and the rest of the batch is sent again.
+ *
+ * @param {Array<Object>} entries - { sku, quantities } per SKU
+ * @returns {Promise<Object>} { updated: entries that were set, failed: Array<{ sku, error }> }
+ */
+async function setBatchQuantities(entries) {
+  let pending = entries;
+  const failed = [];
+  const activated = new Set();
+
+  while (pending.length > 0) {
+    const quantities = pending.flatMap(entry => entry.quantities);
+    // SKU entry of each quantity, by index
+    const owners = pending.flatMap(entry => entry.quantities.map(() => entry));
+
+    try {
+      await retryWithBackoff(
+        () => setInventoryQuantities(quantities, config.shopify.store, config.shopify.accessToken),
+        {
+          maxAttempts: config.retry.maxAttempts,
+          initialDelay: config.retry.initialDelay,
+          operationName: `Set Inventory for ${pending.length} SKUs`
+        }
+      );
+      return { updated: pending, failed };
+    } catch (error) {
+      const rejected = new Map();
+
+      for (const userError of error.userErrors || []) {
+        const index = getQuantityIndex(userError);
+        const entry = index === null ? null : owners[index];
+
+        // Errors that don't point at a quantity can't be pinned on a SKU
+        if (!entry) {
+          rejected.clear();
+          break;
+        }
+
+        if (!rejected.has(entry)) {
+          rejected.set(entry, []);
+        }
+        rejected.get(entry).push({ ...userError, quantity: quantities[index] });
+      }
+
+      if (rejected.size === 0) {
+        logError('Failed to update inventory batch', error, { skus: pending.map(entry => entry.sku) });
+        failed.push(...pending.map(entry => ({ sku: entry.sku, error: error.message })));
+        return { updated: [], failed };
+      }
+
+      for (const [entry, userErrors] of rejected) {
+        let message = userErrors.map(userError => userError.message).join('; ');
+
+        // Stock the item at those locations and send its quantities again
+        if (userErrors.every(userError => userError.code === NOT_STOCKED_CODE) && !activated.has(entry)) {
+          activated.add(entry);
+
+          try {
+            await activateQuantities(entry.sku, userErrors.map(userError => userError.quantity));
+            continue;
+          } catch (activationError) {
+            message = activationError.message;
+          }
+        }
+
+        logWarning(`Shopify rejected the inventory update for SKU ${entry.sku}`, { sku: entry.sku, error: message });
+        failed.push({ sku: entry.sku, error: message });
+        pending = pending.filter(other => other !== entry);
+      }
+    }
+  }
+
+  return { updated: [], failed };
+}
+
+/**
+ * Sync inventory for one batch of records
+ */
+async function syncInventoryBatch(batch, targetLocations, stats) {
+  const updates = new Map();
+
+  for (const record of batch) {
+    const mappedRecord = mapAimsiiRecord(record);
+    const sku = mappedRecord['variants.sku'];
+    const quantities = sku ? getRecordQuantities(mappedRecord, targetLocations[0]) : null;
+
+    if (!quantities) {
+      stats.skipped++;
+      continue;
+    }
+
+    // Later records win if a SKU appears twice
+    updates.set(normalizeSku(sku), { sku, quantities });
+  }
+
+  if (updates.size === 0) {
+    return;
+  }
+
+  const lookups = await retryWithBackoff(
+    () => fetchVariantsBySkus(
+      Array.from(updates.values()).map(update => update.sku),
+      config.shopify.store,
+      config.shopify.accessToken,
+      normalizeSku
+    ),
+    {
+      maxAttempts: config.retry.maxAttempts,
+      initialDelay: config.retry.initialDelay,
+      operationName: 'Look Up Shopify Variants by SKU'
+    }
+  );
+
+  const lookupsBySku = new Map(lookups.map(lookup => [normalizeSku(lookup.sku), lookup]));
+  // SKUs with quantities to set, and those with some of their locations skipped
+  const entries = [];
+  const partialSkus = new Set();
+
+  for (const [key, { sku, quantities }] of updates) {
+    const lookup = lookupsBySku.get(key);
+
+    if (lookup?.status === 'conflict') {
+      logWarning(`SKU ${sku} matches variants on several Shopify products, skipping`, { sku, conflicts: lookup.conflicts });
+      stats.conflicts++;
+      continue;
+    }
+
+    if (lookup?.status === 'unknown') {
+      logWarning(`Could not look up SKU ${sku} in Shopify, skipping`, { sku, error: lookup.error });
+      stats.failed++;
+      continue;
+    }
+
+    if (lookup?.status !== 'exists') {
+      stats.notFound++;
+      continue;
+    }
+
+    const { variant } = lookup;
+
+    stats.matched++;
+    const skuQuantities = [];
+
+    for (const [locationName, quantity] of Object.entries(quantities)) {
+      const location = findLocation(locationName, targetLocations);
+
+      if (!location) {
+        logWarning(`AIMSii location "${locationName}" does not match a target Shopify location, skipping`, { sku });
+        partialSkus.add(sku);
+        continue;
+      }
+
+      skuQuantities.push({
+        inventoryItemId: variant.inventoryItemId,
+        locationId: location.id,
+        quantity
+      });
+    }
+
+    if (skuQuantities.length === 0) {
+      partialSkus.delete(sku);
+      stats.skipped++;
+      continue;
+    }
+
+    entries.push({ sku, quantities: skuQuantities });
+  }
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  if (config.settings.dryRun) {
+    const levelCount = entries.reduce((count, entry) => count + entry.quantities.length, 0);
+    logInfo(`[DRY RUN] Would update ${levelCount} inventory levels for ${entries.length} SKUs`);
+    return;
+  }
+
+  const { updated, failed } = await setBatchQuantities(entries);
+
+  // SKUs missing a location are only partly updated
+  const partialCount = updated.filter(entry => partialSkus.has(entry.sku)).length;
+  stats.updated += updated.length - partialCount;
+  stats.partial += partialCount;
+  stats.failed += failed.length;
+}
+
+/**
+ * Main inventory-only sync function
+ * Callers run it under the 'inventory' lock (see utils/scheduler.js), so runs never overlap
+ *
+ * @returns {Promise<Object>} Sync statistics
+ */
+export async function syncInventoryLevels() {
+  logInfo('='.repeat(60));
+  logInfo('Starting inventory-only sync');
+  logInfo('='.repeat(60));
+
+  const startTime = Date.now();
+  const stats = {
+    total: 0,
+    matched: 0,
+    updated: 0,
+    partial: 0,
+    notFound: 0,
+    conflicts: 0,
+    skipped: 0,
+    failed: 0
+  };
+
+  try {
+    validateConfig({ requireAI: false });
+
+    const source = createInventorySource();
+    logInfo(`Testing ${source.name} connection...`);
+    if (!(await source.testConnection())) {
+      throw new Error(`Failed to connect to ${source.name}. Please check your credentials, file path and network connection.`);
+    }
+
+    if (requiresSkuIndex()) {
+      logWarning('SKU_MATCH_IGNORE_LEADING_ZEROS / SKU_MATCH_WHITESPACE=remove: Shopify SKUs that only match after those rules are not found by the inventory sync');
+    }
+
+    const targetLocations = await resolveTargetLocations();
+    if (targetLocations.length === 0) {
+      throw new Error('No Shopify locations available for inventory updates. Check SHOPIFY_LOCATIONS.');
+    }
+    logInfo(`Updating inventory at: ${targetLocations.map(l => l.name).join(', ')}`);
+
+    // Stock counts change without a new creation date, so every record is checked.
+    // Records are synced batch by batch. The AIMSii and CSV sources stream them, so the
+    // whole catalog is never held at once (XLSX and JSON exports are read whole)
+    logInfo(`Fetching inventory records from ${source.name}...`);
+    const batchSize = config.inventorySync.batchSize;
+    let batch = [];
+    let batchNumber = 0;
+
+    const syncBatch = async () => {
+      batchNumber++;
+      logInfo(`Syncing inventory batch ${batchNumber} (${batch.length} records)...`);
+      await syncInventoryBatch(batch, targetLocations, stats);
+      batch = [];
+    };
+
+    for await (const record of source.streamRecords(new Date(0))) {
+      stats.total++;
+      batch.push(record);
+
+      if (batch.length >= batchSize) {
+        await syncBatch();
+      }
+    }
+
+    if (batch.length > 0) {
+      await syncBatch();
+    }
+
+    logSuccess(`Inventory sync updated ${stats.updated} SKUs${stats.partial > 0 ? ` (${stats.partial} more at only some of their locations)` : ''}`);
+  } catch (error) {
+    logError('Fatal error during inventory sync', error);
+    throw error;
+  } finally {
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logInfo('Inventory Sync Statistics:', {
+      duration: `${duration}s`,
+      ...stats
+    });
+    logInfo('='.repeat(60));
+  }
+
+  return stats;
+}
@@ -1,9 +1,10 @@
 import { ColumnMapping } from '../types';
+import { httpErrorFromResponse } from '../utils/httpError.js';
 
 // A list of core Shopify fields the user can map to.
 export const SHOPIFY_TARGET_FIELDS = [
   'title', 'body_html', 'vendor', 'product_type', 'tags', 
-  'variants.price', 'variants.sku', 'variants.inventory_quantity',
+  'variants.price', 'variants.sku', 'variants.inventory_quantity', 'variants.barcode',
   'images.src'
 ];
 
@@ -12,6 +13,9 @@ export const SHOPIFY_TARGET_FIELDS = [
 // When deployed, both the script and server run in the same container
 const API_BASE_URL = process.env.BACKEND_API_URL || 'http://localhost:5001';
 
+// API key sent to the backend server (needs the generate scope, see API_KEYS)
+const API_KEY = process.env.BACKEND_API_KEY;
+
 export const generateShopifyProductJson = async (
   rowData: Record<string, any>,
   mapping: ColumnMapping
@@ -21,13 +25,14 @@ export const generateShopifyProductJson = async (
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(API_KEY && { 'Authorization': `Bearer ${API_KEY}` }),
       },
       body: JSON.stringify({ rowData, mapping })
     });
 
+    // The backend reports the AI provider's error code and whether a retry can help
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData.error || `Backend API error: ${response.statusText}`);
+      throw await httpErrorFromResponse(response, 'Product generation failed', 'backend');
     }
 
     const result = await response.json();
@@ -40,7 +45,9 @@ export const generateShopifyProductJson = async (
   } catch (error) {
     console.error("Error calling backend API:", error);
     if (error instanceof Error) {
-      throw new Error(`Backend API Error: ${error.message}`);
+      // Keep the structured details (status, code, retryable) for the retry logic
+      error.message = `Backend API Error: ${error.message}`;
+      throw error;
     }
     throw new Error("An unknown error occurred while communicating with the backend.");
   }
@@ -0,0 +1,642 @@
+/**
+ * Product Sync Runner
+ *
+ * The run orchestration shared by the standard (index.js) and AI-enhanced
+ * (index-ai-enhanced.js) pipelines: stream records since the watermark, retry
+ * records whose duplicate check failed, process them with the worker pool,
+ * count the results, and save the watermark or a checkpoint plus the run
+ * history. Also the record flow (createRecordProcessor) and the scheduled sync
+ * service (startScheduledSync). Pipelines only supply how a record is transformed.
+ *
+ * Records are streamed from the source into the worker pool, so only the
+ * records being processed are held in memory. The record count is known once
+ * the source has been read to the end.
+ */
+
+import { config, validateConfig } from '../config.js';
+import { createInventorySource } from './inventorySourceService.js';
+import { mapAimsiiRecord } from './aimsiiApiService.js';
+import { createProductDraft } from './shopifyService.ts';
+import { updateExistingProduct } from './productUpdateService.js';
+import { pushLocationInventory, updateExistingProductInventory, getNewProductLocationId } from './shopifyLocationService.js';
+import { syncInventoryLevels } from './inventorySyncService.js';
+import { replayFailedProducts } from './failedProductService.js';
+import {
+  loadSyncState,
+  saveSyncState,
+  getResumeTimestamp,
+  advanceWatermark,
+  isRecordUnchanged,
+  markRecordSynced,
+  queueRecordRetry,
+  clearRecordRetry,
+  getRetryRecords,
+  recordCheckpoint,
+  clearCheckpoint,
+  logCheckpoint
+} from './syncStateService.js';
+import { loadReviewQueue, isSkuQueued, enqueueProposal } from './reviewQueueService.js';
+import { prepareSkuIndex, clearSkuIndex, checkSkuExists, addToSkuIndex } from './skuIndexService.js';
+import { logInfo, logError, logSuccess, logWarning, saveFailedProduct, saveSyncRun } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { startScheduler, runJob } from '../utils/scheduler.js';
+import { runWorkerPool, createLimiter } from '../utils/workerPool.js';
+import { normalizeSku } from '../utils/skuMatch.js';
+import { shutdownSignal, registerActiveRun } from '../utils/shutdown.js';
+
+// AI transformations running at the same time, shared by all workers and pipelines
+const limitAI = createLimiter(config.concurrency.ai);
+
+// Stat counted for each processing result reason (anything else counts as failed)
+const RESULT_STATS = {
+  created: 'created',
+  queued: 'queued',
+  updated: 'updated',
+  dry_run: 'dryRun',
+  already_exists: 'alreadyExists',
+  missing_sku: 'skipped',
+  duplicate_check_failed: 'duplicateCheckFailed',
+  sku_conflict: 'skuConflicts'
+};
+
+/**
+ * Create the statistics of a run
+ */
+function createRunStats() {
+  return {
+    total: 0,
+    created: 0,
+    skipped: 0,
+    updated: 0,
+    dryRun: 0,
+    failed: 0,
+    alreadyExists: 0,
+    unchanged: 0,
+    queued: 0,
+    alreadyQueued: 0,
+    duplicateCheckFailed: 0,
+    skuConflicts: 0,
+    inventoryUpdated: 0
+  };
+}
+
+/**
+ * Stream the records of a run: the source records, then the records whose duplicate
+ * check failed in an earlier run and that the source didn't return again
+ * (only the SKUs seen are kept to tell them apart)
+ */
+async function* streamRunRecords(source, since, categories, syncState, getRecordSku) {
+  const fetchedSkus = new Set();
+
+  for await (const record of source.streamRecords(since, { categories })) {
+    fetchedSkus.add(String(getRecordSku(record)));
+    yield record;
+  }
+
+  const retryRecords = getRetryRecords(syncState, fetchedSkus);
+  if (retryRecords.length > 0) {
+    logInfo(`Retrying ${retryRecords.length} record(s) whose duplicate check failed in an earlier run`);
+  }
+  yield* retryRecords;
+}
+
+/**
+ * Get the run status of a processing result (created products have no reason)
+ */
+function getResultStatus(result) {
+  return result.reason || (result.success ? 'created' : 'processing_error');
+}
+
+/**
+ * Run a product sync
+ *
+ * @param {Object} pipeline - How records are processed
+ * @param {string} pipeline.mode - Mode recorded in the run history ('standard' or 'ai-enhanced')
+ * @param {string} pipeline.title - Banner logged at the start of the run
+ * @param {Function} pipeline.processRecord - (record, syncState, { dryRun }) => Promise<Object> processing result
+ * @param {Function} pipeline.getRecordSku - (record) => SKU of a source record
+ * @param {Function} [pipeline.prepare] - Called after the config is validated, returns extra settings to log
+ * @param {Function} [pipeline.afterRecord] - Called with the number of completed records after each one
+ * @param {Function} [pipeline.afterRun] - Called after the statistics are logged
+ * @param {Object} options - Run options (used by API-triggered runs)
+ * @param {AbortSignal} options.signal - Cancels the run between records
+ * @param {number} options.batchSize - Maximum number of records to process (any mode)
+ * @param {Function} options.onProgress - Called with the stats after each record
+ * @param {boolean} options.dryRun - Log what would change without writing to Shopify or the sync state (default: DRY_RUN)
+ * @param {Array<string>|null} options.categories - Only sync these categories (default: the configured category filter)
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function runProductSync(pipeline, {
+  signal = null,
+  batchSize = null,
+  onProgress = null,
+  dryRun = config.settings.dryRun,
+  categories = null
+} = {}) {
+  const { mode, title, processRecord, getRecordSku } = pipeline;
+
+  logInfo('='.repeat(60));
+  logInfo(title);
+  logInfo('='.repeat(60));
+
+  const startTime = Date.now();
+  const stats = createRunStats();
+  let batchLimitReached = false;
+  let cancelled = false;
+
+  // Review mode stops once BATCH_SIZE products are queued. An explicit batchSize
+  // limits the number of records processed in any mode
+  const batchLimit = batchSize ?? (config.settings.reviewMode ? config.sync.batchSize : null);
+  let processed = 0;
+
+  // Per-SKU results for the run history (shown on the dashboard)
+  const runResults = [];
+  let runError = null;
+  let runRecorded = false;
+
+  let syncState = null;
+  let allRecordsRead = false;
+  let completed = 0;
+  const inFlightSkus = new Set();
+
+  // Stop taking new records when cancelled or when the process shuts down
+  const runSignal = signal ? AbortSignal.any([signal, shutdownSignal]) : shutdownSignal;
+
+  // Where the run stopped, for the next run. Records the source hadn't returned
+  // yet aren't counted in remaining (see allRecordsRead)
+  const checkpointFor = (reason) => ({
+    reason,
+    runStartedAt: new Date(startTime).toISOString(),
+    processed: completed,
+    remaining: stats.total - (stats.unchanged + stats.alreadyQueued + completed),
+    allRecordsRead,
+    inFlightSkus: Array.from(inFlightSkus)
+  });
+
+  const recordRun = () => {
+    if (runRecorded) {
+      return;
+    }
+    runRecorded = true;
+
+    saveSyncRun({
+      startedAt: new Date(startTime).toISOString(),
+      finishedAt: new Date().toISOString(),
+      duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+      mode,
+      dryRun,
+      cancelled,
+      stats,
+      error: runError,
+      results: runResults
+    });
+  };
+
+  // If a shutdown times out before in-flight records finish, save progress so far
+  const finishActiveRun = registerActiveRun(async () => {
+    cancelled = true;
+    runError = 'Interrupted by shutdown before in-flight records finished';
+
+    if (syncState && !dryRun) {
+      recordCheckpoint(syncState, checkpointFor('shutdown_timeout'));
+      await saveSyncState(syncState);
+    }
+    recordRun();
+  });
+
+  try {
+    logInfo('Validating configuration...');
+    validateConfig();
+    logInfo('Configuration validated successfully');
+
+    const pipelineSettings = pipeline.prepare ? await pipeline.prepare() : {};
+
+    logInfo('Sync Configuration:', {
+      lookbackHours: config.sync.lookbackHours,
+      filterByCategory: Boolean(categories) || config.sync.filterByCategory,
+      allowedCategories: categories || config.sync.allowedCategories,
+      source: config.source.type,
+      updateExistingProducts: config.productUpdates.enabled ? config.productUpdates.fields : false,
+      dryRun,
+      reviewMode: config.settings.reviewMode ? { batchSize: config.sync.batchSize } : false,
+      ...pipelineSettings
+    });
+
+    // Test inventory source connection
+    const source = createInventorySource();
+    logInfo(`Testing ${source.name} connection...`);
+    const sourceConnected = await source.testConnection();
+    if (!sourceConnected) {
+      throw new Error(`Failed to connect to ${source.name}. Please check your credentials, file path and network connection.`);
+    }
+
+    // Review mode: skip SKUs that are already waiting for approval
+    const reviewQueue = config.settings.reviewMode ? await loadReviewQueue() : null;
+
+    // Stream inventory records
+    // Resume from the last successful watermark (falls back to the lookback window)
+    syncState = await loadSyncState();
+    logCheckpoint(syncState);
+    const since = getResumeTimestamp(syncState);
+    const fetchedAt = new Date();
+    logInfo(`Reading new inventory records from ${source.name} since ${since.toISOString()}...`);
+    const records = streamRunRecords(source, since, categories, syncState, getRecordSku);
+
+    // Read the first record before building the SKU index, so a run without records stays cheap
+    const first = await records.next();
+
+    if (first.done) {
+      if (!dryRun) {
+        advanceWatermark(syncState, fetchedAt);
+        clearCheckpoint(syncState);
+        await saveSyncState(syncState);
+      }
+      logInfo('No new records to process. Sync complete.');
+      return stats;
+    }
+
+    // Answer duplicate checks for this run from a bulk export of all SKUs
+    await prepareSkuIndex();
+
+    // Count records as the pool reads them; the total is final once the source is read to the end
+    const countedRecords = (async function* () {
+      try {
+        for (let next = first; !next.done; next = await records.next()) {
+          stats.total++;
+          yield next.value;
+        }
+        allRecordsRead = true;
+        logInfo(`Read ${stats.total} record(s) to process`);
+      } finally {
+        // Close the source stream when the pool stops early
+        await records.return();
+      }
+    })();
+
+    // Process records with a pool of workers. Records with the same SKU are handled
+    // in order by one worker, so later records see what earlier ones created
+    const { stoppedBy } = await runWorkerPool(countedRecords, async (record, i) => {
+      const sku = getRecordSku(record);
+
+      // Skip records that haven't changed since they were last synced
+      if (sku && isRecordUnchanged(syncState, sku, record)) {
+        logInfo(`SKU ${sku} unchanged since last sync, skipping`);
+        stats.unchanged++;
+        clearRecordRetry(syncState, sku);
+        return;
+      }
+
+      if (reviewQueue && sku && isSkuQueued(reviewQueue, sku)) {
+        logInfo(`SKU ${sku} is already in the review queue (pending, approved or rejected), skipping`);
+        stats.alreadyQueued++;
+        return;
+      }
+
+      processed++;
+      inFlightSkus.add(sku);
+
+      logInfo(`\nProcessing record ${i + 1}${allRecordsRead ? `/${stats.total}` : ''}...`);
+
+      const result = await processRecord(record, syncState, { dryRun });
+      inFlightSkus.delete(sku);
+
+      const status = getResultStatus(result);
+      stats[RESULT_STATS[status] || 'failed']++;
+
+      if (result.inventoryUpdated) {
+        stats.inventoryUpdated++;
+      }
+
+      if (sku && status !== 'duplicate_check_failed') {
+        clearRecordRetry(syncState, sku);
+      }
+
+      runResults.push({
+        sku: result.sku || sku || null,
+        status,
+        shopifyId: result.shopifyId || null,
+        error: result.error || null,
+        userErrors: result.userErrors || null
+      });
+
+      if (onProgress) {
+        onProgress({ ...stats });
+      }
+
+      completed++;
+
+      // Remember synced records so overlapping runs don't reprocess them
+      if (!dryRun && result.shopifyId) {
+        markRecordSynced(syncState, sku, record, result.shopifyId);
+
+        if (completed % 25 === 0) {
+          await saveSyncState(syncState);
+        }
+      }
+
+      if (pipeline.afterRecord) {
+        pipeline.afterRecord(completed);
+      }
+    }, {
+      concurrency: config.concurrency.workers,
+      keyOf: (record) => {
+        const sku = getRecordSku(record);
+        return sku ? normalizeSku(sku) : null;
+      },
+      signal: runSignal,
+      // Stop once a full batch has been queued (review mode) or processed.
+      // Records still running count towards the batch until they finish
+      shouldStop: ({ inFlight }) => batchLimit !== null &&
+        (config.settings.reviewMode ? stats.queued + inFlight : processed) >= batchLimit
+    });
+
+    if (stoppedBy === 'signal') {
+      logWarning(`Sync ${shutdownSignal.aborted ? 'stopped for shutdown' : 'cancelled'}. Remaining records will be processed in the next run.`);
+      cancelled = true;
+    } else if (stoppedBy === 'limit') {
+      logInfo(`Batch of ${batchLimit} products ${config.settings.reviewMode ? 'queued' : 'processed'}. Remaining records will be processed in the next run.`);
+      batchLimitReached = true;
+    }
+
+    // Run completed: the next run resumes from when this one fetched its records
+    // (unless the run stopped early, so the rest of the records are fetched again)
+    if (!dryRun) {
+      if (!batchLimitReached && !cancelled) {
+        advanceWatermark(syncState, fetchedAt);
+        clearCheckpoint(syncState);
+      } else {
+        const reason = batchLimitReached ? 'batch_limit' : (shutdownSignal.aborted ? 'shutdown' : 'cancelled');
+        recordCheckpoint(syncState, checkpointFor(reason));
+      }
+      await saveSyncState(syncState);
+    }
+
+  } catch (error) {
+    logError('Fatal error during sync', error);
+    runError = error.message;
+    throw error;
+  } finally {
+    clearSkuIndex();
+    recordRun();
+    finishActiveRun();
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    logInfo('='.repeat(60));
+    logInfo('Sync Complete');
+    logInfo('='.repeat(60));
+    logInfo('Statistics:', {
+      duration: `${duration}s`,
+      ...stats
+    });
+
+    if (pipeline.afterRun) {
+      pipeline.afterRun();
+    }
+
+    logInfo('='.repeat(60));
+  }
+
+  return stats;
+}
+
+/**
+ * Push per-location quantities for a newly created product
+ * Failures are logged but don't fail the record, since the product already exists
+ */
+async function pushNewProductInventory(sku, inventoryItemId, locationInventory) {
+  if (!locationInventory) {
+    return false;
+  }
+
+  try {
+    return (await pushLocationInventory(sku, inventoryItemId, locationInventory)) > 0;
+  } catch (error) {
+    logError(`Failed to set location inventory for new product with SKU ${sku}`, error, { sku });
+    return false;
+  }
+}
+
+/**
+ * Create the processInventoryRecord function of a pipeline
+ *
+ * Every pipeline handles a record the same way: check the SKU in Shopify, update
+ * or skip an existing product, otherwise transform the record and queue it for
+ * review or create it as a draft with its per-location quantities.
+ *
+ * @param {Object} pipeline - How records are transformed
+ * @param {Function} pipeline.getRecordSku - (record) => SKU of a source record
+ * @param {string} pipeline.transformName - Name of the transformation in the logs
+ * @param {Function} pipeline.transform - (record, mappedRecord) => Promise<Object> Shopify product payload
+ * @param {Function} [pipeline.getUpdateFields] - (record, mappedRecord) => fields compared with an existing product (default: the mapped record)
+ * @param {boolean} [pipeline.transformOnDryRun] - Transform new products in dry runs too (default: false)
+ * @returns {Function} async (record, syncState, { dryRun }) => processing result; syncState queues records whose duplicate check fails for retry
+ */
+export function createRecordProcessor(pipeline) {
+  const { getRecordSku, transformName, transform, getUpdateFields, transformOnDryRun = false } = pipeline;
+
+  return async function processInventoryRecord(record, syncState = null, { dryRun = config.settings.dryRun } = {}) {
+    const sku = getRecordSku(record);
+
+    if (!sku) {
+      logWarning('Record missing SKU, skipping', { recordId: record.id || 'unknown' });
+      return { success: false, reason: 'missing_sku' };
+    }
+
+    // Generated Shopify payload, kept for the failed-products log
+    let shopifyData = null;
+
+    try {
+      logInfo(`Processing record: ${sku}`);
+
+      // Step 1: Check if product already exists in Shopify
+      logInfo(`Checking if SKU already exists in Shopify: ${sku}`);
+      const skuCheck = await checkSkuExists(sku);
+
+      // Fail closed: never create a product when we couldn't verify that the SKU is new
+      if (skuCheck.status === 'unknown') {
+        logWarning(`Could not verify whether SKU ${sku} exists in Shopify, not creating it`, { sku, error: skuCheck.error });
+
+        if (syncState) {
+          const retry = queueRecordRetry(syncState, sku, record, skuCheck.error);
+          logInfo(`SKU ${sku} queued for retry in the next run (attempt ${retry.attempts})`);
+        }
+
+        return { success: false, reason: 'duplicate_check_failed', sku, error: skuCheck.error };
+      }
+
+      // Several Shopify products have this SKU: don't guess which one it is
+      if (skuCheck.status === 'conflict') {
+        const productIds = Array.from(new Set(skuCheck.conflicts.map(conflict => conflict.productId)));
+        logWarning(`SKU ${sku} matches ${productIds.length} Shopify products, skipping`, { sku, conflicts: skuCheck.conflicts });
+
+        return {
+          success: false,
+          reason: 'sku_conflict',
+          sku,
+          error: `SKU matches multiple Shopify products: ${productIds.join(', ')}`,
+          conflicts: skuCheck.conflicts
+        };
+      }
+
+      // Step 2: Map AIMSii record to internal format
+      const mappedRecord = mapAimsiiRecord(record);
+
+      if (skuCheck.exists) {
+        const existingId = skuCheck.product?.id;
+        const result = { success: false, reason: 'already_exists', sku, shopifyId: existingId };
+
+        if (config.productUpdates.enabled) {
+          // Update mode: sync changed fields to the existing product (no transformation needed)
+          logInfo(`Product with SKU ${sku} already exists in Shopify (ID: ${existingId}), checking for changes`);
+          const updateFields = getUpdateFields ? getUpdateFields(record, mappedRecord) : mappedRecord;
+          const updateResult = await updateExistingProduct(sku, updateFields, existingId, { dryRun });
+
+          if (updateResult.updated) {
+            Object.assign(result, { success: true, reason: 'updated', changedFields: updateResult.changedFields });
+          }
+        } else {
+          logInfo(`Product with SKU ${sku} already exists in Shopify (ID: ${existingId}), skipping`);
+        }
+
+        // Push per-location quantities for the existing product (if enabled)
+        result.inventoryUpdated = await updateExistingProductInventory(sku, skuCheck.product, mappedRecord.locationInventory, { dryRun });
+
+        return result;
+      }
+
+      // Step 3: Transform to Shopify format
+      if (dryRun && !transformOnDryRun) {
+        logInfo(`[DRY RUN] Would transform SKU ${sku} using ${transformName} and create it in Shopify`);
+        return { success: true, reason: 'dry_run', sku };
+      }
+
+      logInfo(`${dryRun ? '[DRY RUN] ' : ''}Transforming data using ${transformName} for SKU: ${sku}`);
+      shopifyData = await retryWithBackoff(
+        () => limitAI(() => transform(record, mappedRecord)),
+        {
+          maxAttempts: config.retry.maxAttempts,
+          initialDelay: config.retry.initialDelay,
+          operationName: `${transformName} Transform for SKU ${sku}`
+        }
+      );
+
+      // Step 4: Create product in Shopify
+      if (dryRun) {
+        logInfo(`[DRY RUN] Would create product in Shopify for SKU: ${sku}`);
+        return { success: true, reason: 'dry_run', sku };
+      }
+
+      // Review mode: queue the proposed payload for approval instead of creating it
+      if (config.settings.reviewMode) {
+        const reviewItem = await enqueueProposal(sku, record, shopifyData);
+        return { success: true, reason: 'queued', sku, reviewId: reviewItem.id };
+      }
+
+      logInfo(`Creating product draft in Shopify for SKU: ${sku}`);
+      // The total quantity is stocked at the first target location (per-location quantities are pushed after)
+      const inventoryLocationId = await getNewProductLocationId(mappedRecord.locationInventory);
+      const createResult = await retryWithBackoff(
+        () => createProductDraft(
+          shopifyData,
+          config.shopify.store,
+          config.shopify.accessToken,
+          false, // Not demo mode
+          inventoryLocationId
+        ),
+        {
+          maxAttempts: config.retry.maxAttempts,
+          initialDelay: config.retry.initialDelay,
+          operationName: `Create Shopify Product for SKU ${sku}`
+        }
+      );
+
+      logSuccess('Successfully created product draft in Shopify', {
+        sku,
+        shopifyId: createResult.shopifyId,
+        title: shopifyData.product?.title
+      });
+
+      // Later records with the same SKU must see the new product
+      addToSkuIndex(sku, createResult);
+
+      // Step 5: Push per-location quantities for the new product
+      const inventoryUpdated = await pushNewProductInventory(sku, createResult.inventoryItemId, mappedRecord.locationInventory);
+
+      return {
+        success: true,
+        sku,
+        shopifyId: createResult.shopifyId,
+        inventoryUpdated
+      };
+
+    } catch (error) {
+      logError(`Failed to process record with SKU ${sku}`, error, { sku });
+      saveFailedProduct({ ...record, sku }, error, shopifyData);
+      return {
+        success: false,
+        reason: 'processing_error',
+        sku,
+        error: error.message,
+        userErrors: error.userErrors || null
+      };
+    }
+  };
+}
+
+/**
+ * Scheduled jobs of the sync service
+ * Jobs sharing a lock never run at the same time, also across processes
+ *
+ * @param {Function} syncProducts - The pipeline's sync function
+ * @param {Function} processRecord - The pipeline's processInventoryRecord, for failed-product retries
+ * @returns {Array<Object>} Jobs (see utils/scheduler.js)
+ */
+export function getScheduledJobs(syncProducts, processRecord) {
+  return [
+    { name: 'full-sync', schedule: config.schedule.fullSync, lock: 'sync', run: () => syncProducts() },
+    {
+      name: 'inventory-sync',
+      schedule: config.inventorySync.enabled ? config.schedule.inventorySync : null,
+      lock: 'inventory',
+      run: () => syncInventoryLevels()
+    },
+    { name: 'failed-retry', schedule: config.schedule.failedRetry, lock: 'sync', run: () => replayFailedProducts(processRecord) }
+  ];
+}
+
+/**
+ * Schedule recurring sync
+ * Review and run-once modes run the full sync a single time and exit
+ *
+ * @param {Object} service - { title, syncProducts, processRecord }
+ */
+export async function startScheduledSync({ title, syncProducts, processRecord }) {
+  logInfo(title);
+
+  const jobs = getScheduledJobs(syncProducts, processRecord);
+
+  if (config.settings.reviewMode || config.settings.runOnce) {
+    const status = await runJob(jobs[0], 'start');
+
+    // A shutdown during the run exits on its own once it has flushed
+    if (shutdownSignal.aborted) {
+      return;
+    }
+
+    if (config.settings.reviewMode) {
+      logInfo('Review mode enabled. Review queued products with `npm run review -- list`, then approve and publish them. Exiting...');
+    } else {
+      logInfo('Run-once mode enabled. Exiting...');
+    }
+    process.exit(status === 'completed' ? 0 : 1);
+  }
+
+  await startScheduler(jobs);
+
+  if (shutdownSignal.aborted) {
+    return;
+  }
+
+  logInfo('Scheduled sync service is running. Press Ctrl+C to stop.');
+}
@@ -0,0 +1,151 @@
+/**
+ * Product Update Service
+ *
+ * Keeps existing Shopify products in sync with AIMSii instead of skipping them.
+ * The mapped AIMSii record is compared with the live Shopify product and variant,
+ * and only fields that changed (and are enabled in UPDATE_FIELDS) are sent.
+ */
+
+import { config } from '../config.js';
+import { getProductById, updateProduct, updateVariant } from './shopifyService.ts';
+import { logInfo, logSuccess } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { skusMatch } from '../utils/skuMatch.js';
+
+/**
+ * Fields that can be updated on existing products
+ * Keys are the names used in UPDATE_FIELDS
+ */
+export const UPDATABLE_FIELDS = {
+  title: { target: 'product', shopifyField: 'title', mappedField: 'title' },
+  body: { target: 'product', shopifyField: 'body_html', mappedField: 'body_html' },
+  tags: { target: 'product', shopifyField: 'tags', mappedField: 'tags' },
+  price: { target: 'variant', shopifyField: 'price', mappedField: 'variants.price' },
+  barcode: { target: 'variant', shopifyField: 'barcode', mappedField: 'variants.barcode' },
+};
+
+/**
+ * Normalize a field value so formatting differences don't count as changes
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  switch (field) {
+    case 'price': {
+      const price = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+      return isNaN(price) ? '' : price.toFixed(2);
+    }
+    case 'tags':
+      return String(value)
+        .split(',')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean)
+        .sort()
+        .join(',');
+    default:
+      return String(value).trim();
+  }
+}
+
+/**
+ * Compare a mapped AIMSii record with an existing Shopify product and variant
+ *
+ * @param {Object} mappedRecord - Record mapped with mapAimsiiRecord (keys like 'title', 'variants.price')
+ * @param {Object} product - Existing Shopify product
+ * @param {Object} variant - Existing Shopify variant matching the SKU
+ * @param {Array<string>} fields - Fields to compare (keys of UPDATABLE_FIELDS)
+ * @returns {Object} { product, variant, changedFields } with only the changed values
+ */
+export function diffProduct(mappedRecord, product, variant, fields = config.productUpdates.fields) {
+  const changes = { product: {}, variant: {}, changedFields: [] };
+
+  for (const field of fields) {
+    const definition = UPDATABLE_FIELDS[field];
+    const newValue = mappedRecord[definition.mappedField];
+
+    // Fields missing from the AIMSii record are left untouched in Shopify
+    if (newValue === undefined || newValue === null || newValue === '') {
+      continue;
+    }
+
+    const existing = definition.target === 'product' ? product : variant;
+    if (!existing) {
+      continue;
+    }
+
+    if (normalizeValue(field, newValue) !== normalizeValue(field, existing[definition.shopifyField])) {
+      changes[definition.target][definition.shopifyField] = field === 'price'
+        ? normalizeValue(field, newValue)
+        : String(newValue).trim();
+      changes.changedFields.push(field);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Update an existing Shopify product from a mapped AIMSii record
+ *
+ * @param {string} sku - SKU of the record
+ * @param {Object} mappedRecord - Record mapped to Shopify field names
+ * @param {string|number} productId - Existing Shopify product ID
+ * @param {Object} options - { dryRun: report the changes without sending them (default: DRY_RUN) }
+ * @returns {Promise<Object>} { updated, changedFields, product }
+ */
+export async function updateExistingProduct(sku, mappedRecord, productId, { dryRun = config.settings.dryRun } = {}) {
+  const product = await retryWithBackoff(
+    () => getProductById(productId, config.shopify.store, config.shopify.accessToken),
+    {
+      maxAttempts: config.retry.maxAttempts,
+      initialDelay: config.retry.initialDelay,
+      operationName: `Fetch Shopify Product for SKU ${sku}`
+    }
+  );
+
+  const variant = product.variants?.find(v => skusMatch(v.sku, sku));
+
+  const changes = diffProduct(mappedRecord, product, variant);
+
+  if (changes.changedFields.length === 0) {
+    logInfo(`Product with SKU ${sku} is up to date in Shopify`);
+    return { updated: false, changedFields: [], product };
+  }
+
+  if (dryRun) {
+    logInfo(`[DRY RUN] Would update SKU ${sku} in Shopify`, { changes: changes.changedFields });
+    return { updated: false, changedFields: changes.changedFields, product };
+  }
+
+  if (Object.keys(changes.product).length > 0) {
+    await retryWithBackoff(
+      () => updateProduct(product.id, changes.product, config.shopify.store, config.shopify.accessToken),
+      {
+        maxAttempts: config.retry.maxAttempts,
+        initialDelay: config.retry.initialDelay,
+        operationName: `Update Shopify Product for SKU ${sku}`
+      }
+    );
+  }
+
+  if (Object.keys(changes.variant).length > 0) {
+    await retryWithBackoff(
+      () => updateVariant(product.id, variant.id, changes.variant, config.shopify.store, config.shopify.accessToken),
+      {
+        maxAttempts: config.retry.maxAttempts,
+        initialDelay: config.retry.initialDelay,
+        operationName: `Update Shopify Variant for SKU ${sku}`
+      }
+    );
+  }
+
+  logSuccess(`Updated product in Shopify`, {
+    sku,
+    shopifyId: product.id,
+    changedFields: changes.changedFields
+  });
+
+  return { updated: true, changedFields: changes.changedFields, product };
+}
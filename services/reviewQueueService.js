@@ -0,0 +1,319 @@
+/**
+ * Review Queue Service
+ *
+ * Approval queue for REVIEW_MODE. Instead of creating products directly, the
+ * sync transforms a batch of records and stores the proposed Shopify payloads
+ * here as 'pending'. Items are then approved or rejected (npm run review) and
+ * only approved items are published through createProductDraft.
+ *
+ * Item status flow: pending -> approved -> published
+ *                           -> rejected (final until cleared with clearRejectedItems)
+ *                   approved -> failed (publish error, can be approved again)
+ *                   approved -> skipped (the SKU already exists in Shopify)
+ *
+ * Failed items are replaced by the next proposal for their SKU. Every change to
+ * the queue file goes through one chain (load, change, save), so concurrent
+ * enqueues, reviews and publishes don't overwrite each other.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { mapAimsiiRecord } from './aimsiiApiService.js';
+import { createProductDraft } from './shopifyService.ts';
+import { pushLocationInventory, getNewProductLocationId } from './shopifyLocationService.js';
+import { checkSkuExists, withSkuIndex } from './skuIndexService.js';
+import { updateSyncState, markRecordSynced } from './syncStateService.js';
+import { logInfo, logError, logSuccess, logWarning } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+
+// Serializes changes to the queue file (each one loads, changes and saves)
+let queueChain = Promise.resolve();
+
+// Statuses that keep a SKU from being proposed again
+const QUEUED_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Load the review queue from file
+ *
+ * @returns {Promise<Object>} Queue with an items array
+ */
+export async function loadReviewQueue() {
+  try {
+    const data = await fs.readFile(config.review.queuePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { items: [] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save the review queue to file (atomically)
+ *
+ * @param {Object} queue - Review queue
+ */
+export async function saveReviewQueue(queue) {
+  await writeFileAtomic(config.review.queuePath, JSON.stringify(queue, null, 2));
+}
+
+/**
+ * Change the queue file, one change at a time
+ *
+ * @param {Function} change - (queue) => result, changes the loaded queue
+ * @returns {Promise<*>} The change's result
+ */
+function updateReviewQueue(change) {
+  const updated = queueChain.then(async () => {
+    const queue = await loadReviewQueue();
+    const result = await change(queue);
+    await saveReviewQueue(queue);
+    return result;
+  });
+  queueChain = updated.catch(() => undefined);
+  return updated;
+}
+
+/**
+ * Find queue items by ID or SKU
+ *
+ * @param {Object} queue - Review queue
+ * @param {Array<string>} idsOrSkus - Item IDs or SKUs
+ * @returns {Array} Matching items
+ */
+export function findQueueItems(queue, idsOrSkus) {
+  const wanted = new Set(idsOrSkus.map(value => String(value).toLowerCase()));
+  return queue.items.filter(
+    item => wanted.has(item.id.toLowerCase()) || wanted.has(String(item.sku).toLowerCase())
+  );
+}
+
+/**
+ * Check whether a SKU is already waiting for review or publishing, or was rejected
+ * Rejected SKUs aren't proposed again until a reviewer clears the item
+ *
+ * @param {Object} queue - Review queue
+ * @param {string} sku - Record SKU
+ * @returns {boolean} True if a pending, approved or rejected item exists for the SKU
+ */
+export function isSkuQueued(queue, sku) {
+  return queue.items.some(item => item.sku === sku && QUEUED_STATUSES.includes(item.status));
+}
+
+/**
+ * Add a proposed Shopify payload to the queue
+ *
+ * @param {string} sku - Record SKU
+ * @param {Object} sourceRecord - Original inventory record
+ * @param {Object} payload - Proposed Shopify product payload
+ * @returns {Promise<Object>} The queued item
+ */
+export function enqueueProposal(sku, sourceRecord, payload) {
+  return updateReviewQueue(queue => {
+    const proposal = {
+      status: 'pending',
+      sourceRecord,
+      payload,
+      createdAt: new Date().toISOString()
+    };
+
+    // A failed item is replaced, so a SKU never has two items to approve
+    const failed = queue.items.find(item => item.sku === sku && item.status === 'failed');
+    let item;
+
+    if (failed) {
+      delete failed.error;
+      delete failed.userErrors;
+      delete failed.reviewedAt;
+      delete failed.editedAt;
+      item = Object.assign(failed, proposal);
+    } else {
+      item = { id: crypto.randomBytes(4).toString('hex'), sku, ...proposal };
+      queue.items.push(item);
+    }
+
+    logSuccess(`Queued SKU ${sku} for review`, { id: item.id, title: payload.product?.title, replacedFailedItem: Boolean(failed) });
+
+    return item;
+  });
+}
+
+/**
+ * Set the review decision for queue items
+ *
+ * @param {Array<string>} idsOrSkus - Item IDs or SKUs (ignored if all is true)
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {Object} options - { all: review every pending item, reason: rejection reason }
+ * @returns {Promise<Array>} Updated items
+ */
+export async function reviewItems(idsOrSkus, status, { all = false, reason = null } = {}) {
+  const reviewable = ['pending', 'failed'];
+
+  const updated = await updateReviewQueue(queue => {
+    const candidates = all
+      ? queue.items.filter(item => item.status === 'pending')
+      : findQueueItems(queue, idsOrSkus);
+
+    const reviewed = [];
+    for (const item of candidates) {
+      if (!reviewable.includes(item.status)) {
+        logWarning(`Item ${item.id} (SKU ${item.sku}) is ${item.status}, skipping`);
+        continue;
+      }
+
+      item.status = status;
+      item.reviewedAt = new Date().toISOString();
+      if (reason) {
+        item.reason = reason;
+      }
+      reviewed.push(item);
+    }
+    return reviewed;
+  });
+
+  logInfo(`${updated.length} item(s) ${status}`);
+
+  return updated;
+}
+
+/**
+ * Remove rejected items, so their SKUs are proposed again by the next sync
+ *
+ * @param {Array<string>} idsOrSkus - Item IDs or SKUs
+ * @returns {Promise<Array>} Removed items
+ */
+export async function clearRejectedItems(idsOrSkus) {
+  const cleared = await updateReviewQueue(queue => {
+    const rejected = findQueueItems(queue, idsOrSkus).filter(item => item.status === 'rejected');
+    queue.items = queue.items.filter(item => !rejected.includes(item));
+    return rejected;
+  });
+
+  logInfo(`${cleared.length} rejected item(s) cleared`);
+
+  return cleared;
+}
+
+/**
+ * Replace the proposed payload of a queue item (edit before approving)
+ *
+ * @param {string} idOrSku - Item ID or SKU
+ * @param {Object} payload - New Shopify product payload
+ * @returns {Promise<Object>} Updated item
+ */
+export async function updateItemPayload(idOrSku, payload) {
+  return updateReviewQueue(queue => {
+    const [item] = findQueueItems(queue, [idOrSku]).filter(i => i.status !== 'published');
+
+    if (!item) {
+      throw new Error(`No editable queue item found for ${idOrSku}`);
+    }
+
+    item.payload = payload;
+    item.editedAt = new Date().toISOString();
+
+    return item;
+  });
+}
+
+/**
+ * Publish approved items to Shopify
+ * Each SKU is checked again before it is created, since an approval may have waited
+ * in the queue: existing SKUs are skipped, and SKUs that can't be checked are left
+ * approved for the next publish (fail closed). The checks use a SKU index built for
+ * the publish (a single item is searched unless the SKU_MATCH_* rules need the
+ * index). Callers hold the 'sync' lock.
+ *
+ * @param {Array<string>|null} idsOrSkus - Only publish these items (default: all approved items)
+ * @returns {Promise<Object>} Summary { published, skipped, deferred, failed }
+ */
+export async function publishApprovedItems(idsOrSkus = null) {
+  const queue = await loadReviewQueue();
+  const candidates = idsOrSkus ? findQueueItems(queue, idsOrSkus) : queue.items;
+  const approved = candidates.filter(item => item.status === 'approved');
+  const summary = { published: 0, skipped: 0, deferred: 0, failed: 0 };
+
+  if (approved.length === 0) {
+    logInfo('No approved items to publish');
+    return summary;
+  }
+
+  await withSkuIndex(() => publishItems(approved, summary), { onlyIfRequired: approved.length === 1 });
+
+  return summary;
+}
+
+/**
+ * Publish approved items one at a time, counting the outcomes in the summary
+ */
+async function publishItems(approved, summary) {
+  for (const item of approved) {
+    // Changes for this item, saved right away so a crash doesn't publish the same product twice
+    let changes;
+
+    try {
+      const skuCheck = await checkSkuExists(item.sku);
+
+      if (skuCheck.status === 'unknown') {
+        logWarning(`Could not verify whether SKU ${item.sku} exists in Shopify, leaving it approved`, { sku: item.sku, error: skuCheck.error });
+        changes = { error: `Duplicate check failed: ${skuCheck.error}` };
+        summary.deferred++;
+      } else if (skuCheck.status === 'conflict') {
+        const productIds = Array.from(new Set(skuCheck.conflicts.map(conflict => conflict.productId)));
+        logWarning(`SKU ${item.sku} matches ${productIds.length} Shopify products, not publishing`, { sku: item.sku, conflicts: skuCheck.conflicts });
+        changes = { status: 'failed', error: `SKU matches multiple Shopify products: ${productIds.join(', ')}`, userErrors: null };
+        summary.failed++;
+      } else if (skuCheck.exists) {
+        logInfo(`SKU ${item.sku} already exists in Shopify (ID: ${skuCheck.product?.id}), skipping`);
+        changes = { status: 'skipped', shopifyId: skuCheck.product?.id, error: 'SKU already exists in Shopify' };
+        summary.skipped++;
+      } else {
+        // Products are always created as drafts
+        const payload = { ...item.payload, product: { ...item.payload.product, published: false } };
+        const { locationInventory } = mapAimsiiRecord(item.sourceRecord);
+        const inventoryLocationId = await getNewProductLocationId(locationInventory);
+
+        const createResult = await retryWithBackoff(
+          () => createProductDraft(payload, config.shopify.store, config.shopify.accessToken, false, inventoryLocationId),
+          {
+            maxAttempts: config.retry.maxAttempts,
+            initialDelay: config.retry.initialDelay,
+            operationName: `Create Shopify Product for SKU ${item.sku}`
+          }
+        );
+
+        changes = { status: 'published', payload, shopifyId: createResult.shopifyId, publishedAt: new Date().toISOString(), error: undefined, userErrors: undefined };
+        summary.published++;
+        logSuccess(`Published approved product to Shopify`, { sku: item.sku, shopifyId: createResult.shopifyId });
+
+        await updateSyncState(state => markRecordSynced(state, item.sku, item.sourceRecord, createResult.shopifyId));
+
+        // Push per-location quantities for the new product
+        if (locationInventory) {
+          try {
+            await pushLocationInventory(item.sku, createResult.inventoryItemId, locationInventory);
+          } catch (error) {
+            logError(`Failed to set location inventory for new product with SKU ${item.sku}`, error, { sku: item.sku });
+          }
+        }
+      }
+    } catch (error) {
+      logError(`Failed to publish SKU ${item.sku}`, error, { sku: item.sku });
+      changes = { status: 'failed', error: error.message, userErrors: error.userErrors || null };
+      summary.failed++;
+    }
+
+    await updateReviewQueue(current => {
+      const saved = current.items.find(entry => entry.id === item.id);
+      if (saved) {
+        Object.assign(saved, changes);
+        for (const key of Object.keys(changes).filter(key => changes[key] === undefined)) {
+          delete saved[key];
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,229 @@
+import { config } from '../config.js';
+import { logWarning } from '../utils/logger.js';
+import { createLimiter } from '../utils/workerPool.js';
+
+/**
+ * Shared Shopify API client
+ *
+ * Every Shopify request goes through shopifyFetch, which paces calls using the
+ * rate limit signals Shopify returns instead of fixed sleeps:
+ * - REST: the X-Shopify-Shop-Api-Call-Limit header ("used/max" of a leaky bucket)
+ * - GraphQL: extensions.cost.throttleStatus (available points and restore rate)
+ *
+ * Calls are admitted one at a time per store and API, so concurrent workers
+ * share the same budget, and at most SHOPIFY_CONCURRENCY requests are in
+ * flight. 429 responses (and GraphQL THROTTLED errors) are retried after
+ * Retry-After or the time needed to restore the query cost.
+ */
+
+// Cost reserved for a GraphQL query that hasn't been sent before
+const DEFAULT_QUERY_COST = 50;
+
+interface RestBucket {
+    used: number;
+    max: number;
+    updatedAt: number;
+    queue: Promise<void>;
+}
+
+interface GraphQLBucket {
+    available: number;
+    max: number;
+    restoreRate: number;
+    updatedAt: number;
+    queue: Promise<void>;
+}
+
+interface StoreLimits {
+    rest: RestBucket;
+    graphql: GraphQLBucket;
+}
+
+const storeLimits = new Map<string, StoreLimits>();
+
+// Last requested cost per GraphQL query, used to reserve points before sending it again
+const queryCosts = new Map<string, number>();
+
+// Shopify requests in flight at the same time (across all stores)
+const limitRequests = createLimiter(config.concurrency.shopify);
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get (or create) the rate limit state of a store
+ */
+const getStoreLimits = (url: string): StoreLimits => {
+    const host = new URL(url).host;
+
+    if (!storeLimits.has(host)) {
+        storeLimits.set(host, {
+            rest: { used: 0, max: 40, updatedAt: Date.now(), queue: Promise.resolve() },
+            graphql: { available: 1000, max: 1000, restoreRate: 50, updatedAt: Date.now(), queue: Promise.resolve() },
+        });
+    }
+
+    return storeLimits.get(host) as StoreLimits;
+};
+
+/**
+ * Current REST bucket usage, accounting for the leak since the last update
+ */
+const currentRestUsage = (bucket: RestBucket): number => {
+    const leaked = ((Date.now() - bucket.updatedAt) / 1000) * config.shopify.restLeakRate;
+    return Math.max(0, bucket.used - leaked);
+};
+
+/**
+ * Currently available GraphQL points, accounting for restoration since the last update
+ */
+const currentGraphQLAvailable = (bucket: GraphQLBucket): number => {
+    const restored = ((Date.now() - bucket.updatedAt) / 1000) * bucket.restoreRate;
+    return Math.min(bucket.max, bucket.available + restored);
+};
+
+/**
+ * Wait until the REST bucket has room for one more call, then reserve it
+ */
+const acquireRest = (bucket: RestBucket): Promise<void> => {
+    const admission = bucket.queue.then(async () => {
+        // Keep one slot free so calls from other apps on the store don't get throttled
+        const used = currentRestUsage(bucket);
+        const overflow = used + 1 - (bucket.max - 1);
+
+        if (overflow > 0) {
+            await sleep((overflow / config.shopify.restLeakRate) * 1000);
+        }
+
+        bucket.used = currentRestUsage(bucket) + 1;
+        bucket.updatedAt = Date.now();
+    });
+
+    bucket.queue = admission.catch(() => undefined);
+    return admission;
+};
+
+/**
+ * Wait until the GraphQL bucket has enough points for a query, then reserve them
+ */
+const acquireGraphQL = (bucket: GraphQLBucket, cost: number): Promise<void> => {
+    const admission = bucket.queue.then(async () => {
+        const needed = Math.min(cost, bucket.max);
+        const missing = needed - currentGraphQLAvailable(bucket);
+
+        if (missing > 0) {
+            await sleep((missing / bucket.restoreRate) * 1000);
+        }
+
+        bucket.available = currentGraphQLAvailable(bucket) - needed;
+        bucket.updatedAt = Date.now();
+    });
+
+    bucket.queue = admission.catch(() => undefined);
+    return admission;
+};
+
+/**
+ * Update the REST bucket from the X-Shopify-Shop-Api-Call-Limit header
+ */
+const updateRestLimits = (bucket: RestBucket, response: Response) => {
+    const callLimit = response.headers?.get('x-shopify-shop-api-call-limit');
+    const match = callLimit?.match(/^(\d+)\/(\d+)$/);
+
+    if (match) {
+        bucket.used = parseInt(match[1], 10);
+        bucket.max = parseInt(match[2], 10);
+        bucket.updatedAt = Date.now();
+    }
+};
+
+/**
+ * Update the GraphQL bucket from extensions.cost.throttleStatus
+ */
+const updateGraphQLLimits = (bucket: GraphQLBucket, query: string | undefined, cost: any) => {
+    const throttleStatus = cost?.throttleStatus;
+
+    if (throttleStatus) {
+        bucket.available = throttleStatus.currentlyAvailable;
+        bucket.max = throttleStatus.maximumAvailable;
+        bucket.restoreRate = throttleStatus.restoreRate;
+        bucket.updatedAt = Date.now();
+    }
+
+    if (query && cost?.requestedQueryCost) {
+        queryCosts.set(query, cost.requestedQueryCost);
+    }
+};
+
+/**
+ * Get the wait time from a Retry-After header (seconds), or a default
+ */
+const getRetryAfterMs = (response: Response, fallbackMs: number): number => {
+    const retryAfter = parseFloat(response.headers?.get('retry-after') || '');
+    return isNaN(retryAfter) ? fallbackMs : retryAfter * 1000;
+};
+
+/**
+ * Check whether a GraphQL response was throttled
+ */
+const isGraphQLThrottled = (responseData: any): boolean => {
+    return Array.isArray(responseData?.errors)
+        && responseData.errors.some((error: any) => error.extensions?.code === 'THROTTLED');
+};
+
+/**
+ * Rate-limit-aware replacement for fetch() for Shopify Admin API calls
+ * GraphQL is detected from the URL (graphql.json); everything else uses the REST bucket.
+ * @param url The Admin API URL
+ * @param init The fetch options
+ * @returns Promise with the (final, non-throttled) response
+ */
+export const shopifyFetch = async (url: string, init: RequestInit = {}): Promise<Response> => {
+    const limits = getStoreLimits(url);
+    const isGraphQL = url.endsWith('/graphql.json');
+    const query = isGraphQL && typeof init.body === 'string' ? JSON.parse(init.body).query : undefined;
+
+    for (let attempt = 0; ; attempt++) {
+        if (isGraphQL) {
+            await acquireGraphQL(limits.graphql, queryCosts.get(query) ?? DEFAULT_QUERY_COST);
+        } else {
+            await acquireRest(limits.rest);
+        }
+
+        const response = await limitRequests(() => fetch(url, init));
+        let retryDelayMs: number | null = null;
+
+        if (isGraphQL) {
+            const responseData = await response.clone().json().catch(() => null);
+            updateGraphQLLimits(limits.graphql, query, responseData?.extensions?.cost);
+
+            if (response.status === 429) {
+                retryDelayMs = getRetryAfterMs(response, 1000);
+            } else if (isGraphQLThrottled(responseData)) {
+                // Wait until enough points are restored for this query
+                const needed = queryCosts.get(query) ?? DEFAULT_QUERY_COST;
+                const missing = needed - currentGraphQLAvailable(limits.graphql);
+                retryDelayMs = Math.max(missing / limits.graphql.restoreRate, 1) * 1000;
+            }
+        } else {
+            updateRestLimits(limits.rest, response);
+
+            if (response.status === 429) {
+                retryDelayMs = getRetryAfterMs(response, 2000);
+                // The bucket is full; it leaks while we wait
+                limits.rest.used = limits.rest.max;
+                limits.rest.updatedAt = Date.now();
+            }
+        }
+
+        if (retryDelayMs === null || attempt >= config.shopify.maxThrottleRetries) {
+            return response;
+        }
+
+        logWarning(`Shopify rate limit hit, retrying in ${Math.ceil(retryDelayMs)}ms`, {
+            api: isGraphQL ? 'graphql' : 'rest',
+            attempt: attempt + 1,
+            maxRetries: config.shopify.maxThrottleRetries,
+        });
+        await sleep(retryDelayMs);
+    }
+};
@@ -0,0 +1,223 @@
+/**
+ * Shopify Location Service
+ *
+ * Resolves Shopify locations (by name or GID) and pushes per-location
+ * available quantities extracted from AIMSii records (see extractLocationInventory).
+ * Locations are cached for LOCATION_CACHE_DURATION to avoid repeated lookups.
+ */
+
+import { config } from '../config.js';
+import {
+  fetchLocations,
+  activateInventoryItem,
+  setInventoryQuantities,
+  toGid
+} from './shopifyService.ts';
+import { logInfo, logSuccess, logWarning } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { skusMatch } from '../utils/skuMatch.js';
+
+// Location cache
+let locationCache = {
+  locations: null,
+  expiresAt: null
+};
+
+/**
+ * Get all Shopify locations (cached)
+ *
+ * @returns {Promise<Array>} Array of { id, name, isActive }
+ */
+export async function getShopifyLocations() {
+  if (locationCache.locations && Date.now() < locationCache.expiresAt) {
+    return locationCache.locations;
+  }
+
+  logInfo('Fetching Shopify locations...');
+
+  const locations = await retryWithBackoff(
+    () => fetchLocations(config.shopify.store, config.shopify.accessToken),
+    {
+      maxAttempts: config.retry.maxAttempts,
+      initialDelay: config.retry.initialDelay,
+      operationName: 'Fetch Shopify Locations'
+    }
+  );
+
+  locationCache = {
+    locations,
+    expiresAt: Date.now() + config.inventory.locationCacheDuration
+  };
+
+  logInfo(`Found ${locations.length} Shopify locations`, {
+    locations: locations.map(l => l.name)
+  });
+
+  return locations;
+}
+
+/**
+ * Find a location by name (case-insensitive) or GID
+ *
+ * @param {string} nameOrId - Location name or GID
+ * @param {Array} locations - Locations to search
+ * @returns {Object|undefined} Matching location
+ */
+export function findLocation(nameOrId, locations) {
+  const needle = String(nameOrId).trim().toLowerCase();
+  return locations.find(
+    location => location.id.toLowerCase() === needle || location.name.toLowerCase() === needle
+  );
+}
+
+/**
+ * Resolve the locations inventory may be pushed to
+ * Uses SHOPIFY_LOCATIONS if set, otherwise all active locations
+ *
+ * @returns {Promise<Array>} Resolved locations
+ */
+export async function resolveTargetLocations() {
+  const locations = await getShopifyLocations();
+
+  if (config.inventory.locations.length === 0) {
+    return locations.filter(location => location.isActive);
+  }
+
+  const resolved = [];
+  for (const nameOrId of config.inventory.locations) {
+    const location = findLocation(nameOrId, locations);
+    if (location) {
+      resolved.push(location);
+    } else {
+      logWarning(`Configured Shopify location not found: ${nameOrId}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Get the location a new product's total quantity is stocked at (the first target location)
+ * Records with per-location quantities don't need it, those are pushed after creation
+ *
+ * @param {Object|null} locationInventory - The record's map of location name to quantity
+ * @returns {Promise<string|null>} Location GID, or null if none applies
+ */
+export async function getNewProductLocationId(locationInventory) {
+  if (locationInventory) {
+    return null;
+  }
+
+  const [location] = await resolveTargetLocations();
+  return location?.id || null;
+}
+
+/**
+ * Find the inventory item ID of the variant matching a SKU
+ * Supports both REST products and GraphQL search results
+ *
+ * @param {Object} product - Shopify product
+ * @param {string} sku - Variant SKU
+ * @returns {string|null} Inventory item GID
+ */
+export function findInventoryItemId(product, sku) {
+  // GraphQL shape: variants.edges[].node.inventoryItem.id
+  const graphqlVariant = product?.variants?.edges
+    ?.map(edge => edge.node)
+    .find(variant => skusMatch(variant.sku, sku));
+  if (graphqlVariant?.inventoryItem?.id) {
+    return graphqlVariant.inventoryItem.id;
+  }
+
+  // REST shape: variants[].inventory_item_id
+  const restVariant = Array.isArray(product?.variants)
+    ? product.variants.find(variant => skusMatch(variant.sku, sku))
+    : null;
+  if (restVariant?.inventory_item_id) {
+    return toGid('InventoryItem', restVariant.inventory_item_id);
+  }
+
+  return null;
+}
+
+/**
+ * Push per-location available quantities for an inventory item
+ *
+ * @param {string} sku - SKU (for logging)
+ * @param {string|number} inventoryItemId - Inventory item ID (numeric or GID)
+ * @param {Object} locationInventory - Map of location name/GID to quantity
+ * @param {Object} options - { dryRun: log the quantities without setting them (default: DRY_RUN) }
+ * @returns {Promise<number>} Number of locations updated
+ */
+export async function pushLocationInventory(sku, inventoryItemId, locationInventory, { dryRun = config.settings.dryRun } = {}) {
+  if (!inventoryItemId) {
+    logWarning(`No inventory item found for SKU ${sku}, skipping location inventory update`);
+    return 0;
+  }
+
+  const targetLocations = await resolveTargetLocations();
+  const itemId = toGid('InventoryItem', inventoryItemId);
+  const quantities = [];
+
+  for (const [locationName, quantity] of Object.entries(locationInventory)) {
+    const location = findLocation(locationName, targetLocations);
+
+    if (!location) {
+      logWarning(`AIMSii location "${locationName}" does not match a target Shopify location, skipping`, { sku });
+      continue;
+    }
+
+    quantities.push({ inventoryItemId: itemId, locationId: location.id, quantity });
+  }
+
+  if (quantities.length === 0) {
+    return 0;
+  }
+
+  if (dryRun) {
+    logInfo(`[DRY RUN] Would set location inventory for SKU ${sku}`, { locationInventory });
+    return 0;
+  }
+
+  // Items must be stocked at a location before quantities can be set there
+  for (const { locationId } of quantities) {
+    await retryWithBackoff(
+      () => activateInventoryItem(itemId, locationId, config.shopify.store, config.shopify.accessToken),
+      {
+        maxAttempts: config.retry.maxAttempts,
+        initialDelay: config.retry.initialDelay,
+        operationName: `Activate Inventory for SKU ${sku}`
+      }
+    );
+  }
+
+  await retryWithBackoff(
+    () => setInventoryQuantities(quantities, config.shopify.store, config.shopify.accessToken),
+    {
+      maxAttempts: config.retry.maxAttempts,
+      initialDelay: config.retry.initialDelay,
+      operationName: `Set Location Inventory for SKU ${sku}`
+    }
+  );
+
+  logSuccess(`Updated location inventory for SKU ${sku}`, { locationInventory });
+
+  return quantities.length;
+}
+
+/**
+ * Push location inventory for an existing product, if enabled in config
+ *
+ * @param {string} sku - Variant SKU
+ * @param {Object} product - Existing Shopify product (REST or GraphQL shape)
+ * @param {Object|null} locationInventory - Map of location name to quantity
+ * @param {Object} options - { dryRun } (see pushLocationInventory)
+ * @returns {Promise<boolean>} True if any location was updated
+ */
+export async function updateExistingProductInventory(sku, product, locationInventory, options = {}) {
+  if (!config.inventory.enableLocationUpdates || !config.inventory.updateExistingProducts || !locationInventory) {
+    return false;
+  }
+
+  const updated = await pushLocationInventory(sku, findInventoryItemId(product, sku), locationInventory, options);
+  return updated > 0;
+}
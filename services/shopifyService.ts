@@ -1,46 +1,210 @@
 import { ShopifyProductData } from '../types';
+import { Readable } from 'stream';
+import readline from 'readline';
+import { config } from '../config.js';
+import { shopifyFetch } from './shopifyClient.ts';
+import { createHttpError, httpErrorFromResponse } from '../utils/httpError.js';
 
 interface ShopifyCreateResponse {
   success: boolean;
   shopifyId: number;
+  productId?: string;
+  variantId?: string;
+  inventoryItemId?: string;
   message: string;
 }
 
+export interface BulkOperation {
+  id: string;
+  status: string;
+  errorCode?: string | null;
+  objectCount?: string;
+  url?: string | null;
+}
+
+export interface ShopifyUserError {
+  field?: string[] | null;
+  message: string;
+  code?: string | null;
+}
+
+export interface ShopifyLocation {
+  id: string;
+  name: string;
+  isActive: boolean;
+}
+
+export interface VariantInventoryRef {
+  sku: string;
+  variantId: string;
+  productId: string;
+  inventoryItemId: string;
+}
+
+/**
+ * Result of a batch SKU lookup for one requested SKU, with the same statuses as SkuCheckResult
+ */
+export interface VariantSkuLookup {
+  sku: string;
+  status: SkuCheckStatus;
+  variant?: VariantInventoryRef;
+  conflicts?: SkuMatch[];
+  error?: string;
+}
+
+export interface InventoryQuantity {
+  inventoryItemId: string;
+  locationId: string;
+  quantity: number;
+}
+
+interface ShopifyVariant {
+  id: string | number;
+  sku: string;
+  price: string;
+  barcode?: string | null;
+  inventory_item_id?: string | number;
+}
+
 interface ShopifyProduct {
-  id: number;
+  id: string | number;
   title: string;
-  variants: Array<{
-    id: number;
-    sku: string;
-    price: string;
-  }>;
+  body_html?: string | null;
+  tags?: string;
+  variants: Array<ShopifyVariant>;
+}
+
+/**
+ * Result of a duplicate check
+ * - exists: a product with the SKU was found
+ * - not_found: Shopify answered and no product has the SKU
+ * - conflict: more than one product has the SKU; `conflicts` lists the matching variants
+ * - unknown: the check failed or was incomplete; never treat this as "not found"
+ */
+export type SkuCheckStatus = 'exists' | 'not_found' | 'conflict' | 'unknown';
+
+export interface SkuMatch {
+  productId: string | number;
+  title?: string;
+  variantId: string | number;
+  sku: string;
 }
 
+export interface SkuCheckResult {
+  status: SkuCheckStatus;
+  exists: boolean;
+  product?: any;
+  conflicts?: SkuMatch[];
+  error?: string;
+}
+
+// Products fetched by the REST duplicate check (a single page)
+const REST_SKU_CHECK_LIMIT = 250;
+
+// Candidate variants fetched per page by the GraphQL duplicate check, and the maximum pages
+const SKU_SEARCH_PAGE_SIZE = 100;
+const SKU_SEARCH_MAX_PAGES = 5;
+
+// Candidate variants fetched per page by the batch SKU lookup, and the maximum pages
+const SKU_BATCH_PAGE_SIZE = 250;
+const SKU_BATCH_MAX_PAGES = 10;
+
+/**
+ * Build an Admin API URL for a store
+ * SHOPIFY_BASE_URL (config.shopify.baseUrl) replaces https://{store}.myshopify.com,
+ * e.g. to use the local emulator (npm run mock:shopify)
+ * @param storeName The name of the Shopify store (with or without .myshopify.com)
+ * @param resource The Admin API resource (e.g. 'graphql.json')
+ * @returns The full Admin API URL
+ */
+const adminApiUrl = (storeName: string, resource: string): string => {
+    const API_VERSION = '2024-07';
+    const baseUrl = config.shopify.baseUrl || `https://${storeName.replace('.myshopify.com', '')}.myshopify.com`;
+
+    return `${baseUrl}/admin/api/${API_VERSION}/${resource}`;
+};
+
+/**
+ * Default SKU comparison: ignore surrounding whitespace and case
+ */
+const defaultNormalizeSku = (sku: string): string => String(sku ?? '').trim().toLowerCase();
+
+/**
+ * Convert a GraphQL global ID (gid://shopify/Product/123) to its numeric REST ID
+ * @param id A GraphQL global ID or a numeric ID
+ * @returns The numeric ID as a string
+ */
+export const toNumericId = (id: string | number): string => {
+    return String(id).split('/').pop() as string;
+};
+
+/**
+ * Convert a numeric REST ID to a GraphQL global ID
+ * @param type The resource type (e.g. 'InventoryItem')
+ * @param id A numeric ID or an existing global ID
+ * @returns The GraphQL global ID
+ */
+export const toGid = (type: string, id: string | number): string => {
+    return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+};
+
+/**
+ * Build a duplicate check result from the variants whose SKU matched exactly
+ * @param matches The matching variants
+ * @param product The product of the first match, in the caller's shape
+ * @returns The check result (a conflict if the matches belong to several products)
+ */
+const toSkuCheckResult = (matches: SkuMatch[], product: any): SkuCheckResult => {
+    const productIds = new Set(matches.map(match => String(match.productId)));
+
+    if (productIds.size === 0) {
+        return { status: 'not_found', exists: false };
+    }
+
+    if (productIds.size > 1) {
+        return { status: 'conflict', exists: true, product, conflicts: matches };
+    }
+
+    return { status: 'exists', exists: true, product };
+};
+
+/**
+ * Build a product search query for a SKU
+ * Searches the raw and normalized SKU. Shopify's search ignores case, so this covers the
+ * case rule, but it can't find SKUs that differ by leading zeros or inner whitespace
+ * ("123" never finds "000123"): those rules need the SKU index (see skuIndexService.js)
+ * @param sku The SKU to search for
+ * @param normalizeSku The SKU normalization function
+ * @returns The search query (e.g. sku:"FG800" OR sku:"fg800")
+ */
+const buildSkuSearchQuery = (sku: string, normalizeSku: (sku: string) => string): string => {
+    const values = Array.from(new Set([String(sku).trim(), normalizeSku(sku)])).filter(Boolean);
+    return values
+        .map(value => `sku:"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+        .join(' OR ');
+};
+
 /**
  * Check if a product with the given SKU already exists in Shopify
+ * Only the first page of products is searched, so "not found" is only reported
+ * when the store has fewer products than one page; otherwise the result is unknown.
  * @param sku The SKU to search for
  * @param storeName The name of the Shopify store (e.g., 'your-store')
  * @param accessToken The Admin API access token
- * @returns Promise with object containing exists flag and product data if found
+ * @param normalizeSku Normalizes SKUs before they are compared
+ * @returns Promise with the check status and product data if found
  */
 export const checkProductBySku = async (
     sku: string,
     storeName: string,
-    accessToken: string
-): Promise<{ exists: boolean; product?: ShopifyProduct }> => {
-    const API_VERSION = '2024-07';
-    const sanitizedStoreName = storeName.replace('.myshopify.com', '');
-
-    // Shopify GraphQL query to search products by SKU
-    const url = `https://${sanitizedStoreName}.myshopify.com/admin/api/${API_VERSION}/products.json?fields=id,title,variants&limit=1`;
-
+    accessToken: string,
+    normalizeSku: (sku: string) => string = defaultNormalizeSku
+): Promise<SkuCheckResult> => {
     try {
-        // Use the REST API to search - note: Shopify doesn't have direct SKU search in REST
-        // We need to fetch and filter, or use GraphQL for better performance
-        // For now, we'll use a workaround with variant SKU in the query
-        const searchUrl = `https://${sanitizedStoreName}.myshopify.com/admin/api/${API_VERSION}/products.json?limit=250`;
+        // Shopify doesn't have direct SKU search in REST, so fetch a page of products and filter
+        const searchUrl = adminApiUrl(storeName, `products.json?limit=${REST_SKU_CHECK_LIMIT}`);
 
-        const response = await fetch(searchUrl, {
+        const response = await shopifyFetch(searchUrl, {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
@@ -49,128 +213,228 @@ export const checkProductBySku = async (
         });
 
         if (!response.ok) {
-            throw new Error(`Shopify API returned status ${response.status}`);
+            throw await httpErrorFromResponse(response, 'Shopify API request failed', 'shopify');
         }
 
         const responseData = await response.json();
         const products = responseData.products || [];
+        const target = normalizeSku(sku);
+        const matches: SkuMatch[] = [];
+        let matchedProduct: ShopifyProduct | undefined;
 
-        // Search through all products for matching SKU
+        // Search through all products for matching SKUs
         for (const product of products) {
-            const matchingVariant = product.variants?.find(
-                (v: any) => v.sku && v.sku.toLowerCase() === sku.toLowerCase()
-            );
-
-            if (matchingVariant) {
-                return {
-                    exists: true,
-                    product: product as ShopifyProduct
-                };
+            for (const variant of product.variants || []) {
+                if (variant.sku && normalizeSku(variant.sku) === target) {
+                    matches.push({ productId: product.id, title: product.title, variantId: variant.id, sku: variant.sku });
+                    matchedProduct = matchedProduct || product;
+                }
             }
         }
 
-        return { exists: false };
-    } catch (error) {
+        if (matches.length === 0 && products.length >= REST_SKU_CHECK_LIMIT) {
+            return {
+                status: 'unknown',
+                exists: false,
+                error: `Store has more than ${REST_SKU_CHECK_LIMIT} products; the REST check can't rule out a duplicate`
+            };
+        }
+
+        return toSkuCheckResult(matches, matchedProduct);
+    } catch (error: any) {
         console.error('Error checking SKU in Shopify:', error);
-        // If we can't check, assume it doesn't exist to avoid blocking
-        return { exists: false };
+        // Fail closed: a failed check must never be treated as "does not exist"
+        return { status: 'unknown', exists: false, error: error.message };
     }
 };
 
 /**
  * Check if a product with the given SKU already exists (GraphQL version - more efficient)
+ * Shopify search is tokenized and prefix-matching ("FG800" also finds "FG800M"), so the
+ * candidate variants are paged through and their SKUs compared exactly after normalization.
+ * Falls back to the REST check if the GraphQL search fails.
  * @param sku The SKU to search for
  * @param storeName The name of the Shopify store
  * @param accessToken The Admin API access token
- * @returns Promise with object containing exists flag and product data if found
+ * @param normalizeSku Normalizes SKUs before they are compared
+ * @returns Promise with the check status and product data (GraphQL shape) if found
  */
 export const checkProductBySkuGraphQL = async (
     sku: string,
     storeName: string,
-    accessToken: string
-): Promise<{ exists: boolean; product?: any }> => {
-    const API_VERSION = '2024-07';
-    const sanitizedStoreName = storeName.replace('.myshopify.com', '');
-    const url = `https://${sanitizedStoreName}.myshopify.com/admin/api/${API_VERSION}/graphql.json`;
+    accessToken: string,
+    normalizeSku: (sku: string) => string = defaultNormalizeSku
+): Promise<SkuCheckResult> => {
+    const url = adminApiUrl(storeName, 'graphql.json');
 
     const query = `
-        query getProductBySku($query: String!) {
-            products(first: 1, query: $query) {
+        query getVariantsBySku($query: String!, $first: Int!, $after: String) {
+            productVariants(first: $first, after: $after, query: $query) {
                 edges {
                     node {
                         id
-                        title
-                        variants(first: 10) {
-                            edges {
-                                node {
-                                    id
-                                    sku
-                                    price
-                                }
-                            }
+                        sku
+                        price
+                        inventoryItem {
+                            id
+                        }
+                        product {
+                            id
+                            title
                         }
                     }
                 }
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
             }
         }
     `;
 
     try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': accessToken,
-            },
-            body: JSON.stringify({
-                query,
-                variables: {
-                    query: `sku:${sku}`
-                }
-            }),
-        });
+        const target = normalizeSku(sku);
+        const searchQuery = buildSkuSearchQuery(sku, normalizeSku);
+        const matchedVariants: any[] = [];
+        let after: string | null = null;
+        let complete = false;
 
-        if (!response.ok) {
-            throw new Error(`Shopify GraphQL API returned status ${response.status}`);
-        }
+        for (let page = 0; page < SKU_SEARCH_MAX_PAGES && !complete; page++) {
+            const response = await shopifyFetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Shopify-Access-Token': accessToken,
+                },
+                body: JSON.stringify({
+                    query,
+                    variables: { query: searchQuery, first: SKU_SEARCH_PAGE_SIZE, after }
+                }),
+            });
 
-        const responseData = await response.json();
+            if (!response.ok) {
+                throw await httpErrorFromResponse(response, 'Shopify GraphQL request failed', 'shopify');
+            }
 
-        if (responseData.errors) {
-            console.error('GraphQL errors:', responseData.errors);
-            throw new Error(`GraphQL error: ${JSON.stringify(responseData.errors)}`);
-        }
+            const responseData = await response.json();
+
+            if (responseData.errors) {
+                console.error('GraphQL errors:', responseData.errors);
+                throwOnGraphQLErrors(responseData.errors);
+            }
 
-        const products = responseData.data?.products?.edges || [];
+            const connection = responseData.data?.productVariants;
+
+            for (const { node } of connection?.edges || []) {
+                if (node.sku && normalizeSku(node.sku) === target) {
+                    matchedVariants.push(node);
+                }
+            }
 
-        if (products.length > 0) {
+            complete = !connection?.pageInfo?.hasNextPage;
+            after = connection?.pageInfo?.endCursor || null;
+        }
+
+        // Too many candidates to rule out an exact match
+        if (!complete && matchedVariants.length === 0) {
             return {
-                exists: true,
-                product: products[0].node
+                status: 'unknown',
+                exists: false,
+                error: `More than ${SKU_SEARCH_PAGE_SIZE * SKU_SEARCH_MAX_PAGES} variants match the search for SKU ${sku}`
             };
         }
 
-        return { exists: false };
-    } catch (error) {
+        const matches: SkuMatch[] = matchedVariants.map(variant => ({
+            productId: variant.product.id,
+            title: variant.product.title,
+            variantId: variant.id,
+            sku: variant.sku
+        }));
+
+        const firstProduct = matchedVariants[0]?.product;
+        const product = firstProduct && {
+            id: firstProduct.id,
+            title: firstProduct.title,
+            variants: {
+                edges: matchedVariants
+                    .filter(variant => variant.product.id === firstProduct.id)
+                    .map(({ product: _product, ...variant }) => ({ node: variant }))
+            }
+        };
+
+        return toSkuCheckResult(matches, product);
+    } catch (error: any) {
         console.error('Error checking SKU via GraphQL:', error);
         // Fallback to REST API check
-        return checkProductBySku(sku, storeName, accessToken);
+        const fallback = await checkProductBySku(sku, storeName, accessToken, normalizeSku);
+
+        if (fallback.status === 'unknown') {
+            return { ...fallback, error: `GraphQL: ${error.message}; REST: ${fallback.error}` };
+        }
+
+        return fallback;
     }
 };
 
 /**
- * Creates a product draft on Shopify using the Admin API or simulates it in Demo Mode.
+ * Convert a REST-style product payload ({ product: { title, body_html, variants: [...] } })
+ * to a GraphQL ProductSetInput. Products are always created with status DRAFT.
+ * @param productData The Shopify-formatted product data
+ * @param inventoryLocationId Location GID the variants' inventory_quantity is stocked at (omitted when null)
+ * @returns The productSet input
+ */
+export const toProductSetInput = (productData: ShopifyProductData | any, inventoryLocationId: string | null = null): Record<string, any> => {
+    const product = productData.product || productData;
+    const variants: any[] = product.variants?.length ? product.variants : [{}];
+    const optionName = product.options?.[0]?.name || 'Title';
+    const optionValues = Array.from(new Set(variants.map(variant => variant.option1 || 'Default Title')));
+
+    const tags = Array.isArray(product.tags)
+        ? product.tags
+        : String(product.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+    return {
+        title: product.title,
+        descriptionHtml: product.body_html,
+        vendor: product.vendor,
+        productType: product.product_type,
+        tags,
+        status: 'DRAFT',
+        productOptions: [{ name: optionName, values: optionValues.map(name => ({ name })) }],
+        variants: variants.map(variant => {
+            const quantity = parseInt(variant.inventory_quantity, 10);
+
+            return {
+                optionValues: [{ optionName, name: variant.option1 || 'Default Title' }],
+                ...(variant.price !== undefined && { price: String(variant.price) }),
+                ...(variant.barcode && { barcode: String(variant.barcode) }),
+                inventoryItem: { sku: variant.sku, tracked: true },
+                ...(inventoryLocationId && !isNaN(quantity) && {
+                    inventoryQuantities: [{ locationId: inventoryLocationId, name: 'available', quantity }]
+                }),
+                ...(variant.metafields && { metafields: variant.metafields }),
+            };
+        }),
+        ...(product.metafields && { metafields: product.metafields }),
+    };
+};
+
+/**
+ * Creates a product draft on Shopify using the GraphQL productSet mutation or simulates it in Demo Mode.
+ * Validation problems are thrown as an Error with a structured userErrors array.
  * @param productData The Shopify-formatted product data.
  * @param storeName The name of the Shopify store (e.g., 'your-store').
  * @param accessToken The Admin API access token.
  * @param isDemoMode Flag to enable simulation instead of a real API call.
+ * @param inventoryLocationId Location GID to stock the variants' inventory_quantity at (no stock is set when null).
  * @returns A promise that resolves with the success response.
  */
 export const createProductDraft = async (
     productData: ShopifyProductData,
     storeName: string,
     accessToken: string,
-    isDemoMode: boolean
+    isDemoMode: boolean,
+    inventoryLocationId: string | null = null
 ): Promise<ShopifyCreateResponse> => {
     if (isDemoMode) {
         return new Promise((resolve) => {
@@ -185,43 +449,534 @@ export const createProductDraft = async (
         });
     }
 
-    const API_VERSION = '2024-07';
-    // Ensure storeName doesn't contain the full domain
-    const sanitizedStoreName = storeName.replace('.myshopify.com', '');
-    const url = `https://${sanitizedStoreName}.myshopify.com/admin/api/${API_VERSION}/products.json`;
+    const query = `
+        mutation createProduct($input: ProductSetInput!) {
+            productSet(synchronous: true, input: $input) {
+                product {
+                    id
+                    variants(first: 100) {
+                        nodes {
+                            id
+                            sku
+                            inventoryItem {
+                                id
+                            }
+                        }
+                    }
+                }
+                userErrors {
+                    field
+                    message
+                    code
+                }
+            }
+        }
+    `;
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Shopify-Access-Token': accessToken,
-            },
-            body: JSON.stringify(productData),
-        });
+    const data = await sendGraphQL(query, { input: toProductSetInput(productData, inventoryLocationId) }, storeName, accessToken);
+    throwOnUserErrors(data.productSet?.userErrors);
 
-        const responseData = await response.json();
+    const product = data.productSet?.product;
+    if (!product) {
+        throw new Error('Shopify Error: productSet returned no product');
+    }
 
-        if (!response.ok) {
-            // Shopify often provides detailed errors in the 'errors' field.
-            const errorMessage = responseData.errors 
-                ? `Shopify Error: ${JSON.stringify(responseData.errors)}`
-                : `Shopify API returned status ${response.status}`;
-            throw new Error(errorMessage);
+    return {
+        success: true,
+        shopifyId: Number(toNumericId(product.id)),
+        productId: product.id,
+        variantId: product.variants?.nodes?.[0]?.id,
+        inventoryItemId: product.variants?.nodes?.[0]?.inventoryItem?.id,
+        message: 'Product draft created successfully on Shopify.',
+    };
+};
+
+/**
+ * Fetch a single product with all of its variants
+ * The result uses REST field names (body_html, tags as a string, inventory_item_id)
+ * @param productId The product ID (numeric or GraphQL global ID)
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ * @returns Promise with the product
+ */
+export const getProductById = async (
+    productId: string | number,
+    storeName: string,
+    accessToken: string
+): Promise<ShopifyProduct> => {
+    const query = `
+        query getProduct($id: ID!) {
+            product(id: $id) {
+                id
+                title
+                descriptionHtml
+                tags
+                variants(first: 100) {
+                    nodes {
+                        id
+                        sku
+                        price
+                        barcode
+                        inventoryItem {
+                            id
+                        }
+                    }
+                }
+            }
         }
+    `;
 
-        return {
-            success: true,
-            shopifyId: responseData.product.id,
-            message: 'Product draft created successfully on Shopify.',
-        };
-    } catch (error) {
-        console.error('Error creating Shopify draft:', error);
-        
-        if (error instanceof TypeError && error.message === 'Failed to fetch') {
-            throw new Error('Network error: Failed to fetch. This may be a CORS issue. The Shopify Admin API cannot be called directly from a browser for security reasons. This tool is intended for development, and you may need a browser extension to disable CORS protection.');
+    const data = await sendGraphQL(query, { id: toGid('Product', productId) }, storeName, accessToken);
+
+    if (!data.product) {
+        throw createHttpError(`Shopify product not found: ${productId}`, { status: 404, provider: 'shopify' });
+    }
+
+    return {
+        id: data.product.id,
+        title: data.product.title,
+        body_html: data.product.descriptionHtml,
+        tags: (data.product.tags || []).join(', '),
+        variants: (data.product.variants?.nodes || []).map((variant: any) => ({
+            id: variant.id,
+            sku: variant.sku,
+            price: variant.price,
+            barcode: variant.barcode,
+            inventory_item_id: variant.inventoryItem?.id,
+        })),
+    };
+};
+
+/**
+ * Update product-level fields (title, body_html, tags). Only the given fields are changed.
+ * @param productId The product ID (numeric or GraphQL global ID)
+ * @param changes The product fields to update (REST field names)
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ */
+export const updateProduct = async (
+    productId: string | number,
+    changes: Record<string, any>,
+    storeName: string,
+    accessToken: string
+): Promise<void> => {
+    const query = `
+        mutation updateProduct($input: ProductInput!) {
+            productUpdate(input: $input) {
+                product {
+                    id
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
         }
-        // Re-throw the original or constructed error to be caught by the calling function
+    `;
+
+    const { body_html, tags, ...rest } = changes;
+    const input = {
+        id: toGid('Product', productId),
+        ...rest,
+        ...(body_html !== undefined && { descriptionHtml: body_html }),
+        ...(tags !== undefined && { tags: String(tags).split(',').map(tag => tag.trim()).filter(Boolean) }),
+    };
+
+    const data = await sendGraphQL(query, { input }, storeName, accessToken);
+    throwOnUserErrors(data.productUpdate?.userErrors);
+};
+
+/**
+ * Update variant-level fields (price, barcode). Only the given fields are changed.
+ * @param productId The product ID the variant belongs to (numeric or GraphQL global ID)
+ * @param variantId The variant ID (numeric or GraphQL global ID)
+ * @param changes The variant fields to update
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ */
+export const updateVariant = async (
+    productId: string | number,
+    variantId: string | number,
+    changes: Record<string, any>,
+    storeName: string,
+    accessToken: string
+): Promise<void> => {
+    const query = `
+        mutation updateVariants($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+            productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+                productVariants {
+                    id
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, {
+        productId: toGid('Product', productId),
+        variants: [{ id: toGid('ProductVariant', variantId), ...changes }]
+    }, storeName, accessToken);
+    throwOnUserErrors(data.productVariantsBulkUpdate?.userErrors);
+};
+
+/**
+ * Fetch all locations of the store
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ * @returns Promise with the list of locations
+ */
+export const fetchLocations = async (
+    storeName: string,
+    accessToken: string
+): Promise<ShopifyLocation[]> => {
+    const query = `
+        query getLocations {
+            locations(first: 250) {
+                edges {
+                    node {
+                        id
+                        name
+                        isActive
+                    }
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, {}, storeName, accessToken);
+    return (data.locations?.edges || []).map((edge: any) => edge.node as ShopifyLocation);
+};
+
+/**
+ * Look up variants for a batch of SKUs with one search
+ * Candidates are paged through and compared exactly after normalization, like
+ * checkProductBySkuGraphQL. SKUs matching variants on several products are reported
+ * as conflicts, and SKUs that can't be ruled out (too many candidates) as unknown.
+ * @param skus The SKUs to look up
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ * @param normalizeSku Normalizes SKUs before they are compared
+ * @returns Promise with one lookup result per requested SKU
+ */
+export const fetchVariantsBySkus = async (
+    skus: string[],
+    storeName: string,
+    accessToken: string,
+    normalizeSku: (sku: string) => string = defaultNormalizeSku
+): Promise<VariantSkuLookup[]> => {
+    const query = `
+        query getVariantsBySkus($query: String!, $first: Int!, $after: String) {
+            productVariants(first: $first, after: $after, query: $query) {
+                edges {
+                    node {
+                        id
+                        sku
+                        product {
+                            id
+                        }
+                        inventoryItem {
+                            id
+                        }
+                    }
+                }
+                pageInfo {
+                    hasNextPage
+                    endCursor
+                }
+            }
+        }
+    `;
+
+    const searchQuery = skus.map(sku => buildSkuSearchQuery(sku, normalizeSku)).join(' OR ');
+    const matchesBySku = new Map<string, VariantInventoryRef[]>(skus.map(sku => [normalizeSku(sku), []]));
+    let after: string | null = null;
+    let complete = false;
+
+    for (let page = 0; page < SKU_BATCH_MAX_PAGES && !complete; page++) {
+        const data = await sendGraphQL(query, { query: searchQuery, first: SKU_BATCH_PAGE_SIZE, after }, storeName, accessToken);
+        const connection = data.productVariants;
+
+        for (const { node } of connection?.edges || []) {
+            const matches = node.sku ? matchesBySku.get(normalizeSku(node.sku)) : undefined;
+            if (matches && !matches.some(match => match.variantId === node.id)) {
+                matches.push({
+                    sku: node.sku,
+                    variantId: node.id,
+                    productId: node.product?.id,
+                    inventoryItemId: node.inventoryItem?.id,
+                });
+            }
+        }
+
+        complete = !connection?.pageInfo?.hasNextPage;
+        after = connection?.pageInfo?.endCursor || null;
+    }
+
+    return skus.map(sku => {
+        const matches = matchesBySku.get(normalizeSku(sku)) || [];
+        const productIds = new Set(matches.map(match => match.productId));
+
+        if (productIds.size > 1) {
+            return {
+                sku,
+                status: 'conflict',
+                conflicts: matches.map(({ productId, variantId, sku: variantSku }) => ({ productId, variantId, sku: variantSku }))
+            };
+        }
+
+        if (productIds.size === 1) {
+            return { sku, status: 'exists', variant: matches[0] };
+        }
+
+        // Too many candidates to rule out an exact match
+        if (!complete) {
+            return {
+                sku,
+                status: 'unknown',
+                error: `More than ${SKU_BATCH_PAGE_SIZE * SKU_BATCH_MAX_PAGES} variants match the search for this batch`
+            };
+        }
+
+        return { sku, status: 'not_found' };
+    });
+};
+
+/**
+ * Make sure an inventory item is stocked at a location (no-op if it already is)
+ * @param inventoryItemId The inventory item global ID
+ * @param locationId The location global ID
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ */
+export const activateInventoryItem = async (
+    inventoryItemId: string,
+    locationId: string,
+    storeName: string,
+    accessToken: string
+): Promise<void> => {
+    const query = `
+        mutation activateInventoryItem($inventoryItemId: ID!, $locationId: ID!) {
+            inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId) {
+                inventoryLevel {
+                    id
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, { inventoryItemId, locationId }, storeName, accessToken);
+    throwOnUserErrors(data.inventoryActivate?.userErrors);
+};
+
+/**
+ * Set available quantities for inventory items at specific locations
+ * Shopify rejects the whole mutation if any quantity is invalid; the thrown error's
+ * userErrors point at the quantities by index (field: input.quantities.<index>...)
+ * @param quantities The quantities to set (one entry per item and location)
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ */
+export const setInventoryQuantities = async (
+    quantities: InventoryQuantity[],
+    storeName: string,
+    accessToken: string
+): Promise<void> => {
+    const query = `
+        mutation setInventoryQuantities($input: InventorySetQuantitiesInput!) {
+            inventorySetQuantities(input: $input) {
+                inventoryAdjustmentGroup {
+                    id
+                }
+                userErrors {
+                    field
+                    message
+                    code
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, {
+        input: {
+            name: 'available',
+            reason: 'correction',
+            ignoreCompareQuantity: true,
+            quantities
+        }
+    }, storeName, accessToken);
+    throwOnUserErrors(data.inventorySetQuantities?.userErrors);
+};
+
+/**
+ * Start a bulk operation exporting every product variant with its SKU,
+ * product ID and inventory item ID
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ * @returns Promise with the started bulk operation
+ */
+export const startBulkVariantExport = async (
+    storeName: string,
+    accessToken: string
+): Promise<BulkOperation> => {
+    const query = `
+        mutation runBulkQuery($query: String!) {
+            bulkOperationRunQuery(query: $query) {
+                bulkOperation {
+                    id
+                    status
+                }
+                userErrors {
+                    field
+                    message
+                }
+            }
+        }
+    `;
+
+    const bulkQuery = `
+        {
+            productVariants {
+                edges {
+                    node {
+                        id
+                        sku
+                        product {
+                            id
+                        }
+                        inventoryItem {
+                            id
+                        }
+                    }
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, { query: bulkQuery }, storeName, accessToken);
+    throwOnUserErrors(data.bulkOperationRunQuery?.userErrors);
+    return data.bulkOperationRunQuery.bulkOperation as BulkOperation;
+};
+
+/**
+ * Get the status of a bulk operation
+ * @param id The bulk operation global ID
+ * @param storeName The name of the Shopify store
+ * @param accessToken The Admin API access token
+ * @returns Promise with the bulk operation (url is set once it has completed)
+ */
+export const getBulkOperation = async (
+    id: string,
+    storeName: string,
+    accessToken: string
+): Promise<BulkOperation> => {
+    const query = `
+        query getBulkOperation($id: ID!) {
+            node(id: $id) {
+                ... on BulkOperation {
+                    id
+                    status
+                    errorCode
+                    objectCount
+                    url
+                }
+            }
+        }
+    `;
+
+    const data = await sendGraphQL(query, { id }, storeName, accessToken);
+
+    if (!data.node) {
+        throw createHttpError(`Shopify bulk operation not found: ${id}`, { status: 404, provider: 'shopify' });
+    }
+
+    return data.node as BulkOperation;
+};
+
+/**
+ * Stream the JSONL results of a completed bulk operation, one object per line
+ * @param url The result URL of the bulk operation
+ */
+export async function* streamBulkOperationResults(url: string): AsyncGenerator<any> {
+    const response = await fetch(url);
+
+    if (!response.ok || !response.body) {
+        throw await httpErrorFromResponse(response, 'Bulk operation results download failed', 'shopify');
+    }
+
+    const lines = readline.createInterface({
+        input: Readable.fromWeb(response.body as any),
+        crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/**
+ * Throw if a mutation returned user errors
+ * The thrown Error keeps the structured errors in its userErrors property
+ */
+const throwOnUserErrors = (userErrors?: ShopifyUserError[]) => {
+    if (userErrors && userErrors.length > 0) {
+        const summary = userErrors
+            .map(userError => (userError.field?.length ? `${userError.field.join('.')}: ${userError.message}` : userError.message))
+            .join('; ');
+        const error = new Error(`Shopify Error: ${summary}`) as Error & { userErrors?: ShopifyUserError[] };
+        error.userErrors = userErrors;
         throw error;
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Throw for top-level GraphQL errors (query errors, throttling, access denied)
+ * The thrown Error keeps them in its graphQLErrors property, so retries can tell
+ * transient ones (THROTTLED) from permanent ones
+ */
+const throwOnGraphQLErrors = (errors: any[]) => {
+    const error = new Error(`GraphQL error: ${JSON.stringify(errors)}`) as Error & { graphQLErrors?: any[] };
+    error.graphQLErrors = Array.isArray(errors) ? errors : [errors];
+    throw error;
+};
+
+/**
+ * Send a GraphQL request and return its data
+ */
+const sendGraphQL = async (
+    query: string,
+    variables: Record<string, any>,
+    storeName: string,
+    accessToken: string
+): Promise<any> => {
+    const url = adminApiUrl(storeName, 'graphql.json');
+
+    const response = await shopifyFetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Shopify-Access-Token': accessToken,
+        },
+        body: JSON.stringify({ query, variables }),
+    });
+
+    if (!response.ok) {
+        throw await httpErrorFromResponse(response, 'Shopify GraphQL request failed', 'shopify');
+    }
+
+    const responseData = await response.json();
+
+    if (responseData.errors) {
+        throwOnGraphQLErrors(responseData.errors);
+    }
+
+    return responseData.data;
+};
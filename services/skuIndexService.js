@@ -0,0 +1,251 @@
+/**
+ * SKU Index Service
+ *
+ * In-memory index of every variant SKU in the Shopify store. At the start of a
+ * run one GraphQL bulk operation exports all variants (SKU, product ID,
+ * inventory item ID), so duplicate checks are answered from memory instead of
+ * one search request per record. Products created during the run are added to
+ * the index as they are created.
+ *
+ * The index only lives for the run that built it (or for a publish or replay,
+ * see withSkuIndex). Without an index (disabled, or the export failed) each SKU
+ * is looked up with a GraphQL search, except under SKU_MATCH_* rules the search
+ * can't honor: those checks are 'unknown' and the SKU is deferred.
+ */
+
+import { config } from '../config.js';
+import {
+  startBulkVariantExport,
+  getBulkOperation,
+  streamBulkOperationResults,
+  checkProductBySkuGraphQL
+} from './shopifyService.ts';
+import { logInfo, logSuccess, logWarning } from '../utils/logger.js';
+import { retryWithBackoff } from '../utils/retry.js';
+import { normalizeSku, requiresSkuIndex } from '../utils/skuMatch.js';
+
+// Bulk operation statuses that won't change anymore
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'];
+
+// { entries: Map<normalized SKU, Array<variant>>, builtAt, variantCount }
+let skuIndex = null;
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Add a variant to an index map
+ */
+function addEntry(entries, variant) {
+  const key = normalizeSku(variant.sku);
+  const matches = entries.get(key) || [];
+
+  if (!matches.some(match => match.variantId === variant.variantId)) {
+    matches.push(variant);
+  }
+
+  entries.set(key, matches);
+}
+
+/**
+ * Poll a bulk operation until it has finished
+ *
+ * @param {Object} operation - Started bulk operation
+ * @returns {Promise<Object>} Completed bulk operation
+ */
+async function waitForBulkOperation(operation) {
+  const deadline = Date.now() + config.skuIndex.timeoutMinutes * 60 * 1000;
+  let current = operation;
+
+  while (!FINISHED_STATUSES.includes(current.status)) {
+    if (Date.now() > deadline) {
+      throw new Error(`Bulk operation ${operation.id} did not finish within ${config.skuIndex.timeoutMinutes} minutes`);
+    }
+
+    await sleep(config.skuIndex.pollInterval);
+
+    current = await retryWithBackoff(
+      () => getBulkOperation(operation.id, config.shopify.store, config.shopify.accessToken),
+      {
+        maxAttempts: config.retry.maxAttempts,
+        initialDelay: config.retry.initialDelay,
+        operationName: 'Check Shopify Bulk Operation'
+      }
+    );
+  }
+
+  if (current.status !== 'COMPLETED') {
+    throw new Error(`Bulk operation ${operation.id} ${current.status.toLowerCase()}${current.errorCode ? ` (${current.errorCode})` : ''}`);
+  }
+
+  return current;
+}
+
+/**
+ * Build the SKU index from a Shopify bulk operation
+ *
+ * @returns {Promise<Object>} Summary { variantCount, skuCount }
+ */
+export async function buildSkuIndex() {
+  const startTime = Date.now();
+  logInfo('Building SKU index from Shopify bulk export...');
+
+  const operation = await retryWithBackoff(
+    () => startBulkVariantExport(config.shopify.store, config.shopify.accessToken),
+    {
+      maxAttempts: config.retry.maxAttempts,
+      initialDelay: config.retry.initialDelay,
+      operationName: 'Start Shopify Bulk Export'
+    }
+  );
+
+  const completed = await waitForBulkOperation(operation);
+  const entries = new Map();
+  let variantCount = 0;
+
+  // Stores without variants finish without a result file
+  if (completed.url) {
+    for await (const variant of streamBulkOperationResults(completed.url)) {
+      variantCount++;
+      if (variant.sku) {
+        addEntry(entries, {
+          sku: variant.sku,
+          variantId: variant.id,
+          productId: variant.product?.id,
+          inventoryItemId: variant.inventoryItem?.id
+        });
+      }
+    }
+  }
+
+  skuIndex = { entries, builtAt: new Date().toISOString(), variantCount };
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  logSuccess(`SKU index built: ${variantCount} variants, ${entries.size} unique SKUs in ${duration}s`);
+
+  return { variantCount, skuCount: entries.size };
+}
+
+/**
+ * Build the SKU index for a run if enabled
+ * Failures are logged and the run falls back to per-SKU lookups
+ *
+ * @returns {Promise<boolean>} True if the index is ready
+ */
+export async function prepareSkuIndex() {
+  clearSkuIndex();
+
+  if (!config.skuIndex.enabled) {
+    return false;
+  }
+
+  try {
+    await buildSkuIndex();
+    return true;
+  } catch (error) {
+    if (requiresSkuIndex()) {
+      logWarning('Failed to build SKU index. SKU_MATCH_IGNORE_LEADING_ZEROS / SKU_MATCH_WHITESPACE=remove need it, so every SKU check is deferred until the index can be built', { error: error.message });
+    } else {
+      logWarning('Failed to build SKU index, falling back to per-SKU lookups', { error: error.message });
+    }
+    clearSkuIndex();
+    return false;
+  }
+}
+
+/**
+ * Run work outside a sync run (publishing approved items, replaying failed
+ * products) with its own SKU index
+ *
+ * @param {Function} action - () => Promise, the work to run
+ * @param {Object} options - { onlyIfRequired: skip the bulk export unless the SKU_MATCH_* rules need it (single-SKU work) }
+ * @returns {Promise<*>} The action's result
+ */
+export async function withSkuIndex(action, { onlyIfRequired = false } = {}) {
+  if (onlyIfRequired && !requiresSkuIndex()) {
+    return action();
+  }
+
+  await prepareSkuIndex();
+  try {
+    return await action();
+  } finally {
+    clearSkuIndex();
+  }
+}
+
+/**
+ * Drop the SKU index (at the end of a run)
+ */
+export function clearSkuIndex() {
+  skuIndex = null;
+}
+
+/**
+ * Add a newly created variant to the index
+ *
+ * @param {string} sku - Variant SKU
+ * @param {Object} variant - { productId, variantId, inventoryItemId }
+ */
+export function addToSkuIndex(sku, { productId, variantId = null, inventoryItemId = null }) {
+  if (!skuIndex || !sku) {
+    return;
+  }
+
+  addEntry(skuIndex.entries, { sku, variantId: variantId || `${productId}:${sku}`, productId, inventoryItemId });
+}
+
+/**
+ * Check whether a SKU exists in Shopify
+ * Uses the index when it is ready, otherwise a GraphQL search. SKUs are compared
+ * exactly after the SKU_MATCH_* normalization rules. Rules the search can't honor
+ * (leading zeros, removed whitespace) need the index, so without it the result is 'unknown'.
+ * A status of 'unknown' means the check failed and creation must not proceed;
+ * 'conflict' means several products have the SKU.
+ *
+ * @param {string} sku - SKU to check
+ * @returns {Promise<Object>} { status, exists, product, conflicts, error } with the product in GraphQL shape
+ */
+export async function checkSkuExists(sku) {
+  if (!skuIndex && requiresSkuIndex()) {
+    return {
+      status: 'unknown',
+      exists: false,
+      error: 'SKU_MATCH_IGNORE_LEADING_ZEROS and SKU_MATCH_WHITESPACE=remove need the SKU index, which is not available'
+    };
+  }
+
+  if (!skuIndex) {
+    return checkProductBySkuGraphQL(sku, config.shopify.store, config.shopify.accessToken, normalizeSku);
+  }
+
+  const matches = skuIndex.entries.get(normalizeSku(sku));
+  if (!matches) {
+    return { status: 'not_found', exists: false };
+  }
+
+  const [match] = matches;
+  const product = {
+    id: match.productId,
+    variants: {
+      edges: matches
+        .filter(variant => variant.productId === match.productId)
+        .map(variant => ({ node: { id: variant.variantId, sku: variant.sku, inventoryItem: { id: variant.inventoryItemId } } }))
+    }
+  };
+
+  if (new Set(matches.map(variant => variant.productId)).size > 1) {
+    return {
+      status: 'conflict',
+      exists: true,
+      product,
+      conflicts: matches.map(({ productId, variantId, sku: variantSku }) => ({ productId, variantId, sku: variantSku }))
+    };
+  }
+
+  return { status: 'exists', exists: true, product };
+}
@@ -0,0 +1,239 @@
+/**
+ * Sync Job Service
+ *
+ * Runs product syncs inside the server process so they can be triggered,
+ * monitored and cancelled over the REST API (see server.js).
+ *
+ * Also replays logs/failed-products.json on request (see failedProductService.js).
+ *
+ * Only one job runs at a time, and none while a scheduled sync holds the sync
+ * lock (see utils/lockFile.js). Per-run overrides (dry run, focus categories,
+ * batch size) are passed to the run as options; the shared config is never
+ * changed.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { syncProducts as syncProductsStandard, processInventoryRecord as processRecordStandard } from '../index.js';
+import { syncProducts as syncProductsAIEnhanced, processInventoryRecord as processRecordAIEnhanced } from '../index-ai-enhanced.js';
+import { replayFailedProducts } from './failedProductService.js';
+import { logInfo, logError, logWarning } from '../utils/logger.js';
+import { acquireLock } from '../utils/lockFile.js';
+
+const SYNC_MODES = {
+  standard: syncProductsStandard,
+  'ai-enhanced': syncProductsAIEnhanced
+};
+
+// Record pipelines used to replay failed products, by mode
+const RECORD_PROCESSORS = {
+  standard: processRecordStandard,
+  'ai-enhanced': processRecordAIEnhanced
+};
+
+// Number of finished jobs kept in memory
+const MAX_JOBS = 20;
+
+let currentJob = null;
+const jobs = [];
+
+/**
+ * Validate and normalize run options from an API request
+ *
+ * @param {Object} options - { mode, dryRun, categories, batchSize }
+ * @returns {Object} Normalized options
+ */
+function normalizeJobOptions({ mode = 'standard', dryRun, categories, batchSize } = {}) {
+  if (!SYNC_MODES[mode]) {
+    throw new Error(`Invalid mode "${mode}". Expected one of: ${Object.keys(SYNC_MODES).join(', ')}`);
+  }
+
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+    throw new Error('dryRun must be a boolean');
+  }
+
+  const categoryList = typeof categories === 'string'
+    ? categories.split(',').map(c => c.trim()).filter(Boolean)
+    : categories;
+
+  if (categoryList !== undefined && (!Array.isArray(categoryList) || categoryList.some(c => typeof c !== 'string'))) {
+    throw new Error('categories must be an array or comma-separated string of category names');
+  }
+
+  if (batchSize !== undefined && (!Number.isInteger(batchSize) || batchSize < 1)) {
+    throw new Error('batchSize must be a positive integer');
+  }
+
+  return {
+    mode,
+    dryRun: dryRun ?? config.settings.dryRun,
+    categories: categoryList?.length ? categoryList : null,
+    batchSize: batchSize ?? null
+  };
+}
+
+/**
+ * Take the sync lock, or fail with SYNC_RUNNING if a run is in progress
+ */
+function acquireSyncLock(job) {
+  if (currentJob) {
+    const error = new Error(`A sync job is already running (${currentJob.id})`);
+    error.code = 'SYNC_RUNNING';
+    throw error;
+  }
+
+  // Shared with the scheduled sync service, which may run in another process
+  const lock = acquireLock('sync', { job });
+  if (!lock.acquired) {
+    const error = new Error(`A sync run is already in progress (${lock.owner?.job || 'unknown job'}, process ${lock.owner?.pid ?? 'unknown'})`);
+    error.code = 'SYNC_RUNNING';
+    throw error;
+  }
+
+  return lock;
+}
+
+/**
+ * Public view of a job (without the abort controller)
+ */
+function toJobView(job) {
+  if (!job) {
+    return null;
+  }
+
+  const { controller, ...view } = job;
+  return view;
+}
+
+/**
+ * Start a sync job in the background
+ *
+ * @param {Object} options - { mode, dryRun, categories, batchSize }
+ * @returns {Object} The started job
+ */
+export function startSyncJob(options = {}) {
+  const jobOptions = normalizeJobOptions(options);
+  const id = crypto.randomBytes(4).toString('hex');
+  const lock = acquireSyncLock(`api-sync ${id}`);
+
+  const job = {
+    id,
+    status: 'running',
+    options: jobOptions,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    stats: null,
+    error: null,
+    controller: new AbortController()
+  };
+
+  currentJob = job;
+  jobs.unshift(job);
+  jobs.splice(MAX_JOBS);
+
+  logInfo(`Starting sync job ${job.id}`, jobOptions);
+
+  SYNC_MODES[jobOptions.mode]({
+    signal: job.controller.signal,
+    batchSize: jobOptions.batchSize,
+    dryRun: jobOptions.dryRun,
+    categories: jobOptions.categories,
+    onProgress: (stats) => { job.stats = stats; }
+  })
+    .then((stats) => {
+      job.stats = stats;
+      job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+    })
+    .catch((error) => {
+      logError(`Sync job ${job.id} failed`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    })
+    .finally(() => {
+      lock.release();
+      job.finishedAt = new Date().toISOString();
+      currentJob = null;
+      logInfo(`Sync job ${job.id} ${job.status}`);
+    });
+
+  return toJobView(job);
+}
+
+/**
+ * Cancel the running job
+ * The sync stops before the next record; the record in progress is finished first
+ *
+ * @returns {Object|null} The cancelled job, or null if nothing is running
+ */
+export function cancelSyncJob() {
+  if (!currentJob) {
+    return null;
+  }
+
+  logWarning(`Cancelling sync job ${currentJob.id}`);
+  currentJob.controller.abort();
+  currentJob.status = 'cancelling';
+
+  return toJobView(currentJob);
+}
+
+/**
+ * Get the running job, or the most recent one if nothing is running
+ *
+ * @returns {Object|null} Job
+ */
+export function getCurrentSyncJob() {
+  return toJobView(currentJob || jobs[0]);
+}
+
+/**
+ * Get a job started by this server by ID
+ *
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job
+ */
+export function getSyncJob(id) {
+  return toJobView(jobs.find(job => job.id === id));
+}
+
+/**
+ * List jobs started by this server (newest first)
+ *
+ * @returns {Array} Jobs
+ */
+export function listSyncJobs() {
+  return jobs.map(toJobView);
+}
+
+/**
+ * Replay failed products and wait for the result
+ * Runs under the sync lock, so it never overlaps a sync run
+ *
+ * @param {Object} options - { mode, dryRun, skus, error, since, until, includeDeadLetter }
+ * @returns {Promise<Object>} Replay summary
+ */
+export async function replayFailed({ mode, dryRun, skus, error, since, until, includeDeadLetter = false } = {}) {
+  const jobOptions = normalizeJobOptions({ mode, dryRun });
+  const skuList = typeof skus === 'string' ? skus.split(',').map(s => s.trim()).filter(Boolean) : skus;
+
+  if (skuList !== undefined && (!Array.isArray(skuList) || skuList.some(sku => typeof sku !== 'string'))) {
+    throw new Error('skus must be an array or comma-separated string of SKUs');
+  }
+
+  if (typeof includeDeadLetter !== 'boolean') {
+    throw new Error('includeDeadLetter must be a boolean');
+  }
+
+  const lock = acquireSyncLock('api-replay');
+
+  try {
+    logInfo('Replaying failed products from the API', { ...jobOptions, skus: skuList, error, since, until, includeDeadLetter });
+    return await replayFailedProducts(
+      RECORD_PROCESSORS[jobOptions.mode],
+      { skus: skuList, error, since, until, includeDeadLetter },
+      { dryRun: jobOptions.dryRun }
+    );
+  } finally {
+    lock.release();
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Sync State Service
+ *
+ * Persists sync progress between runs in a local JSON file:
+ * - watermark: start time of the last successful fetch. The next run resumes
+ *   from here instead of a fixed lookback window, so missed runs catch up.
+ * - skus: per-SKU hash of the last synced record and its Shopify ID, so
+ *   overlapping windows don't reprocess records that haven't changed.
+ * - retryQueue: records whose duplicate check couldn't be completed. They are
+ *   processed again at the start of the next run, whatever the watermark.
+ * - checkpoint: where the last run stopped if it didn't finish (shutdown,
+ *   cancellation or batch limit). The watermark isn't advanced for such runs,
+ *   so the next run fetches the same records and skips the ones already synced.
+ */
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { config, getLookbackTimestamp } from '../config.js';
+import { logInfo, logWarning } from '../utils/logger.js';
+import { writeFileAtomic } from '../utils/atomicWrite.js';
+
+// Serializes updateSyncState calls
+let updateChain = Promise.resolve();
+
+/**
+ * Create an empty state
+ */
+function createEmptyState() {
+  return {
+    watermark: null,
+    lastRunAt: null,
+    skus: {},
+    retryQueue: {},
+    checkpoint: null
+  };
+}
+
+/**
+ * Load sync state from file
+ *
+ * @returns {Promise<Object>} Sync state
+ */
+export async function loadSyncState() {
+  try {
+    const data = await fs.readFile(config.state.filePath, 'utf-8');
+    const state = { ...createEmptyState(), ...JSON.parse(data) };
+    logInfo(`Loaded sync state (watermark: ${state.watermark || 'none'}, ${Object.keys(state.skus).length} SKUs tracked)`);
+    return state;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logInfo('No sync state found, starting fresh');
+      return createEmptyState();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save sync state to file (atomically)
+ *
+ * @param {Object} state - Sync state
+ */
+export async function saveSyncState(state) {
+  await writeFileAtomic(config.state.filePath, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Change the saved sync state in place (load, update, save)
+ * For changes made outside a sync run, e.g. publishing review items: only what the
+ * callback touches changes, so the watermark and retry queue on disk are kept.
+ * Updates in this process run one at a time.
+ *
+ * @param {Function} update - (state) => void, changes the loaded state
+ * @returns {Promise<Object>} The saved state
+ */
+export function updateSyncState(update) {
+  const updated = updateChain.then(async () => {
+    const state = await loadSyncState();
+    await update(state);
+    await saveSyncState(state);
+    return state;
+  });
+  updateChain = updated.catch(() => undefined);
+  return updated;
+}
+
+/**
+ * Get the timestamp to fetch records from
+ * Uses the stored watermark, or the lookback window if there is none yet
+ *
+ * @param {Object} state - Sync state
+ * @returns {Date} Resume timestamp
+ */
+export function getResumeTimestamp(state) {
+  if (state?.watermark) {
+    const watermark = new Date(state.watermark);
+    if (!isNaN(watermark.getTime())) {
+      return watermark;
+    }
+    logWarning(`Invalid watermark in sync state, using lookback window`, { watermark: state.watermark });
+  }
+  return getLookbackTimestamp();
+}
+
+/**
+ * Advance the watermark after a successful run
+ *
+ * @param {Object} state - Sync state
+ * @param {Date} fetchedAt - When records were fetched for this run
+ */
+export function advanceWatermark(state, fetchedAt) {
+  state.watermark = fetchedAt.toISOString();
+  state.lastRunAt = new Date().toISOString();
+}
+
+/**
+ * Hash a record's content (key order independent)
+ *
+ * @param {Object} record - Inventory record
+ * @returns {string} SHA-256 hash
+ */
+export function hashRecord(record) {
+  const sorted = Object.keys(record)
+    .sort()
+    .reduce((result, key) => {
+      result[key] = record[key];
+      return result;
+    }, {});
+
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Check whether a record is unchanged since it was last synced
+ *
+ * @param {Object} state - Sync state
+ * @param {string} sku - Record SKU
+ * @param {Object} record - Inventory record
+ * @returns {boolean} True if the record was already synced with identical content
+ */
+export function isRecordUnchanged(state, sku, record) {
+  const entry = state.skus[sku];
+  return Boolean(entry && entry.shopifyId && entry.hash === hashRecord(record));
+}
+
+/**
+ * Remember that a record was synced
+ *
+ * @param {Object} state - Sync state
+ * @param {string} sku - Record SKU
+ * @param {Object} record - Inventory record
+ * @param {string|number} shopifyId - Shopify product ID
+ */
+export function markRecordSynced(state, sku, record, shopifyId) {
+  state.skus[sku] = {
+    hash: hashRecord(record),
+    shopifyId,
+    syncedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Queue a record to be processed again in the next run
+ *
+ * @param {Object} state - Sync state
+ * @param {string} sku - Record SKU
+ * @param {Object} record - Inventory record
+ * @param {string} reason - Why the record couldn't be processed
+ * @returns {Object} Retry entry
+ */
+export function queueRecordRetry(state, sku, record, reason) {
+  const existing = state.retryQueue[sku];
+
+  state.retryQueue[sku] = {
+    record,
+    reason,
+    attempts: (existing?.attempts || 0) + 1,
+    firstQueuedAt: existing?.firstQueuedAt || new Date().toISOString(),
+    lastAttemptAt: new Date().toISOString()
+  };
+
+  return state.retryQueue[sku];
+}
+
+/**
+ * Remove a record from the retry queue (it was processed)
+ *
+ * @param {Object} state - Sync state
+ * @param {string} sku - Record SKU
+ */
+export function clearRecordRetry(state, sku) {
+  delete state.retryQueue[sku];
+}
+
+/**
+ * Get queued records that aren't part of the fetched records
+ *
+ * @param {Object} state - Sync state
+ * @param {Iterable<string>} fetchedSkus - SKUs of the records fetched for this run
+ * @returns {Array<Object>} Records to retry
+ */
+export function getRetryRecords(state, fetchedSkus) {
+  const fetched = new Set(Array.from(fetchedSkus, String));
+
+  return Object.entries(state.retryQueue)
+    .filter(([sku]) => !fetched.has(sku))
+    .map(([, entry]) => entry.record);
+}
+
+/**
+ * Record where a run stopped before processing all of its records
+ *
+ * @param {Object} state - Sync state
+ * @param {Object} checkpoint - { reason, runStartedAt, processed, remaining, allRecordsRead, inFlightSkus }
+ */
+export function recordCheckpoint(state, checkpoint) {
+  state.checkpoint = {
+    ...checkpoint,
+    stoppedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Clear the checkpoint after a run has processed all of its records
+ *
+ * @param {Object} state - Sync state
+ */
+export function clearCheckpoint(state) {
+  state.checkpoint = null;
+}
+
+/**
+ * Log where the previous run stopped, if it didn't finish
+ *
+ * @param {Object} state - Sync state
+ */
+export function logCheckpoint(state) {
+  const checkpoint = state.checkpoint;
+  if (!checkpoint) {
+    return;
+  }
+
+  // Runs that stopped while still reading the source don't know how many records were left
+  const remaining = checkpoint.allRecordsRead === false ? `at least ${checkpoint.remaining}` : checkpoint.remaining;
+  logInfo(`Previous run stopped early (${checkpoint.reason}) at ${checkpoint.stoppedAt} with ${remaining} record(s) left. Resuming from the last watermark`);
+
+  if (checkpoint.inFlightSkus?.length > 0) {
+    logWarning(`SKUs interrupted by the shutdown will be checked again: ${checkpoint.inFlightSkus.join(', ')}`);
+  }
+}
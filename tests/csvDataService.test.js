@@ -0,0 +1,122 @@
+/**
+ * CSV reader tests
+ *
+ * Quoting, byte order marks, delimiter and encoding detection of the streaming
+ * CSV reader, with exports written to a temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { streamCsvRows, streamProductsFromCSV, readProductsFromCSV } from '../services/csvDataService.js';
+
+let workDir;
+let fileCount = 0;
+
+/**
+ * Write an export to a temporary file and return its path
+ */
+async function writeExport(content) {
+  const filePath = path.join(workDir, `export-${++fileCount}.csv`);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('CSV reader', () => {
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'csv-reader-'));
+  });
+
+  after(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('keeps delimiters, newlines and escaped quotes inside quoted fields', async () => {
+    const filePath = await writeExport('sku,name,description\n"A-1","Strings, light","Line one\nLine ""two"""\nA-2,Picks,\n');
+
+    assert.deepEqual(await collect(streamCsvRows(filePath)), [
+      ['sku', 'name', 'description'],
+      ['A-1', 'Strings, light', 'Line one\nLine "two"'],
+      ['A-2', 'Picks', '']
+    ]);
+  });
+
+  it('handles CRLF line endings and skips blank lines', async () => {
+    const filePath = await writeExport('sku,qty\r\nA-1,4\r\n\r\nA-2,5\r\n');
+
+    assert.deepEqual(await collect(streamCsvRows(filePath)), [['sku', 'qty'], ['A-1', '4'], ['A-2', '5']]);
+  });
+
+  it('strips a UTF-8 byte order mark from the first header', async () => {
+    const filePath = await writeExport(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('sku,name\nA-1,Tuner\n')]));
+
+    assert.deepEqual(await collect(streamProductsFromCSV(filePath)), [{ sku: 'A-1', name: 'Tuner' }]);
+  });
+
+  it('detects semicolon and tab delimiters from the header row', async () => {
+    const semicolons = await writeExport('sku;name;price\nA-1;"Cable; 10ft";12,50\n');
+    const tabs = await writeExport('sku\tname\nA-1\tCapo, trigger\n');
+
+    assert.deepEqual(await collect(streamProductsFromCSV(semicolons)), [{ sku: 'A-1', name: 'Cable; 10ft', price: '12,50' }]);
+    assert.deepEqual(await collect(streamProductsFromCSV(tabs)), [{ sku: 'A-1', name: 'Capo, trigger' }]);
+  });
+
+  it('ignores delimiters inside quoted headers when detecting', async () => {
+    const filePath = await writeExport('"sku;code","name;full",price\nA-1,Strap,9\n');
+
+    assert.deepEqual(await collect(streamProductsFromCSV(filePath)), [{ 'sku;code': 'A-1', 'name;full': 'Strap', price: '9' }]);
+  });
+
+  it('reads UTF-8 and falls back to Windows-1252 for latin1 exports', async () => {
+    const utf8 = await writeExport(Buffer.from('sku,name\nA-1,Café Ukulele\n', 'utf-8'));
+    const latin1 = await writeExport(Buffer.from('sku,name\nA-1,Café Ukulele\n', 'latin1'));
+
+    assert.deepEqual(await collect(streamProductsFromCSV(utf8)), [{ sku: 'A-1', name: 'Café Ukulele' }]);
+    assert.deepEqual(await collect(streamProductsFromCSV(latin1)), [{ sku: 'A-1', name: 'Café Ukulele' }]);
+  });
+
+  it('honors an explicit delimiter and encoding', async () => {
+    const filePath = await writeExport(Buffer.from('sku|name\nA-1|Résonateur\n', 'latin1'));
+
+    assert.deepEqual(
+      await collect(streamProductsFromCSV(filePath, { delimiter: '|', encoding: 'latin1' })),
+      [{ sku: 'A-1', name: 'Résonateur' }]
+    );
+  });
+
+  it('parses quoted fields that span read chunks', async () => {
+    const longText = 'x'.repeat(70 * 1024);
+    const filePath = await writeExport(`sku,description\nA-1,"${longText}\n""quoted"""\nA-2,short\n`);
+
+    const products = await collect(streamProductsFromCSV(filePath));
+    assert.equal(products.length, 2);
+    assert.equal(products[0].description, `${longText}\n"quoted"`);
+    assert.deepEqual(products[1], { sku: 'A-2', description: 'short' });
+  });
+
+  it('trims values and fills missing trailing fields', async () => {
+    const filePath = await writeExport('sku, name ,qty\n A-1 , Bow ,\nA-2,Rosin\n');
+
+    assert.deepEqual(await collect(streamProductsFromCSV(filePath)), [
+      { sku: 'A-1', name: 'Bow', qty: '' },
+      { sku: 'A-2', name: 'Rosin', qty: '' }
+    ]);
+  });
+
+  it('reads a limited number of products', async () => {
+    const filePath = await writeExport('sku\nA-1\nA-2\nA-3\n');
+
+    const products = await readProductsFromCSV(filePath, { limit: 2 });
+    assert.deepEqual(products.map(product => product.sku), ['A-1', 'A-2']);
+  });
+});
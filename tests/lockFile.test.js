@@ -0,0 +1,119 @@
+/**
+ * Lock file tests
+ *
+ * Acquiring and releasing locks, and taking over stale locks left by processes
+ * that are gone. Lock files are written to a temporary LOCK_DIR.
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../config.js';
+import { acquireLock, releaseLock } from '../utils/lockFile.js';
+
+const LOCK = 'test-sync';
+
+let lockDir;
+let previousLockDir;
+
+function lockFilePath() {
+  return path.join(lockDir, `${LOCK}.lock`);
+}
+
+function writeLockFile(content) {
+  fs.writeFileSync(lockFilePath(), typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function readLockFile() {
+  return JSON.parse(fs.readFileSync(lockFilePath(), 'utf-8'));
+}
+
+/**
+ * PID of a process that has exited
+ */
+function getExitedPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('lock files', () => {
+  before(() => {
+    lockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-file-'));
+    previousLockDir = config.schedule.lockDir;
+    config.schedule.lockDir = lockDir;
+  });
+
+  afterEach(() => {
+    releaseLock(LOCK);
+    fs.rmSync(lockFilePath(), { force: true });
+  });
+
+  after(() => {
+    config.schedule.lockDir = previousLockDir;
+    fs.rmSync(lockDir, { recursive: true, force: true });
+  });
+
+  it('writes the owner to the lock file and removes it on release', () => {
+    const lock = acquireLock(LOCK, { job: 'full-sync' });
+
+    assert.equal(lock.acquired, true);
+    assert.equal(readLockFile().pid, process.pid);
+    assert.equal(readLockFile().job, 'full-sync');
+
+    lock.release();
+    assert.equal(fs.existsSync(lockFilePath()), false);
+  });
+
+  it('refuses a lock this process already holds', () => {
+    acquireLock(LOCK, { job: 'full-sync' });
+    const second = acquireLock(LOCK, { job: 'api-sync' });
+
+    assert.equal(second.acquired, false);
+    assert.equal(second.owner.job, 'full-sync');
+  });
+
+  it('refuses a lock held by another running process', () => {
+    writeLockFile({ pid: process.ppid, job: 'scheduler' });
+    const lock = acquireLock(LOCK);
+
+    assert.equal(lock.acquired, false);
+    assert.deepEqual(lock.owner, { pid: process.ppid, job: 'scheduler' });
+
+    // Releasing a lock we never got leaves the other process's lock alone
+    lock.release();
+    assert.equal(readLockFile().pid, process.ppid);
+  });
+
+  it('takes over a lock left by a process that has exited', () => {
+    writeLockFile({ pid: getExitedPid(), job: 'crashed-sync' });
+    const lock = acquireLock(LOCK, { job: 'full-sync' });
+
+    assert.equal(lock.acquired, true);
+    assert.equal(readLockFile().pid, process.pid);
+  });
+
+  it('takes over a lock with its own PID that it does not hold (restarted container)', () => {
+    writeLockFile({ pid: process.pid, job: 'before-restart' });
+
+    assert.equal(acquireLock(LOCK).acquired, true);
+  });
+
+  it('takes over unreadable lock files and locks without a PID', () => {
+    writeLockFile('{ not json');
+    assert.equal(acquireLock(LOCK).acquired, true);
+    releaseLock(LOCK);
+
+    writeLockFile({ job: 'unknown' });
+    assert.equal(acquireLock(LOCK).acquired, true);
+  });
+
+  it('does not remove a lock that was taken over after it was acquired', () => {
+    const lock = acquireLock(LOCK);
+    writeLockFile({ pid: process.ppid, job: 'takeover' });
+
+    lock.release();
+    assert.equal(readLockFile().job, 'takeover');
+  });
+});
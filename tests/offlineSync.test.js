@@ -0,0 +1,137 @@
+/**
+ * Offline sync integration test
+ *
+ * Runs the AI-enhanced pipeline end to end without network access: records come
+ * from the mock AIMSii server, transforms from the AI stub fixtures and products
+ * go to the Shopify emulator. Covers duplicate detection, updates of existing
+ * products and creation of new ones.
+ *
+ * Run with npm test. The servers listen on random ports and local state files
+ * are written to a temporary directory.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createShopifyEmulator } from '../mocks/shopifyEmulator.js';
+import { createAimsiiMockServer } from '../mocks/aimsiiMockServer.js';
+
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+/**
+ * Start an Express app on a random port
+ */
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Get the emulator's products by SKU
+ */
+async function getShopifyProducts(baseUrl) {
+  const { products } = await (await fetch(`${baseUrl}/mock/state`)).json();
+  return products.flatMap(product => product.variants.map(variant => [variant.sku, { product, variant }]));
+}
+
+describe('offline sync', () => {
+  let workDir;
+  let shopifyServer;
+  let aimsiiServer;
+  let shopifyUrl;
+  let syncProducts;
+  let previousEnv;
+  let previousCwd;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'offline-sync-'));
+    shopifyServer = await listen(createShopifyEmulator({ accessToken: 'test-token' }).app);
+    aimsiiServer = await listen(createAimsiiMockServer().app);
+    shopifyUrl = `http://127.0.0.1:${shopifyServer.address().port}`;
+
+    // The config is read when the pipeline is first imported, so the environment comes first
+    const env = {
+      SHOPIFY_BASE_URL: shopifyUrl,
+      SHOPIFY_STORE: 'offline-test',
+      SHOPIFY_ACCESS_TOKEN: 'test-token',
+      INVENTORY_SOURCE: 'aimsii',
+      AIMSII_BASE_URL: `http://127.0.0.1:${aimsiiServer.address().port}`,
+      AIMSII_API_KEY: 'test-key',
+      AIMSII_USERNAME: 'test-user',
+      AIMSII_PASSWORD: 'test-password',
+      AI_PROVIDER: 'stub',
+      AI_STUB_MODE: 'replay',
+      AI_STUB_FIXTURES_DIR: path.join(rootDir, 'mocks', 'fixtures', 'ai'),
+      LOOKBACK_HOURS: '72',
+      DRY_RUN: 'false',
+      REVIEW_MODE: 'false',
+      UPDATE_EXISTING_PRODUCTS: 'true',
+      UPDATE_FIELDS: 'price,barcode'
+    };
+    previousEnv = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+
+    // Sync state, session, field mappings and the transformation cache default to the working directory
+    previousCwd = process.cwd();
+    process.chdir(workDir);
+    ({ syncProducts } = await import('../index-ai-enhanced.js'));
+  });
+
+  after(async () => {
+    shopifyServer?.close();
+    aimsiiServer?.close();
+
+    for (const [key, value] of Object.entries(previousEnv ?? {})) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    if (previousCwd) {
+      process.chdir(previousCwd);
+    }
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  it('creates new products, updates existing ones and skips conflicting SKUs', async () => {
+    const stats = await syncProducts();
+
+    assert.equal(stats.total, 12);
+    assert.equal(stats.created, 9);
+    assert.equal(stats.updated, 2);
+    assert.equal(stats.skuConflicts, 1);
+    assert.equal(stats.failed, 0);
+
+    const products = new Map(await getShopifyProducts(shopifyUrl));
+
+    // Existing products are matched case-insensitively and updated in place
+    assert.equal(products.get('STR-ELC-1046').variant.price, '6.99');
+    assert.equal(products.get('pck-cel-med-12').variant.barcode, '885978123460');
+    assert.equal(products.has('PCK-CEL-MED-12'), false);
+
+    // A SKU that only matches another SKU's prefix is a new product
+    const microphone = products.get('MIC-DYN-SM58');
+    assert.equal(microphone.product.title, 'Shure Dynamic Vocal Microphone');
+    assert.equal(microphone.product.status, 'draft');
+    assert.deepEqual(microphone.product.inventory['MIC-DYN-SM58'], { Bozeman: 10 });
+  });
+
+  it('finds the created products on the next run instead of creating them again', async () => {
+    // Without the sync state every record is checked against Shopify again
+    await fs.rm(path.join(workDir, 'sync-state.json'), { force: true });
+    const productCount = (await getShopifyProducts(shopifyUrl)).length;
+
+    const stats = await syncProducts();
+
+    assert.equal(stats.total, 12);
+    assert.equal(stats.created, 0);
+    assert.equal(stats.skuConflicts, 1);
+    assert.equal(stats.failed, 0);
+    assert.equal((await getShopifyProducts(shopifyUrl)).length, productCount);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Retry tests
+ *
+ * Error classification (classifyError), Retry-After parsing and how
+ * retryWithBackoff acts on both.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, retryWithBackoff } from '../utils/retry.js';
+import { parseRetryAfter, createHttpError } from '../utils/httpError.js';
+
+/**
+ * Create an error with extra properties
+ */
+function errorWith(properties, message = 'Request failed') {
+  return Object.assign(new Error(message), properties);
+}
+
+describe('parseRetryAfter', () => {
+  it('reads delays in seconds', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter('0.5'), 500);
+  });
+
+  it('reads HTTP dates relative to now', () => {
+    const delay = parseRetryAfter(new Date(Date.now() + 30000).toUTCString());
+    assert.ok(delay > 28000 && delay <= 30000, `unexpected delay ${delay}`);
+  });
+
+  it('never returns a negative delay', () => {
+    assert.equal(parseRetryAfter('-5'), 0);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  });
+
+  it('returns null for missing or invalid values', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('classifyError', () => {
+  it('retries rate limits and transient server errors', () => {
+    assert.deepEqual(classifyError(createHttpError('Too many requests', { status: 429 })), { retryable: true, reason: 'http_429', retryAfterMs: null });
+    assert.equal(classifyError(createHttpError('Bad gateway', { status: 502 })).retryable, true);
+  });
+
+  it('does not retry client errors', () => {
+    assert.deepEqual(classifyError(createHttpError('Not found', { status: 404 })), { retryable: false, reason: 'http_404', retryAfterMs: null });
+    assert.equal(classifyError(createHttpError('Unauthorized', { status: 401 })).retryable, false);
+  });
+
+  it('takes the Retry-After delay from the error or its response headers', () => {
+    assert.equal(classifyError(createHttpError('Slow down', { status: 429, retryAfterMs: 1500 })).retryAfterMs, 1500);
+    assert.equal(classifyError(errorWith({ status: 503, headers: new Headers({ 'retry-after': '3' }) })).retryAfterMs, 3000);
+    assert.equal(classifyError(errorWith({ status: 503, headers: { 'retry-after': '4' } })).retryAfterMs, 4000);
+  });
+
+  it('drops the Retry-After delay of errors that are not retried', () => {
+    assert.equal(classifyError(createHttpError('Bad request', { status: 400, retryAfterMs: 1000 })).retryAfterMs, null);
+  });
+
+  it('prefers provider codes over the HTTP status', () => {
+    assert.deepEqual(
+      classifyError(createHttpError('Quota exceeded', { status: 429, code: 'insufficient_quota' })),
+      { retryable: false, reason: 'provider_insufficient_quota', retryAfterMs: null }
+    );
+    assert.equal(classifyError(createHttpError('Overloaded', { status: 400, code: 'server_error' })).retryable, true);
+  });
+
+  it('honors an explicit retryable flag', () => {
+    assert.equal(classifyError(createHttpError('Busy', { status: 400, retryable: true })).reason, 'marked_retryable');
+    assert.equal(classifyError(createHttpError('Broken', { status: 503, retryable: false })).retryable, false);
+  });
+
+  it('does not retry Shopify userErrors', () => {
+    assert.deepEqual(
+      classifyError(errorWith({ userErrors: [{ field: ['title'], message: "Title can't be blank" }] })),
+      { retryable: false, reason: 'validation', retryAfterMs: null }
+    );
+  });
+
+  it('retries throttled GraphQL requests only', () => {
+    assert.equal(classifyError(errorWith({ graphQLErrors: [{ extensions: { code: 'THROTTLED' } }] })).reason, 'graphql_transient');
+    assert.equal(classifyError(errorWith({ graphQLErrors: [{ extensions: { code: 'ACCESS_DENIED' } }] })).retryable, false);
+  });
+
+  it('retries transient network errors, also when fetch wraps them', () => {
+    const fetchError = new TypeError('fetch failed', { cause: errorWith({ code: 'ECONNRESET' }) });
+
+    assert.deepEqual(classifyError(fetchError), { retryable: true, reason: 'network_ECONNRESET', retryAfterMs: null });
+    assert.equal(classifyError(errorWith({ code: 'ENOTFOUND' })).retryable, false);
+  });
+
+  it('classifies wrapped errors by their cause', () => {
+    const wrapped = new Error('Transform failed', { cause: createHttpError('Unavailable', { status: 503 }) });
+    assert.equal(classifyError(wrapped).reason, 'http_503');
+  });
+
+  it('does not retry unparseable responses or programming errors', () => {
+    assert.equal(classifyError(new SyntaxError('Unexpected token')).retryable, false);
+    assert.equal(classifyError(new TypeError('x is not a function')).retryable, false);
+  });
+
+  it('retries errors it knows nothing about', () => {
+    assert.deepEqual(classifyError(new Error('Something happened')), { retryable: true, reason: 'unknown', retryAfterMs: null });
+  });
+});
+
+describe('retryWithBackoff', () => {
+  it('retries retryable errors until the operation succeeds', async () => {
+    let attempts = 0;
+
+    const result = await retryWithBackoff(async () => {
+      attempts++;
+      if (attempts < 3) {
+        throw createHttpError('Unavailable', { status: 503 });
+      }
+      return 'ok';
+    }, { maxAttempts: 3, initialDelay: 1, operationName: 'Test' });
+
+    assert.equal(result, 'ok');
+    assert.equal(attempts, 3);
+  });
+
+  it('throws non-retryable errors without retrying', async () => {
+    let attempts = 0;
+
+    await assert.rejects(
+      retryWithBackoff(async () => {
+        attempts++;
+        throw createHttpError('Not found', { status: 404 });
+      }, { maxAttempts: 3, initialDelay: 1, operationName: 'Test' }),
+      /Not found/
+    );
+    assert.equal(attempts, 1);
+  });
+
+  it('waits at least the Retry-After delay', async () => {
+    let attempts = 0;
+    const startedAt = Date.now();
+
+    await retryWithBackoff(async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw createHttpError('Slow down', { status: 429, retryAfterMs: 200 });
+      }
+    }, { maxAttempts: 2, initialDelay: 1, operationName: 'Test' });
+
+    assert.ok(Date.now() - startedAt >= 190, 'retried before the Retry-After delay');
+  });
+
+  it('gives up when the server asks to wait too long', async () => {
+    let attempts = 0;
+
+    await assert.rejects(
+      retryWithBackoff(async () => {
+        attempts++;
+        throw createHttpError('Slow down', { status: 429, retryAfterMs: 10 * 60 * 1000 });
+      }, { maxAttempts: 3, initialDelay: 1, operationName: 'Test' }),
+      /Slow down/
+    );
+    assert.equal(attempts, 1);
+  });
+});
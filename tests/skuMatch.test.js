@@ -0,0 +1,67 @@
+/**
+ * SKU matching tests
+ *
+ * normalizeSku/skusMatch under each SKU_MATCH_* rule, and which rules need the SKU index.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSku, skusMatch, requiresSkuIndex } from '../utils/skuMatch.js';
+
+const DEFAULT_RULES = { caseSensitive: false, whitespace: 'trim', ignoreLeadingZeros: false };
+
+describe('normalizeSku', () => {
+  it('trims and lowercases by default', () => {
+    assert.equal(normalizeSku('  FG800 ', DEFAULT_RULES), 'fg800');
+  });
+
+  it('keeps case when matching is case-sensitive', () => {
+    assert.equal(normalizeSku('FG800', { ...DEFAULT_RULES, caseSensitive: true }), 'FG800');
+  });
+
+  it('removes inner whitespace, or keeps all of it', () => {
+    assert.equal(normalizeSku(' AB 12\t3 ', { ...DEFAULT_RULES, whitespace: 'remove' }), 'ab123');
+    assert.equal(normalizeSku(' AB 12 ', { ...DEFAULT_RULES, whitespace: 'exact' }), ' ab 12 ');
+  });
+
+  it('strips leading zeros but keeps a single zero', () => {
+    const rules = { ...DEFAULT_RULES, ignoreLeadingZeros: true };
+    assert.equal(normalizeSku('000123', rules), '123');
+    assert.equal(normalizeSku('000', rules), '0');
+  });
+
+  it('turns numbers and missing SKUs into strings', () => {
+    assert.equal(normalizeSku(42, DEFAULT_RULES), '42');
+    assert.equal(normalizeSku(null, DEFAULT_RULES), '');
+  });
+});
+
+describe('skusMatch', () => {
+  it('matches SKUs that only differ in case and surrounding whitespace', () => {
+    assert.equal(skusMatch('fg800 ', 'FG800', DEFAULT_RULES), true);
+    assert.equal(skusMatch('fg800', 'FG800', { ...DEFAULT_RULES, caseSensitive: true }), false);
+  });
+
+  it('does not match a SKU that is only a prefix of another', () => {
+    assert.equal(skusMatch('MIC-DYN', 'MIC-DYN-SM58', DEFAULT_RULES), false);
+  });
+
+  it('matches leading zeros only when they are ignored', () => {
+    assert.equal(skusMatch('00123', '123', DEFAULT_RULES), false);
+    assert.equal(skusMatch('00123', '123', { ...DEFAULT_RULES, ignoreLeadingZeros: true }), true);
+  });
+
+  it('never matches an empty SKU', () => {
+    assert.equal(skusMatch('', '', DEFAULT_RULES), false);
+    assert.equal(skusMatch(null, 'FG800', DEFAULT_RULES), false);
+  });
+});
+
+describe('requiresSkuIndex', () => {
+  it('is needed only for rules a Shopify search cannot honor', () => {
+    assert.equal(requiresSkuIndex(DEFAULT_RULES), false);
+    assert.equal(requiresSkuIndex({ ...DEFAULT_RULES, caseSensitive: true, whitespace: 'exact' }), false);
+    assert.equal(requiresSkuIndex({ ...DEFAULT_RULES, whitespace: 'remove' }), true);
+    assert.equal(requiresSkuIndex({ ...DEFAULT_RULES, ignoreLeadingZeros: true }), true);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Worker pool tests
+ *
+ * Per-key ordering, concurrency, stopping (shouldStop and the abort signal) and
+ * streamed input for runWorkerPool.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { runWorkerPool } from '../utils/workerPool.js';
+
+const tick = (ms = 1) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* streamOf(items, read = []) {
+  for (const item of items) {
+    read.push(item);
+    yield item;
+  }
+}
+
+describe('runWorkerPool', () => {
+  it('processes items with the same key in order, one at a time', async () => {
+    const items = [
+      { key: 'a', n: 1, ms: 15 },
+      { key: 'b', n: 1, ms: 1 },
+      { key: 'a', n: 2, ms: 1 },
+      { key: 'b', n: 2, ms: 10 },
+      { key: 'a', n: 3, ms: 1 }
+    ];
+    const order = [];
+    const running = new Set();
+
+    const { completed } = await runWorkerPool(items, async (item) => {
+      assert.equal(running.has(item.key), false, `key ${item.key} ran twice at the same time`);
+      running.add(item.key);
+      await tick(item.ms);
+      running.delete(item.key);
+      order.push(`${item.key}${item.n}`);
+    }, { concurrency: 3, keyOf: item => item.key });
+
+    assert.equal(completed, 5);
+    assert.deepEqual(order.filter(entry => entry.startsWith('a')), ['a1', 'a2', 'a3']);
+    assert.deepEqual(order.filter(entry => entry.startsWith('b')), ['b1', 'b2']);
+  });
+
+  it('runs at most `concurrency` items at the same time', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await runWorkerPool([1, 2, 3, 4, 5, 6], async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await tick();
+      active--;
+    }, { concurrency: 2 });
+
+    assert.equal(peak, 2);
+  });
+
+  it('passes the input index of each item', async () => {
+    const seen = [];
+    await runWorkerPool(['x', 'y', 'z'], async (item, index) => { seen.push([item, index]); });
+    assert.deepEqual(seen, [['x', 0], ['y', 1], ['z', 2]]);
+  });
+
+  it('stops with "limit" once shouldStop holds, counting items in flight', async () => {
+    let done = 0;
+
+    const result = await runWorkerPool([1, 2, 3, 4, 5, 6], async () => {
+      await tick();
+      done++;
+    }, { concurrency: 2, shouldStop: ({ inFlight }) => done + inFlight >= 3 });
+
+    assert.deepEqual(result, { completed: 3, stoppedBy: 'limit' });
+  });
+
+  it('stops with "signal" when aborted and lets running items finish', async () => {
+    const controller = new AbortController();
+    const finished = [];
+
+    const result = await runWorkerPool([1, 2, 3, 4], async (item) => {
+      if (item === 1) {
+        controller.abort();
+      }
+      await tick();
+      finished.push(item);
+    }, { signal: controller.signal });
+
+    assert.deepEqual(finished, [1]);
+    assert.deepEqual(result, { completed: 1, stoppedBy: 'signal' });
+  });
+
+  it('reads a stream only as far as it needs and closes it when stopping early', async () => {
+    const read = [];
+    let closed = false;
+    const stream = (async function* () {
+      try {
+        yield* streamOf([1, 2, 3, 4, 5, 6], read);
+      } finally {
+        closed = true;
+      }
+    })();
+
+    const result = await runWorkerPool(stream, async () => { await tick(); }, {
+      shouldStop: () => read.length > 2
+    });
+
+    assert.equal(result.stoppedBy, 'limit');
+    assert.equal(result.completed, 2);
+    assert.ok(read.length <= 3);
+    assert.equal(closed, true);
+  });
+
+  it('keeps per-key order for streamed items', async () => {
+    const order = [];
+    const items = [{ key: 'a', n: 1 }, { key: 'b', n: 1 }, { key: 'a', n: 2 }, { key: 'a', n: 3 }];
+
+    await runWorkerPool(streamOf(items), async (item) => {
+      await tick(item.n === 1 ? 10 : 1);
+      order.push(`${item.key}${item.n}`);
+    }, { concurrency: 2, keyOf: item => item.key });
+
+    assert.deepEqual(order.filter(entry => entry.startsWith('a')), ['a1', 'a2', 'a3']);
+  });
+
+  it('rethrows the first handler error', async () => {
+    await assert.rejects(
+      runWorkerPool([1, 2], async (item) => {
+        if (item === 1) {
+          throw new Error('boom');
+        }
+      }),
+      /boom/
+    );
+  });
+});
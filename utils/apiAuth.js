@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logAudit } from './logger.js';
+
+/**
+ * API scopes
+ * - generate: AI product generation (spends AI budget)
+ * - sync: start, monitor and cancel sync runs
+ * - admin: everything, including the review dashboard
+ */
+export const API_SCOPES = ['generate', 'sync', 'admin'];
+
+/**
+ * Get all accepted keys (API_KEYS plus the sync script's BACKEND_API_KEY)
+ * Entries without a name or key are left out (validateApiKeys reports them at startup)
+ */
+function getApiKeys() {
+  const keys = config.api.keys.filter(entry => entry.name && entry.key);
+
+  if (config.api.backendApiKey && !keys.some(entry => entry.key === config.api.backendApiKey)) {
+    keys.push({ name: 'sync-script', key: config.api.backendApiKey, scopes: ['generate'] });
+  }
+
+  return keys;
+}
+
+/**
+ * Whether any API keys are configured
+ */
+export function isAuthEnabled() {
+  return getApiKeys().length > 0;
+}
+
+/**
+ * Read the key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function getRequestKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization?.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Compare keys in constant time
+ */
+function keysMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether a request comes from this machine
+ * Uses the socket address, which X-Forwarded-For can't change
+ */
+function isLoopbackRequest(req) {
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket?.remoteAddress);
+}
+
+/**
+ * Express middleware requiring an API key with the given scope
+ * Accepted and rejected calls are written to logs/audit.log
+ *
+ * When no keys are configured, requests are refused unless ALLOW_UNAUTHENTICATED=true,
+ * or they come from this machine while NODE_ENV=development (npm run dev).
+ *
+ * @param {string} scope - Required scope (admin keys are always allowed)
+ * @returns {Function} Express middleware
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    const audit = { scope, method: req.method, path: req.originalUrl, ip: req.ip };
+
+    if (!isAuthEnabled()) {
+      if (config.api.allowUnauthenticated || (config.api.allowLocalInDevelopment && isLoopbackRequest(req))) {
+        return next();
+      }
+      logAudit('API request rejected: no API keys configured', audit);
+      return res.status(503).json({ error: 'API authentication is not configured. Set API_KEYS.' });
+    }
+
+    const providedKey = getRequestKey(req);
+    if (!providedKey) {
+      logAudit('API request rejected: missing API key', audit);
+      return res.status(401).json({ error: 'Missing API key' });
+    }
+
+    const apiKey = getApiKeys().find(entry => keysMatch(providedKey, entry.key));
+    if (!apiKey) {
+      logAudit('API request rejected: invalid API key', audit);
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    if (!apiKey.scopes.includes(scope) && !apiKey.scopes.includes('admin')) {
+      logAudit('API request rejected: insufficient scope', { ...audit, key: apiKey.name });
+      return res.status(403).json({ error: `API key "${apiKey.name}" does not have the ${scope} scope` });
+    }
+
+    logAudit('API request accepted', { ...audit, key: apiKey.name });
+    req.apiKey = { name: apiKey.name, scopes: apiKey.scopes };
+    next();
+  };
+}
+
+/**
+ * Validate configured API key scopes
+ *
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateApiKeys() {
+  const problems = [];
+
+  for (const entry of config.api.keys) {
+    if (!entry.name || !entry.key) {
+      problems.push(`API_KEYS entry "${entry.name || ''}" must be in the form name:key:scopes, it is ignored`);
+      continue;
+    }
+    const invalid = entry.scopes.filter(scope => !API_SCOPES.includes(scope));
+    if (entry.scopes.length === 0 || invalid.length > 0) {
+      problems.push(`API key "${entry.name}" has invalid scopes (${entry.scopes.join('|') || 'none'}). Must be one of: ${API_SCOPES.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
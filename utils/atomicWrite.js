@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import { renameSync, unlinkSync, writeFileSync } from 'fs';
+import path from 'path';
+
+// Keeps temp names unique when the same file is written concurrently
+let writeCounter = 0;
+
+/**
+ * Build a temporary path next to the target so the final rename stays on one filesystem
+ */
+function tempPathFor(filePath) {
+  return path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${writeCounter++}.tmp`);
+}
+
+/**
+ * Write a file atomically (write to a temp file, then rename over the target)
+ * Readers never see a half-written file, even if the process is killed mid-write
+ *
+ * @param {string} filePath - Destination path
+ * @param {string} data - File contents
+ * @param {Object} options - { mode: file permissions (default: 0o666 before umask) }
+ */
+export async function writeFileAtomic(filePath, data, { mode = 0o666 } = {}) {
+  const tempPath = tempPathFor(filePath);
+
+  try {
+    await fs.writeFile(tempPath, data, { encoding: 'utf-8', mode });
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    // Don't leave a half-written temp file behind
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Synchronous version of writeFileAtomic, for callers that can't await (e.g. the logger)
+ *
+ * @param {string} filePath - Destination path
+ * @param {string} data - File contents
+ */
+export function writeFileAtomicSync(filePath, data) {
+  const tempPath = tempPathFor(filePath);
+
+  try {
+    writeFileSync(tempPath, data, 'utf-8');
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      unlinkSync(tempPath);
+    } catch {
+      // The temp file was never created
+    }
+    throw error;
+  }
+}
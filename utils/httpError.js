@@ -0,0 +1,86 @@
+/**
+ * Structured HTTP errors
+ *
+ * Failed API calls throw an Error carrying what retry decisions need (see
+ * classifyError in retry.js) instead of leaving it to be parsed from the
+ * message: the HTTP status, the provider's error code, the Retry-After delay
+ * and, when the server says so, whether the request may be retried.
+ */
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if missing/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create an error for a failed API call
+ *
+ * @param {string} message - Error message
+ * @param {Object} [details] - Structured details
+ * @param {number} [details.status] - HTTP status
+ * @param {string} [details.code] - Provider error code (e.g. THROTTLED, insufficient_quota)
+ * @param {string} [details.provider] - API that failed (shopify, aimsii, backend, ...)
+ * @param {number} [details.retryAfterMs] - Delay requested by the server
+ * @param {boolean} [details.retryable] - Explicit retry decision, overriding the classification
+ * @returns {Error} Error with the details as properties
+ */
+export function createHttpError(message, { status = null, code = null, provider = null, retryAfterMs = null, retryable } = {}) {
+  const error = new Error(message);
+  error.name = 'HttpError';
+  error.status = status;
+  error.code = code;
+  error.provider = provider;
+  error.retryAfterMs = retryAfterMs;
+
+  if (typeof retryable === 'boolean') {
+    error.retryable = retryable;
+  }
+
+  return error;
+}
+
+/**
+ * Create an error from a non-OK fetch response
+ * The body is included in the message (truncated); JSON bodies may provide
+ * `error`/`message`, `code` and `retryable`.
+ *
+ * @param {Response} response - Fetch response
+ * @param {string} message - What failed (the status and body are appended)
+ * @param {string} provider - API that failed
+ * @returns {Promise<Error>} Structured error
+ */
+export async function httpErrorFromResponse(response, message, provider = null) {
+  const text = await response.text().catch(() => '');
+  let body = null;
+
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    // Not JSON, keep the text
+  }
+
+  const bodyMessage = typeof body?.error === 'string' ? body.error : (body?.message || text);
+
+  return createHttpError(`${message} (${response.status})${bodyMessage ? `: ${String(bodyMessage).slice(0, 500)}` : ''}`, {
+    status: response.status,
+    code: body?.code || null,
+    provider,
+    retryAfterMs: parseRetryAfter(response.headers?.get('retry-after')),
+    retryable: body?.retryable
+  });
+}
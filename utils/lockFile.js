@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { logWarning } from './logger.js';
+
+/**
+ * Lock files
+ *
+ * Keep runs from overlapping, also across processes (the scheduler,
+ * `npm run sync:once`, the server's sync API). A lock is a file in LOCK_DIR,
+ * created exclusively, holding the owner's PID. Locks left behind by a process
+ * that has exited are taken over.
+ */
+
+// Names of the locks held by this process
+const heldLocks = new Set();
+
+/**
+ * Get the path of a named lock file
+ */
+function lockPath(name) {
+  return path.join(config.schedule.lockDir, `${name}.lock`);
+}
+
+/**
+ * Read the owner stored in a lock file
+ *
+ * @returns {Object|null} { pid, job, acquiredAt } or null if there is no readable lock
+ */
+function readLockOwner(name) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath(name), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a process is still running
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a lock was left behind by a process that is gone
+ * A lock with our own PID that we don't hold was left by an earlier process with
+ * the same PID (e.g. PID 1 in a restarted container)
+ */
+function isStale(name, owner) {
+  if (!owner?.pid) {
+    return true;
+  }
+  if (owner.pid === process.pid) {
+    return !heldLocks.has(name);
+  }
+  return !isProcessAlive(owner.pid);
+}
+
+/**
+ * Try to create the lock file
+ */
+function createLockFile(name, details) {
+  try {
+    fs.writeFileSync(lockPath(name), JSON.stringify({ pid: process.pid, ...details, acquiredAt: new Date().toISOString() }, null, 2), { flag: 'wx' });
+    heldLocks.add(name);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a lock held by this process
+ *
+ * @param {string} name - Lock name
+ */
+export function releaseLock(name) {
+  if (!heldLocks.has(name)) {
+    return;
+  }
+
+  heldLocks.delete(name);
+
+  // Don't remove a lock that was taken over in the meantime
+  if (readLockOwner(name)?.pid === process.pid) {
+    fs.rmSync(lockPath(name), { force: true });
+  }
+}
+
+/**
+ * Try to acquire a named lock
+ *
+ * @param {string} name - Lock name (e.g. 'sync')
+ * @param {Object} details - Extra details stored in the lock file (e.g. { job })
+ * @returns {Object} { acquired, owner, release } - owner is the current holder when not acquired
+ */
+export function acquireLock(name, details = {}) {
+  fs.mkdirSync(config.schedule.lockDir, { recursive: true });
+
+  if (!createLockFile(name, details)) {
+    const owner = readLockOwner(name);
+
+    if (!isStale(name, owner)) {
+      return { acquired: false, owner, release: () => {} };
+    }
+
+    logWarning(`Removing stale ${name} lock left by process ${owner?.pid ?? 'unknown'}`, owner);
+    fs.rmSync(lockPath(name), { force: true });
+
+    // Another process may have taken it over first
+    if (!createLockFile(name, details)) {
+      return { acquired: false, owner: readLockOwner(name), release: () => {} };
+    }
+  }
+
+  return { acquired: true, owner: null, release: () => releaseLock(name) };
+}
+
+// Locks are released even when the process exits mid-run (e.g. a shutdown timeout)
+process.on('exit', () => {
+  for (const name of Array.from(heldLocks)) {
+    releaseLock(name);
+  }
+});
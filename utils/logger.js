@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { writeFileAtomicSync } from './atomicWrite.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,6 +15,11 @@ if (!fs.existsSync(logsDir)) {
 const successLogPath = path.join(logsDir, 'success.log');
 const errorLogPath = path.join(logsDir, 'errors.log');
 const failedProductsPath = path.join(logsDir, 'failed-products.json');
+const syncRunsPath = path.join(logsDir, 'sync-runs.json');
+const auditLogPath = path.join(logsDir, 'audit.log');
+
+// Number of sync runs kept in the run history
+const MAX_SYNC_RUNS = 50;
 
 /**
  * Format a log message with timestamp
@@ -77,47 +83,90 @@ export function logWarning(message, data = null) {
   writeToFile(errorLogPath, logMessage);
 }
 
+/**
+ * Log an audit event (backend API access)
+ */
+export function logAudit(message, data = null) {
+  const logMessage = formatMessage('AUDIT', message, data);
+  console.log(logMessage.trim());
+  writeToFile(auditLogPath, logMessage);
+}
+
+/**
+ * Read logs/failed-products.json
+ * Older files hold a plain array of failed entries and no dead-letter section
+ *
+ * @returns {Object} { failed, deadLetter }
+ */
+function readFailedProductsFile() {
+  if (!fs.existsSync(failedProductsPath)) {
+    return { failed: [], deadLetter: [] };
+  }
+
+  const content = JSON.parse(fs.readFileSync(failedProductsPath, 'utf8'));
+  if (Array.isArray(content)) {
+    return { failed: content, deadLetter: [] };
+  }
+
+  return { failed: content.failed || [], deadLetter: content.deadLetter || [] };
+}
+
+/**
+ * Write logs/failed-products.json (atomically, so a shutdown can't leave it half-written)
+ */
+function writeFailedProductsFile(data) {
+  writeFileAtomicSync(failedProductsPath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Whether a failed-products entry belongs to a SKU
+ */
+function isEntryForSku(entry, sku) {
+  return String(entry.product?.sku) === String(sku);
+}
+
 /**
  * Save failed product for manual review
+ * The generated Shopify JSON is stored too (when the failure happened after transformation).
+ * Each SKU has one entry: a new failure replaces the last one but keeps the replay attempt
+ * count, and a dead-lettered SKU stays in the dead-letter section.
  */
-export function saveFailedProduct(product, error) {
+export function saveFailedProduct(product, error, shopifyData = null) {
   try {
-    let failedProducts = [];
-
-    // Read existing failed products if file exists
-    if (fs.existsSync(failedProductsPath)) {
-      const content = fs.readFileSync(failedProductsPath, 'utf8');
-      failedProducts = JSON.parse(content);
-    }
+    const data = readFailedProductsFile();
+    const sku = product.sku ?? product.id;
+    const section = data.deadLetter.some(entry => isEntryForSku(entry, sku)) ? 'deadLetter' : 'failed';
+    const previous = data[section].filter(entry => isEntryForSku(entry, sku)).pop();
+    const timestamp = new Date().toISOString();
 
-    // Add new failed product
-    failedProducts.push({
-      timestamp: new Date().toISOString(),
+    data[section] = data[section].filter(entry => !isEntryForSku(entry, sku));
+    data[section].push({
+      ...previous,
+      timestamp,
+      firstFailedAt: previous?.firstFailedAt || previous?.timestamp || timestamp,
+      attempts: previous?.attempts || 0,
       product,
+      shopifyData: shopifyData || undefined,
       error: {
         message: error.message,
-        stack: error.stack
+        stack: error.stack,
+        ...(error.userErrors && { userErrors: error.userErrors })
       }
     });
 
-    // Write back to file
-    fs.writeFileSync(failedProductsPath, JSON.stringify(failedProducts, null, 2), 'utf8');
-    logError('Failed product saved for manual review', null, { sku: product.sku || product.id });
+    writeFailedProductsFile(data);
+    logError('Failed product saved for manual review', null, { sku });
   } catch (err) {
     logError('Failed to save failed product', err);
   }
 }
 
 /**
- * Get failed products for review
+ * Get failed products for review (without the dead-letter section)
  */
 export function getFailedProducts() {
   try {
-    if (fs.existsSync(failedProductsPath)) {
-      const content = fs.readFileSync(failedProductsPath, 'utf8');
-      return JSON.parse(content);
-    }
-    return [];
+    return readFailedProductsFile().failed;
   } catch (error) {
     logError('Failed to read failed products', error);
     return [];
@@ -125,7 +174,19 @@ export function getFailedProducts() {
 }
 
 /**
- * Clear failed products log
+ * Get products that kept failing after FAILED_REPLAY_MAX_ATTEMPTS replays
+ */
+export function getDeadLetterProducts() {
+  try {
+    return readFailedProductsFile().deadLetter;
+  } catch (error) {
+    logError('Failed to read dead-letter products', error);
+    return [];
+  }
+}
+
+/**
+ * Clear failed products log (including the dead-letter section)
  */
 export function clearFailedProducts() {
   try {
@@ -137,3 +198,99 @@ export function clearFailedProducts() {
     logError('Failed to clear failed products log', error);
   }
 }
+
+/**
+ * Remove failed products for a SKU (after a successful retry), from both sections
+ *
+ * @returns {number} Number of entries removed
+ */
+export function removeFailedProducts(sku) {
+  try {
+    const data = readFailedProductsFile();
+    const remaining = {
+      failed: data.failed.filter(entry => !isEntryForSku(entry, sku)),
+      deadLetter: data.deadLetter.filter(entry => !isEntryForSku(entry, sku))
+    };
+    const removed = data.failed.length + data.deadLetter.length - remaining.failed.length - remaining.deadLetter.length;
+
+    if (removed > 0) {
+      writeFailedProductsFile(remaining);
+    }
+
+    return removed;
+  } catch (error) {
+    logError('Failed to remove failed product', error, { sku });
+    return 0;
+  }
+}
+
+/**
+ * Count a failed replay of a SKU
+ * The entry moves to the dead-letter section once it has failed maxAttempts replays
+ *
+ * @param {string} sku - Product SKU
+ * @param {string} errorMessage - Why the replay failed
+ * @param {number} maxAttempts - Replays before the entry is dead-lettered
+ * @returns {Object|null} { attempts, deadLettered } or null if the SKU isn't in the log
+ */
+export function recordFailedReplay(sku, errorMessage, maxAttempts) {
+  try {
+    const data = readFailedProductsFile();
+    const section = data.deadLetter.some(entry => isEntryForSku(entry, sku)) ? 'deadLetter' : 'failed';
+    const entry = data[section].filter(candidate => isEntryForSku(candidate, sku)).pop();
+
+    if (!entry) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const updated = {
+      ...entry,
+      attempts: (entry.attempts || 0) + 1,
+      lastAttemptAt: now,
+      error: errorMessage && errorMessage !== entry.error?.message ? { message: errorMessage } : entry.error
+    };
+    const deadLettered = section === 'failed' && updated.attempts >= maxAttempts;
+
+    data[section] = data[section].filter(candidate => !isEntryForSku(candidate, sku));
+    if (deadLettered) {
+      data.deadLetter.push({ ...updated, deadLetteredAt: now });
+    } else {
+      data[section].push(updated);
+    }
+
+    writeFailedProductsFile(data);
+    return { attempts: updated.attempts, deadLettered: section === 'deadLetter' || deadLettered };
+  } catch (error) {
+    logError('Failed to record failed replay', error, { sku });
+    return null;
+  }
+}
+
+/**
+ * Save a sync run summary to the run history (keeps the last MAX_SYNC_RUNS runs)
+ */
+export function saveSyncRun(run) {
+  try {
+    const runs = [run, ...getSyncRuns()].slice(0, MAX_SYNC_RUNS);
+    writeFileAtomicSync(syncRunsPath, JSON.stringify(runs, null, 2));
+  } catch (error) {
+    logError('Failed to save sync run', error);
+  }
+}
+
+/**
+ * Get recent sync runs (newest first)
+ */
+export function getSyncRuns() {
+  try {
+    if (fs.existsSync(syncRunsPath)) {
+      const content = fs.readFileSync(syncRunsPath, 'utf8');
+      return JSON.parse(content);
+    }
+    return [];
+  } catch (error) {
+    logError('Failed to read sync runs', error);
+    return [];
+  }
+}
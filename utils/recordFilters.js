@@ -0,0 +1,130 @@
+import { config, shouldSyncCategory } from '../config.js';
+import { logInfo, logWarning } from './logger.js';
+
+// Fields that may hold when a record was created, in order of preference
+export const TIMESTAMP_FIELDS = ['created_at', 'createdAt', 'timestamp', 'date_created'];
+
+/**
+ * Whether a record has a timestamp field (even an empty one)
+ * File exports have the same columns in every row, so the first record tells for the whole file
+ *
+ * @param {Object} record - Inventory record
+ * @returns {boolean} True if any of TIMESTAMP_FIELDS is present
+ */
+export function hasTimestampField(record) {
+  return TIMESTAMP_FIELDS.some(field => field in record);
+}
+
+/**
+ * Create the counts of records the timestamp filter included without a usable
+ * timestamp, to log them once for a whole stream (see logTimestampStats)
+ *
+ * @returns {Object} { missing, invalid }
+ */
+export function createTimestampStats() {
+  return { missing: 0, invalid: 0 };
+}
+
+/**
+ * Log the records that were included without a usable timestamp
+ *
+ * @param {Object} timestampStats - See createTimestampStats
+ */
+export function logTimestampStats({ missing, invalid }) {
+  if (missing > 0) {
+    logWarning(`${missing} record(s) have no timestamp (${TIMESTAMP_FIELDS.join(', ')}), included by default`);
+  }
+  if (invalid > 0) {
+    logWarning(`${invalid} record(s) have an invalid timestamp, included by default`);
+  }
+}
+
+/**
+ * Filter records by timestamp
+ * Assumes records have a 'created_at', 'createdAt', or 'timestamp' field. Records
+ * without a usable timestamp are included and counted
+ *
+ * @param {Array} records - Array of inventory records
+ * @param {Date} since - Filter records created since this date
+ * @param {Object|null} timestampStats - Counts to add to, logged by the caller (default: logged here)
+ * @returns {Array} Filtered records
+ */
+export function filterByTimestamp(records, since, timestampStats = null) {
+  const stats = timestampStats || createTimestampStats();
+
+  const filtered = records.filter(record => {
+    // Try different possible timestamp field names
+    const timestamp = TIMESTAMP_FIELDS.map(field => record[field]).find(Boolean);
+
+    if (!timestamp) {
+      stats.missing++;
+      return true; // Include if no timestamp field found
+    }
+
+    const recordDate = new Date(timestamp);
+
+    // Validate date
+    if (isNaN(recordDate.getTime())) {
+      stats.invalid++;
+      return true;
+    }
+
+    return recordDate >= since;
+  });
+
+  if (!timestampStats) {
+    logTimestampStats(stats);
+  }
+
+  return filtered;
+}
+
+/**
+ * Filter records by category
+ *
+ * @param {Array} records - Array of inventory records
+ * @param {Array<string>|null} categories - Run-specific focus categories (default: from config)
+ * @returns {Array} Filtered records
+ */
+export function filterByCategory(records, categories = null) {
+  return records.filter(record => {
+    // Try different possible category field names ('Cat Desc' is used by AIMSii file exports)
+    const category = record.category || record.product_type || record.type || record.productCategory || record['Cat Desc'];
+
+    if (!category) {
+      logWarning('Record missing category field, excluding from sync', {
+        recordId: record.id || 'unknown'
+      });
+      return false;
+    }
+
+    return shouldSyncCategory(category, categories);
+  });
+}
+
+/**
+ * Apply the configured sync filters (timestamp, then category if enabled)
+ *
+ * @param {Array} records - Array of inventory records
+ * @param {Date|null} since - Filter records created since this date (null skips the timestamp filter)
+ * @param {Object} filters - Run-specific filters
+ * @param {Array<string>|null} filters.categories - Focus categories (enables the category filter)
+ * @param {Object|null} timestampStats - See filterByTimestamp
+ * @returns {Array} Filtered records
+ */
+export function filterRecords(records, since, { categories = null } = {}, timestampStats = null) {
+  let filtered = records;
+
+  if (since) {
+    filtered = filterByTimestamp(records, since, timestampStats);
+    logInfo(`${filtered.length} records match timestamp filter (since ${since.toISOString()})`);
+  }
+
+  if (categories || config.sync.filterByCategory) {
+    const beforeCategoryFilter = filtered.length;
+    filtered = filterByCategory(filtered, categories);
+    logInfo(`${filtered.length} records match category filter (filtered out ${beforeCategoryFilter - filtered.length})`);
+  }
+
+  return filtered;
+}
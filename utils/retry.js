@@ -1,4 +1,44 @@
 import { logWarning, logError } from './logger.js';
+import { parseRetryAfter } from './httpError.js';
+
+// Longest Retry-After honored; a server asking for more fails the operation instead
+const MAX_RETRY_AFTER_MS = 60000;
+
+// HTTP statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network errors (errno / undici codes) that usually go away on their own
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_BODY_TIMEOUT',
+  'UND_ERR_SOCKET'
+];
+
+// Provider error codes that are retryable even when the status alone isn't conclusive
+const RETRYABLE_PROVIDER_CODES = [
+  'THROTTLED',              // Shopify GraphQL
+  'INTERNAL_SERVER_ERROR',  // Shopify GraphQL
+  'rate_limit_exceeded',    // OpenAI
+  'server_error',           // OpenAI
+  'RESOURCE_EXHAUSTED',     // Gemini
+  'UNAVAILABLE'             // Gemini
+];
+
+// Provider error codes that never succeed on retry, even with a retryable status
+const NON_RETRYABLE_PROVIDER_CODES = [
+  'insufficient_quota',     // OpenAI (sent with 429)
+  'invalid_api_key',        // OpenAI
+  'context_length_exceeded' // OpenAI
+];
 
 /**
  * Sleep for specified milliseconds
@@ -7,8 +47,112 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Find the network error code of an error (fetch puts it on error.cause)
+ */
+function getNetworkCode(error) {
+  return error.cause?.code || error.code || null;
+}
+
+/**
+ * Get the delay a server asked for, from the error or its response headers
+ */
+function getRetryAfterMs(error) {
+  if (typeof error.retryAfterMs === 'number') {
+    return error.retryAfterMs;
+  }
+
+  const headers = error.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  return parseRetryAfter(value);
+}
+
+/**
+ * Decide whether an error is worth retrying
+ * Uses structured details only (see utils/httpError.js): an explicit retryable flag,
+ * Shopify userErrors and GraphQL error codes, provider error codes, the HTTP status,
+ * network error codes and the error's cause. Errors without any of these are retried.
+ *
+ * @param {Error} error - Error thrown by the operation
+ * @returns {Object} { retryable, reason, retryAfterMs }
+ */
+export function classifyError(error) {
+  const retryAfterMs = getRetryAfterMs(error);
+  const result = (retryable, reason) => ({ retryable, reason, retryAfterMs: retryable ? retryAfterMs : null });
+
+  if (typeof error.retryable === 'boolean') {
+    return result(error.retryable, error.retryable ? 'marked_retryable' : 'marked_non_retryable');
+  }
+
+  if (error.name === 'AbortError') {
+    return result(false, 'aborted');
+  }
+
+  if (error.name === 'TimeoutError') {
+    return result(true, 'timeout');
+  }
+
+  // Shopify rejected the input; sending it again gives the same answer
+  if (error.userErrors?.length) {
+    return result(false, 'validation');
+  }
+
+  if (error.graphQLErrors?.length) {
+    const retryable = error.graphQLErrors.some(graphQLError => RETRYABLE_PROVIDER_CODES.includes(graphQLError.extensions?.code));
+    return result(retryable, retryable ? 'graphql_transient' : 'graphql_error');
+  }
+
+  if (NON_RETRYABLE_PROVIDER_CODES.includes(error.code)) {
+    return result(false, `provider_${error.code}`);
+  }
+
+  if (RETRYABLE_PROVIDER_CODES.includes(error.code)) {
+    return result(true, `provider_${error.code}`);
+  }
+
+  if (typeof error.status === 'number') {
+    return result(RETRYABLE_STATUSES.includes(error.status), `http_${error.status}`);
+  }
+
+  const networkCode = getNetworkCode(error);
+  if (networkCode) {
+    return result(RETRYABLE_NETWORK_CODES.includes(networkCode), `network_${networkCode}`);
+  }
+
+  // Wrapped errors (new Error(message, { cause })) are decided by what they wrap
+  if (error.cause instanceof Error) {
+    return classifyError(error.cause);
+  }
+
+  // Unparseable responses and programming errors don't fix themselves
+  if (error instanceof SyntaxError || error instanceof TypeError || error instanceof ReferenceError) {
+    return result(false, error.name);
+  }
+
+  return result(true, 'unknown');
+}
+
+/**
+ * Check if an error is retryable (e.g., network errors, rate limits)
+ * Non-retryable errors: validation errors, authentication errors
+ */
+export function isRetryableError(error) {
+  return classifyError(error).retryable;
+}
+
+/**
+ * Add jitter to a backoff delay (between half and the full delay)
+ * Spreads out retries from concurrent workers that failed at the same time
+ */
+function withJitter(delay) {
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
 /**
  * Execute a function with retry logic and exponential backoff
+ * Every failed attempt is classified (see classifyError): non-retryable errors are
+ * thrown right away, retryable ones wait for the jittered backoff or the server's
+ * Retry-After, whichever is longer.
  *
  * @param {Function} fn - Async function to execute
  * @param {Object} options - Retry options
@@ -17,6 +161,7 @@ function sleep(ms) {
  * @param {number} options.maxDelay - Maximum delay in ms (default: 10000)
  * @param {number} options.backoffMultiplier - Multiplier for exponential backoff (default: 2)
  * @param {string} options.operationName - Name of operation for logging
+ * @param {Function} options.classify - Custom classification, (error) => { retryable, reason, retryAfterMs }
  * @returns {Promise} Result of the function
  */
 export async function retryWithBackoff(fn, options = {}) {
@@ -25,10 +170,10 @@ export async function retryWithBackoff(fn, options = {}) {
     initialDelay = 1000,
     maxDelay = 10000,
     backoffMultiplier = 2,
-    operationName = 'Operation'
+    operationName = 'Operation',
+    classify = classifyError
   } = options;
 
-  let lastError;
   let delay = initialDelay;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -41,88 +186,37 @@ export async function retryWithBackoff(fn, options = {}) {
 
       return result;
     } catch (error) {
-      lastError = error;
-
-      if (attempt < maxAttempts) {
-        logWarning(`${operationName} failed on attempt ${attempt}/${maxAttempts}. Retrying in ${delay}ms...`, {
-          error: error.message,
-          attempt,
-          maxAttempts
-        });
+      const { retryable, reason, retryAfterMs } = classify(error);
 
-        await sleep(delay);
+      if (!retryable) {
+        logError(`${operationName} failed with a non-retryable error (${reason})`, error);
+        throw error;
+      }
 
-        // Exponential backoff with max delay cap
-        delay = Math.min(delay * backoffMultiplier, maxDelay);
-      } else {
+      if (attempt >= maxAttempts) {
         logError(`${operationName} failed after ${maxAttempts} attempts`, error);
+        throw error;
       }
-    }
-  }
 
-  // All attempts failed
-  throw lastError;
-}
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+        logError(`${operationName} failed and the server asked to wait ${Math.ceil(retryAfterMs / 1000)}s before retrying. Giving up.`, error);
+        throw error;
+      }
 
-/**
- * Check if an error is retryable (e.g., network errors, rate limits)
- * Non-retryable errors: validation errors, authentication errors
- */
-export function isRetryableError(error) {
-  const retryablePatterns = [
-    /network/i,
-    /timeout/i,
-    /ECONNREFUSED/i,
-    /ETIMEDOUT/i,
-    /rate limit/i,
-    /429/,
-    /500/,
-    /502/,
-    /503/,
-    /504/
-  ];
-
-  const nonRetryablePatterns = [
-    /401/,  // Unauthorized
-    /403/,  // Forbidden
-    /404/,  // Not Found
-    /400/,  // Bad Request (validation)
-    /422/   // Unprocessable Entity (validation)
-  ];
-
-  const errorString = error.message || error.toString();
-
-  // Check if error is explicitly non-retryable
-  for (const pattern of nonRetryablePatterns) {
-    if (pattern.test(errorString)) {
-      return false;
-    }
-  }
+      const wait = Math.max(withJitter(delay), retryAfterMs ?? 0);
 
-  // Check if error is retryable
-  for (const pattern of retryablePatterns) {
-    if (pattern.test(errorString)) {
-      return true;
-    }
-  }
+      logWarning(`${operationName} failed on attempt ${attempt}/${maxAttempts}. Retrying in ${wait}ms...`, {
+        error: error.message,
+        reason,
+        attempt,
+        maxAttempts,
+        ...(retryAfterMs !== null && { retryAfterMs })
+      });
 
-  // Default to retryable for unknown errors
-  return true;
-}
+      await sleep(wait);
 
-/**
- * Retry with conditional logic based on error type
- */
-export async function retryIfRetryable(fn, options = {}) {
-  try {
-    return await retryWithBackoff(fn, options);
-  } catch (error) {
-    if (!isRetryableError(error)) {
-      logWarning(`${options.operationName || 'Operation'} failed with non-retryable error. Skipping retries.`, {
-        error: error.message
-      });
-      throw error;
+      // Exponential backoff with max delay cap
+      delay = Math.min(delay * backoffMultiplier, maxDelay);
     }
-    throw error;
   }
 }
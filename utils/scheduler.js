@@ -0,0 +1,188 @@
+import fs from 'fs/promises';
+import { Cron } from 'croner';
+import { config } from '../config.js';
+import { logInfo, logWarning, logError } from './logger.js';
+import { writeFileAtomic } from './atomicWrite.js';
+import { acquireLock } from './lockFile.js';
+import { shutdownSignal } from './shutdown.js';
+
+/**
+ * Job Scheduler
+ *
+ * Runs named jobs on cron schedules evaluated in SCHEDULE_TIMEZONE, so runs
+ * don't drift and can target a wall-clock time ("2am store time").
+ *
+ * Each run takes the job's lock file first. A run that finds the lock held -
+ * the previous run is still going, in this or another process - is skipped and
+ * logged instead of starting alongside it.
+ *
+ * The last run of each job is stored in SCHEDULE_STATE_PATH. On start, jobs
+ * whose scheduled time passed while the service was down are logged and, with
+ * SCHEDULE_CATCH_UP, run once to catch up.
+ */
+
+// Upper bound when counting missed runs (e.g. a minutely job after a long outage)
+const MAX_MISSED_RUNS_COUNTED = 1000;
+
+/**
+ * Load the last run of each job
+ *
+ * @returns {Promise<Object>} { jobs: { [name]: { lastRunAt, lastStatus, lastError, duration } } }
+ */
+async function loadScheduleState() {
+  try {
+    const data = await fs.readFile(config.schedule.statePath, 'utf-8');
+    return { jobs: {}, ...JSON.parse(data) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { jobs: {} };
+    }
+    throw error;
+  }
+}
+
+// Serializes read-modify-write cycles so jobs finishing together don't overwrite each other
+let saveChain = Promise.resolve();
+
+/**
+ * Record a finished run of a job
+ */
+function recordJobRun(name, run) {
+  saveChain = saveChain
+    .then(async () => {
+      const state = await loadScheduleState();
+      state.jobs[name] = run;
+      await writeFileAtomic(config.schedule.statePath, JSON.stringify(state, null, 2));
+    })
+    .catch(error => logError('Failed to save schedule state', error));
+
+  return saveChain;
+}
+
+/**
+ * Count the scheduled times that passed since the last run
+ *
+ * @param {Cron} cron - The job's schedule
+ * @param {Date} lastRunAt - When the job last ran
+ * @param {Date} now - Current time
+ * @returns {Object} { count, first, last } - first and last missed time (null if none)
+ */
+function findMissedRuns(cron, lastRunAt, now) {
+  let count = 0;
+  let first = null;
+  let last = null;
+  let next = cron.nextRun(lastRunAt);
+
+  while (next && next <= now && count < MAX_MISSED_RUNS_COUNTED) {
+    count++;
+    first = first || next;
+    last = next;
+    next = cron.nextRun(next);
+  }
+
+  return { count, first, last };
+}
+
+/**
+ * Run a job under its lock and record the run
+ * Skipped (and logged) when the lock is held or the process is shutting down
+ *
+ * @param {Object} job - { name, lock, run }
+ * @param {string} trigger - What started the run ('schedule', 'catch-up', 'start')
+ * @returns {Promise<string>} 'completed', 'failed' or 'skipped'
+ */
+export async function runJob(job, trigger = 'schedule') {
+  if (shutdownSignal.aborted) {
+    return 'skipped';
+  }
+
+  const lock = acquireLock(job.lock || job.name, { job: job.name, trigger });
+
+  if (!lock.acquired) {
+    logWarning(`Skipping ${job.name}: the previous run still holds the ${job.lock || job.name} lock`, lock.owner);
+    return 'skipped';
+  }
+
+  const startedAt = new Date();
+  let error = null;
+
+  try {
+    logInfo(`Starting job ${job.name} (${trigger})`);
+    await job.run();
+  } catch (jobError) {
+    error = jobError;
+    logError(`Job ${job.name} failed`, jobError);
+  } finally {
+    lock.release();
+  }
+
+  const status = error ? 'failed' : 'completed';
+
+  await recordJobRun(job.name, {
+    lastRunAt: startedAt.toISOString(),
+    lastStatus: status,
+    lastError: error?.message || null,
+    trigger,
+    duration: `${((Date.now() - startedAt.getTime()) / 1000).toFixed(2)}s`
+  });
+
+  return status;
+}
+
+/**
+ * Schedule jobs and catch up on runs missed while the service was down
+ * Jobs without a schedule are skipped. Schedules stop when the process shuts down.
+ *
+ * @param {Array<Object>} jobs - [{ name, schedule, lock, run }]; jobs sharing a lock never overlap
+ * @returns {Promise<Array<Cron>>} The scheduled cron jobs
+ */
+export async function startScheduler(jobs) {
+  const scheduled = jobs
+    .filter(job => job.schedule)
+    .map(job => ({
+      job,
+      cron: new Cron(job.schedule, { name: job.name, timezone: config.schedule.timezone, protect: true }, () => runJob(job))
+    }));
+
+  shutdownSignal.addEventListener('abort', () => {
+    scheduled.forEach(({ cron }) => cron.stop());
+  }, { once: true });
+
+  for (const { job, cron } of scheduled) {
+    logInfo(`Scheduled ${job.name}: "${job.schedule}" (${config.schedule.timezone}), next run at ${cron.nextRun()?.toISOString()}`);
+  }
+
+  const state = await loadScheduleState();
+  const now = new Date();
+
+  for (const { job, cron } of scheduled) {
+    const lastRunAt = state.jobs[job.name]?.lastRunAt;
+
+    if (!lastRunAt) {
+      // First start: run right away instead of waiting for the first scheduled time
+      await runJob(job, 'start');
+      continue;
+    }
+
+    const missed = findMissedRuns(cron, new Date(lastRunAt), now);
+    if (missed.count === 0) {
+      continue;
+    }
+
+    const countLabel = missed.count >= MAX_MISSED_RUNS_COUNTED ? `${missed.count}+` : missed.count;
+    const details = {
+      lastRunAt,
+      firstMissed: missed.first.toISOString(),
+      lastMissed: missed.last.toISOString()
+    };
+
+    if (config.schedule.catchUp) {
+      logWarning(`${job.name} missed ${countLabel} scheduled run(s) while the service was down. Running once to catch up.`, details);
+      await runJob(job, 'catch-up');
+    } else {
+      logWarning(`${job.name} missed ${countLabel} scheduled run(s) while the service was down. Catch-up is disabled (SCHEDULE_CATCH_UP=false).`, details);
+    }
+  }
+
+  return scheduled.map(({ cron }) => cron);
+}
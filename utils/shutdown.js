@@ -0,0 +1,107 @@
+import { config } from '../config.js';
+import { logInfo, logWarning, logError } from './logger.js';
+
+/**
+ * Graceful shutdown
+ *
+ * On SIGTERM/SIGINT the shared shutdown signal is aborted, so running syncs stop
+ * taking new records. Active runs get SHUTDOWN_TIMEOUT_SECONDS to finish their
+ * in-flight records; runs that don't finish in time are checkpointed. Flush
+ * handlers (caches) run last, then the process exits.
+ */
+
+const shutdownController = new AbortController();
+const activeRuns = new Set();
+const flushHandlers = [];
+
+// Aborted when the process is asked to shut down
+export const shutdownSignal = shutdownController.signal;
+
+/**
+ * Register a running sync so shutdown waits for it
+ *
+ * @param {Function} checkpoint - async () => void, saves progress if the run doesn't finish in time
+ * @returns {Function} Call when the run has finished
+ */
+export function registerActiveRun(checkpoint) {
+  let finish;
+  const run = { checkpoint, finished: new Promise(resolve => { finish = resolve; }) };
+  activeRuns.add(run);
+
+  return () => {
+    activeRuns.delete(run);
+    finish();
+  };
+}
+
+/**
+ * Register a handler that writes in-memory state to disk before exiting
+ *
+ * @param {string} name - Name for logging
+ * @param {Function} handler - async () => void
+ */
+export function onShutdownFlush(name, handler) {
+  flushHandlers.push({ name, handler });
+}
+
+/**
+ * Stop active runs, wait for them (up to the timeout), checkpoint and flush
+ *
+ * @param {string} reason - Why the process is shutting down (e.g. 'SIGTERM')
+ * @returns {Promise<boolean>} True if every run finished in time
+ */
+export async function shutdownGracefully(reason) {
+  shutdownController.abort(reason);
+
+  let finishedInTime = true;
+
+  if (activeRuns.size > 0) {
+    const timeoutMs = config.settings.shutdownTimeoutSeconds * 1000;
+    logInfo(`Waiting up to ${config.settings.shutdownTimeoutSeconds}s for in-flight records to finish...`);
+
+    let timer;
+    const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); });
+    const finished = Promise.all(Array.from(activeRuns, run => run.finished)).then(() => false);
+    finishedInTime = !(await Promise.race([finished, timedOut]));
+    clearTimeout(timer);
+
+    for (const run of activeRuns) {
+      logWarning('Run did not finish before the shutdown timeout, saving a checkpoint');
+      try {
+        await run.checkpoint();
+      } catch (error) {
+        logError('Failed to save checkpoint', error);
+      }
+    }
+  }
+
+  for (const { name, handler } of flushHandlers) {
+    try {
+      await handler();
+    } catch (error) {
+      logError(`Failed to flush ${name} on shutdown`, error);
+    }
+  }
+
+  return finishedInTime;
+}
+
+/**
+ * Install SIGTERM/SIGINT handlers
+ * A second signal exits immediately without waiting
+ */
+export function setupShutdownHandlers() {
+  const shutdown = async (signal) => {
+    if (shutdownSignal.aborted) {
+      logWarning(`Received ${signal} again. Exiting without waiting for in-flight records.`);
+      process.exit(1);
+    }
+
+    logInfo(`\nReceived ${signal}. Shutting down gracefully...`);
+    const finishedInTime = await shutdownGracefully(signal);
+    process.exit(finishedInTime ? 0 : 1);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
@@ -0,0 +1,55 @@
+import { config } from '../config.js';
+
+/**
+ * Normalize a SKU for comparison using the SKU_MATCH_* rules
+ *
+ * @param {string} sku - SKU
+ * @param {Object} rules - { caseSensitive, whitespace, ignoreLeadingZeros }
+ * @returns {string} Normalized SKU
+ */
+export function normalizeSku(sku, rules = config.skuMatching) {
+  let normalized = String(sku ?? '');
+
+  if (rules.whitespace === 'remove') {
+    normalized = normalized.replace(/\s+/g, '');
+  } else if (rules.whitespace !== 'exact') {
+    normalized = normalized.trim();
+  }
+
+  if (!rules.caseSensitive) {
+    normalized = normalized.toLowerCase();
+  }
+
+  if (rules.ignoreLeadingZeros) {
+    // Keep a single zero so "000" doesn't become an empty SKU
+    normalized = normalized.replace(/^0+(?=.)/, '');
+  }
+
+  return normalized;
+}
+
+/**
+ * Whether the rules match SKUs that Shopify's search can't find from each other
+ * ("123" never finds "000123", "AB12" never finds "AB 12"), so lookups need the SKU index
+ *
+ * @param {Object} rules - { whitespace, ignoreLeadingZeros }
+ * @returns {boolean} True if searches can miss matching SKUs
+ */
+export function requiresSkuIndex(rules = config.skuMatching) {
+  return rules.ignoreLeadingZeros || rules.whitespace === 'remove';
+}
+
+/**
+ * Check whether two SKUs are the same after normalization
+ *
+ * @param {string} a - First SKU
+ * @param {string} b - Second SKU
+ * @param {Object} rules - Normalization rules (defaults to config.skuMatching)
+ * @returns {boolean} True if the SKUs match
+ */
+export function skusMatch(a, b, rules = config.skuMatching) {
+  if (!a || !b) {
+    return false;
+  }
+  return normalizeSku(a, rules) === normalizeSku(b, rules);
+}
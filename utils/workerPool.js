@@ -0,0 +1,193 @@
+/**
+ * Create a limiter that runs at most `max` async functions at the same time
+ * Calls beyond the limit wait in FIFO order
+ *
+ * @param {number} max - Maximum concurrent calls
+ * @returns {Function} limit(fn) - Runs fn when a slot is free and resolves with its result
+ */
+export function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  // Hand the slot straight to the next waiting call, so new calls can't jump the queue
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return async function limit(fn) {
+    if (active >= max) {
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+}
+
+/**
+ * Process items with a bounded pool of workers
+ *
+ * Items can be an array or an (async) iterable such as a record stream. Items are
+ * read one at a time as workers free up, so a stream is never held in memory.
+ *
+ * Items that share a key (e.g. the same SKU) are processed one after another, in
+ * their original order, by the same worker: an item whose key is already being
+ * worked on waits for that worker instead of taking a slot. Items with different
+ * keys run concurrently, up to `concurrency` at a time.
+ *
+ * Before each item the pool checks `signal` and `shouldStop`. Items that are
+ * already running are always allowed to finish. While `shouldStop` returns true
+ * and items are still running, the pool waits for them before deciding, since
+ * their results can change the answer (e.g. a batch that isn't full after all).
+ * When the pool stops early, the rest of the items are not read and a stream is
+ * closed.
+ *
+ * @param {Array|Iterable|AsyncIterable} items - Items to process
+ * @param {Function} handler - async (item, index) => void
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum items processed at the same time (default: 1)
+ * @param {Function} options.keyOf - (item, index) => key; items without a key are independent
+ * @param {AbortSignal} options.signal - Stops the pool from starting new items
+ * @param {Function} options.shouldStop - ({ inFlight }) => boolean, checked before each item
+ * @returns {Promise<Object>} { completed, stoppedBy: null | 'signal' | 'limit' }
+ */
+export async function runWorkerPool(items, handler, { concurrency = 1, keyOf = null, signal = null, shouldStop = null } = {}) {
+  const iterator = items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+
+  // Items waiting for the worker that owns their key
+  const queuesByKey = new Map();
+  const inFlight = new Set();
+  let nextIndex = 0;
+  let exhausted = false;
+  let reading = Promise.resolve();
+  let completed = 0;
+  let stoppedBy = null;
+  let firstError = null;
+
+  /**
+   * Read the next item (one read at a time, so indexes follow the input order)
+   */
+  function readItem() {
+    const read = reading.then(async () => {
+      if (exhausted || stoppedBy || firstError) {
+        return null;
+      }
+
+      const { value, done } = await iterator.next();
+      if (done) {
+        exhausted = true;
+        return null;
+      }
+
+      const index = nextIndex++;
+      const key = keyOf ? keyOf(value, index) : null;
+      return { item: value, index, key: key === undefined || key === '' ? null : key };
+    });
+
+    reading = read.catch(() => undefined);
+    return read;
+  }
+
+  /**
+   * Start an item once the pool may take more work
+   * The last check and the start happen synchronously, so workers can't race past a limit
+   */
+  async function runItem({ item, index }) {
+    for (;;) {
+      if (stoppedBy || firstError) {
+        return false;
+      }
+      if (signal?.aborted) {
+        stoppedBy = 'signal';
+        return false;
+      }
+      if (!shouldStop || !shouldStop({ inFlight: inFlight.size })) {
+        break;
+      }
+      if (inFlight.size === 0) {
+        stoppedBy = 'limit';
+        return false;
+      }
+      await Promise.race(Array.from(inFlight, running => running.catch(() => undefined)));
+    }
+
+    const running = handler(item, index);
+    inFlight.add(running);
+
+    try {
+      await running;
+      completed++;
+      return true;
+    } catch (error) {
+      firstError = firstError || error;
+      return false;
+    } finally {
+      inFlight.delete(running);
+    }
+  }
+
+  async function worker() {
+    for (;;) {
+      let entry;
+      try {
+        entry = await readItem();
+      } catch (error) {
+        firstError = firstError || error;
+        return;
+      }
+
+      if (!entry) {
+        return;
+      }
+
+      if (entry.key === null) {
+        if (!(await runItem(entry))) {
+          return;
+        }
+        continue;
+      }
+
+      // Another worker owns this key: hand the item over and read the next one
+      if (queuesByKey.has(entry.key)) {
+        queuesByKey.get(entry.key).push(entry);
+        continue;
+      }
+
+      // Own the key until no more of its items are waiting
+      const queue = [entry];
+      queuesByKey.set(entry.key, queue);
+
+      while (queue.length > 0) {
+        if (!(await runItem(queue.shift()))) {
+          return;
+        }
+      }
+      queuesByKey.delete(entry.key);
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  } finally {
+    // Close a stream that was left unfinished
+    if (!exhausted) {
+      await iterator.return?.();
+    }
+  }
+
+  if (firstError) {
+    throw firstError;
+  }
+
+  return { completed, stoppedBy };
+}